@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./atomic-write");
+
+/**
+ * ACTIVITY LOG CLASS
+ * Append-only record of every list change, one JSON entry per line in
+ * activity.jsonl. Updates store the before and after value of each
+ * field that changed, so the history of an entry can be replayed.
+ */
+class ActivityLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * Append an entry for a change reported by a list manager
+     */
+    record(change) {
+        const item = change.after || change.before;
+        const entry = {
+            timestamp: new Date().toISOString(),
+            type: change.type,
+            action: change.action,
+            origin: change.origin,
+            itemId: item.id,
+            malId: item.mal_id ?? null,
+            title: item.title || item.name
+        };
+
+        if (change.action === 'update') {
+            entry.changes = this.diff(change.before, change.after);
+            // Saving an edit form without changing anything isn't activity
+            if (Object.keys(entry.changes).length === 0) return null;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + "\n");
+        } catch (error) {
+            console.error("Error writing activity log:", error);
+        }
+        return entry;
+    }
+
+    /**
+     * Fields whose value differs, as { field: { from, to } }
+     */
+    diff(before, after) {
+        const changes = {};
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        fields.forEach(field => {
+            if (field === 'id') return;
+            if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * All entries, oldest first. Lines that don't parse (e.g. a write cut
+     * short by a crash) are skipped.
+     */
+    readAll() {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        return fs.readFileSync(this.filePath, "utf-8")
+            .split("\n")
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Add entries from another copy of the log, e.g. a backup bundle,
+     * skipping ones already recorded. With replace the log is rewritten
+     * to hold only the given entries.
+     */
+    importEntries(entries, replace = false) {
+        const keyOf = entry => `${entry.timestamp}|${entry.type}|${entry.action}|${entry.itemId}`;
+        const current = replace ? [] : this.readAll();
+        const seen = new Set(current.map(keyOf));
+        const added = entries.filter(entry => {
+            if (seen.has(keyOf(entry))) return false;
+            seen.add(keyOf(entry));
+            return true;
+        });
+
+        const merged = [...current, ...added].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        writeFileAtomic(this.filePath, merged.map(entry => JSON.stringify(entry) + "\n").join(""));
+        return added.length;
+    }
+
+    /**
+     * Entries newest first, optionally filtered by list type, action,
+     * changed field, item id, title search and date range
+     */
+    query(filters = {}) {
+        const search = filters.search ? filters.search.toLowerCase() : null;
+        const since = filters.since ? new Date(filters.since).getTime() : null;
+        const until = filters.until ? new Date(filters.until).getTime() : null;
+
+        const entries = this.readAll().reverse().filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+
+            if (filters.type && entry.type !== filters.type) return false;
+            if (filters.action && entry.action !== filters.action) return false;
+            if (filters.field && !(entry.changes && entry.changes[filters.field])) return false;
+            if (filters.itemId && entry.itemId !== filters.itemId) return false;
+            if (search && !String(entry.title || '').toLowerCase().includes(search)) return false;
+            if (since && time < since) return false;
+            if (until && time > until) return false;
+            return true;
+        });
+
+        return filters.limit ? entries.slice(0, filters.limit) : entries;
+    }
+}
+
+module.exports = ActivityLog;
@@ -0,0 +1,291 @@
+/**
+ * ANILIST
+ * Reads and writes AniList list data in the shape of a GraphQL
+ * MediaListCollection response: lists of media list entries, each with
+ * its media. A file may hold one collection or an anime and a manga
+ * collection side by side, as an aliased query returns them. Entries are
+ * mapped onto the watchlist and reading list through the media's idMal.
+ */
+
+// AniList statuses for each list; paused entries have no status of their own here
+const ANIME_STATUSES = {
+    CURRENT: 'watching',
+    REPEATING: 'watching',
+    PAUSED: 'watching',
+    PLANNING: 'planning',
+    COMPLETED: 'completed',
+    DROPPED: 'dropped'
+};
+
+const MANGA_STATUSES = {
+    CURRENT: 'reading',
+    REPEATING: 'reading',
+    PAUSED: 'reading',
+    PLANNING: 'planning',
+    COMPLETED: 'completed',
+    DROPPED: 'dropped'
+};
+
+const ANILIST_STATUSES = {
+    planning: 'PLANNING',
+    watching: 'CURRENT',
+    reading: 'CURRENT',
+    completed: 'COMPLETED',
+    dropped: 'DROPPED'
+};
+
+// Names AniList gives the status lists of a collection
+const STATUS_LIST_NAMES = {
+    watchlist: { CURRENT: 'Watching', PLANNING: 'Planning', COMPLETED: 'Completed', DROPPED: 'Dropped' },
+    readinglist: { CURRENT: 'Reading', PLANNING: 'Planning', COMPLETED: 'Completed', DROPPED: 'Dropped' }
+};
+
+// Ratings are 0-10 with decimals, which is AniList's POINT_10_DECIMAL
+const EXPORT_SCORE_FORMAT = 'POINT_10_DECIMAL';
+
+// What one point of each score format is worth on a 0-10 scale
+const SCORE_SCALES = {
+    POINT_100: 0.1,
+    POINT_10_DECIMAL: 1,
+    POINT_10: 1,
+    POINT_5: 2
+};
+
+// The three smileys, at the values AniList converts them to
+const SMILEY_RATINGS = { 1: 3.5, 2: 6, 3: 8.5 };
+
+function toRating(score, format) {
+    if (!score) return 0;
+    const rating = format === 'POINT_3' ? SMILEY_RATINGS[score] || 0 : score * SCORE_SCALES[format];
+    return Math.round(rating * 10) / 10;
+}
+
+/**
+ * AniList's { year, month, day } dates, of which any part may be null
+ */
+function fromFuzzyDate(date) {
+    if (!date || !date.year) return null;
+
+    const pad = number => String(number).padStart(2, '0');
+    if (!date.month) return String(date.year);
+    if (!date.day) return `${date.year}-${pad(date.month)}`;
+    return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+}
+
+function toFuzzyDate(value) {
+    const [year, month, day] = String(value || '').split('-').map(part => parseInt(part, 10));
+    return { year: year || null, month: month || null, day: day || null };
+}
+
+function isCollection(node) {
+    return Array.isArray(node.lists) && node.lists.every(list => list && Array.isArray(list.entries));
+}
+
+/**
+ * Every MediaListCollection in a parsed file, with the score format
+ * of the user it belongs to when the file says
+ */
+function findCollections(data) {
+    const collections = [];
+    let defaultFormat = null;
+
+    const visit = node => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+
+        const format = node.mediaListOptions?.scoreFormat || node.user?.mediaListOptions?.scoreFormat;
+        if (format && !defaultFormat) defaultFormat = format;
+
+        if (isCollection(node)) {
+            collections.push({ lists: node.lists, scoreFormat: format || null });
+            return;
+        }
+        Object.values(node).forEach(visit);
+    };
+
+    visit(data);
+    collections.forEach(collection => {
+        collection.scoreFormat = collection.scoreFormat || defaultFormat;
+    });
+    return collections;
+}
+
+/**
+ * Names of the custom lists an entry is on, from either shape AniList
+ * uses: { name: enabled } or [{ name, enabled }]
+ */
+function customListNames(customLists) {
+    if (Array.isArray(customLists)) {
+        return customLists.filter(list => list && list.enabled).map(list => list.name);
+    }
+    if (customLists && typeof customLists === 'object') {
+        return Object.keys(customLists).filter(name => customLists[name]);
+    }
+    return [];
+}
+
+/**
+ * Parse an AniList export and map its entries onto list items. Returns
+ * the items for each list and warnings about entries that couldn't be
+ * mapped exactly.
+ */
+function parseAniList(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+
+    const collections = findCollections(data);
+    if (collections.length === 0) {
+        throw new Error("This is not an AniList list export (no MediaListCollection lists found)");
+    }
+
+    const warnings = [];
+    const addedDate = new Date().toISOString();
+    const result = { watchlist: [], readinglist: [], warnings };
+
+    collections.forEach(collection => {
+        // An entry is repeated in its status list and every custom list it is on
+        const entries = new Map();
+        collection.lists.forEach(list => list.entries.forEach(entry => {
+            const malId = entry.media?.idMal;
+            const key = entry.media?.id ?? entry.mediaId ?? (malId ? `mal:${malId}` : entry);
+            const known = entries.get(key) || { entry, customLists: new Set() };
+
+            customListNames(entry.customLists).forEach(name => known.customLists.add(name));
+            if (list.isCustomList && list.name) known.customLists.add(list.name);
+            entries.set(key, known);
+        }));
+
+        let format = collection.scoreFormat;
+        if (!SCORE_SCALES[format] && format !== 'POINT_3') {
+            const highest = Math.max(0, ...[...entries.values()].map(({ entry }) => entry.score || 0));
+            format = highest > 10 ? 'POINT_100' : 'POINT_10_DECIMAL';
+            warnings.push(`The file doesn't say which score format it uses, so scores were read as ${format === 'POINT_100' ? '0-100' : '0-10'}`);
+        }
+
+        entries.forEach(({ entry, customLists }) => {
+            const media = entry.media || {};
+            const isManga = media.type ? media.type === 'MANGA' : media.chapters !== undefined && media.episodes === undefined;
+            const type = isManga ? 'readinglist' : 'watchlist';
+            const title = media.title?.userPreferred || media.title?.romaji || media.title?.english || media.title?.native;
+
+            const statuses = isManga ? MANGA_STATUSES : ANIME_STATUSES;
+            let status = statuses[entry.status];
+            if (!status) {
+                warnings.push(`"${title}" has an unknown status "${entry.status}" and was imported as Planning`);
+                status = 'planning';
+            } else if (entry.status === 'PAUSED') {
+                warnings.push(`"${title}" is Paused on AniList and was imported as ${isManga ? 'Reading' : 'Watching'}`);
+            }
+
+            if (!media.idMal) {
+                warnings.push(`"${title}" has no MyAnimeList id and was imported as a custom entry`);
+            }
+
+            const item = {
+                mal_id: media.idMal || null,
+                anilist_id: media.id ?? entry.mediaId ?? null,
+                title,
+                image: media.coverImage?.large || media.coverImage?.medium || media.coverImage?.extraLarge,
+                score: media.averageScore ? media.averageScore / 10 : 0,
+                status,
+                rating: toRating(entry.score, format),
+                notes: entry.notes || '',
+                repeat: entry.repeat || 0,
+                custom_lists: [...customLists],
+                start_date: fromFuzzyDate(entry.startedAt),
+                finish_date: fromFuzzyDate(entry.completedAt),
+                added_date: entry.createdAt ? new Date(entry.createdAt * 1000).toISOString() : addedDate
+            };
+
+            if (isManga) {
+                item.chapters = media.chapters || 0;
+                item.chapters_read = entry.progress || 0;
+            } else {
+                item.episodes = media.episodes || 0;
+                item.episodes_watched = entry.progress || 0;
+            }
+
+            result[type].push(item);
+        });
+    });
+
+    return result;
+}
+
+/**
+ * One collection: a list per status that has entries, then one per custom list
+ */
+function buildCollection(type, items) {
+    const isManga = type === 'readinglist';
+
+    const entries = items.map(item => ({
+        mediaId: item.anilist_id || null,
+        status: ANILIST_STATUSES[item.status] || 'PLANNING',
+        score: item.rating || 0,
+        progress: (isManga ? item.chapters_read : item.episodes_watched) || 0,
+        repeat: item.repeat || 0,
+        notes: item.notes || null,
+        startedAt: toFuzzyDate(item.start_date),
+        completedAt: toFuzzyDate(item.finish_date),
+        customLists: Object.fromEntries((item.custom_lists || []).map(name => [name, true])),
+        createdAt: item.added_date ? Math.floor(new Date(item.added_date).getTime() / 1000) : null,
+        media: {
+            id: item.anilist_id || null,
+            idMal: item.mal_id || null,
+            type: isManga ? 'MANGA' : 'ANIME',
+            title: { romaji: item.title, userPreferred: item.title },
+            [isManga ? 'chapters' : 'episodes']: (isManga ? item.chapters : item.episodes) || null,
+            coverImage: { large: item.image || null },
+            averageScore: item.score ? Math.round(item.score * 10) : null
+        }
+    }));
+
+    const lists = Object.entries(STATUS_LIST_NAMES[type])
+        .map(([status, name]) => ({
+            name,
+            isCustomList: false,
+            status,
+            entries: entries.filter(entry => entry.status === status)
+        }))
+        .filter(list => list.entries.length > 0);
+
+    const customNames = [...new Set(items.flatMap(item => item.custom_lists || []))];
+    customNames.forEach(name => lists.push({
+        name,
+        isCustomList: true,
+        status: null,
+        entries: entries.filter(entry => entry.customLists[name])
+    }));
+
+    return { lists, user: { mediaListOptions: { scoreFormat: EXPORT_SCORE_FORMAT } } };
+}
+
+/**
+ * AniList-style JSON of the watchlist and reading list. Custom entries
+ * with neither a MyAnimeList nor an AniList id can't be identified on
+ * AniList and are left out; they are counted in `skipped`.
+ */
+function buildAniList(lists) {
+    const identified = items => items.filter(item => item.mal_id || item.anilist_id);
+    const anime = identified(lists.watchlist);
+    const manga = identified(lists.readinglist);
+
+    const json = JSON.stringify({
+        data: {
+            anime: buildCollection('watchlist', anime),
+            manga: buildCollection('readinglist', manga)
+        }
+    }, null, 2);
+
+    const total = lists.watchlist.length + lists.readinglist.length;
+    return { json, exported: anime.length + manga.length, skipped: total - anime.length - manga.length };
+}
+
+module.exports = { parseAniList, buildAniList };
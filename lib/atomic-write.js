@@ -0,0 +1,47 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Write a file so readers only ever see the old or the new contents.
+ * Data goes to a temp file next to the target, is fsynced and then
+ * renamed over the original, so a crash mid-write can't truncate it.
+ */
+function writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    let fd = null;
+
+    try {
+        fd = fs.openSync(tempPath, "w");
+        fs.writeSync(fd, contents, null, "utf-8");
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = null;
+
+        fs.renameSync(tempPath, filePath);
+        fsyncDirectory(path.dirname(filePath));
+    } catch (error) {
+        if (fd !== null) {
+            try { fs.closeSync(fd); } catch (closeError) { /* already failing */ }
+        }
+        try { fs.unlinkSync(tempPath); } catch (unlinkError) { /* temp file may not exist */ }
+        throw error;
+    }
+}
+
+/**
+ * Persist the rename itself. Directories can't be opened on Windows,
+ * where the rename is already durable, so failures are ignored.
+ */
+function fsyncDirectory(dirPath) {
+    let fd = null;
+    try {
+        fd = fs.openSync(dirPath, "r");
+        fs.fsyncSync(fd);
+    } catch (error) {
+        // Not supported on this platform
+    } finally {
+        if (fd !== null) fs.closeSync(fd);
+    }
+}
+
+module.exports = { writeFileAtomic };
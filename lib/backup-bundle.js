@@ -0,0 +1,100 @@
+const zlib = require("zlib");
+const { validateListData } = require("./list-validation");
+
+/**
+ * BACKUP BUNDLE
+ * A .anitowatch file holds a whole profile in one gzipped JSON document:
+ * every list, the profile's settings, the activity history and the cover
+ * images of list entries. Reading a bundle validates all of it before
+ * anything is returned, so a damaged bundle is rejected as a whole.
+ */
+
+const BUNDLE_FORMAT = "anitowatch-bundle";
+const BUNDLE_VERSION = 1;
+const BUNDLE_EXTENSION = "anitowatch";
+
+const LIST_NAMES = {
+    watchlist: "Watchlist",
+    readinglist: "Reading List",
+    favorites: "Favorites"
+};
+
+/**
+ * The gzipped bundle. Covers are { url: Buffer }.
+ */
+function buildBundle({ profile, lists, settings, activity, covers }) {
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        created_at: new Date().toISOString(),
+        profile,
+        lists,
+        settings,
+        activity,
+        covers: Object.fromEntries(Object.entries(covers).map(([url, data]) => [url, data.toString("base64")]))
+    };
+
+    return zlib.gzipSync(JSON.stringify(bundle));
+}
+
+/**
+ * Whether an activity entry has what the activity page shows, as text
+ */
+function isActivityEntry(entry) {
+    return Boolean(entry) && typeof entry.timestamp === "string"
+        && Object.keys(LIST_NAMES).includes(entry.type)
+        && ["add", "remove", "update"].includes(entry.action)
+        && typeof entry.itemId === "string"
+        && (entry.title === undefined || entry.title === null || typeof entry.title === "string")
+        && (entry.changes === undefined || (typeof entry.changes === "object" && !Array.isArray(entry.changes)));
+}
+
+/**
+ * Unpack and validate a bundle. Lists come back migrated to the current
+ * schema with missing fields filled in; activity entries and covers that
+ * are damaged are left out rather than failing the whole bundle.
+ */
+function readBundle(buffer) {
+    let bundle;
+    try {
+        bundle = JSON.parse(zlib.gunzipSync(buffer).toString("utf-8"));
+    } catch (error) {
+        throw new Error("This is not an AniToWatch backup bundle, or it is damaged");
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error("This is not an AniToWatch backup bundle");
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        throw new Error("This bundle was made by a newer version of AniToWatch. Update the app to import it.");
+    }
+
+    const lists = {};
+    Object.entries(LIST_NAMES).forEach(([type, name]) => {
+        try {
+            lists[type] = validateListData(bundle.lists?.[type] ?? [], type);
+        } catch (error) {
+            throw new Error(`The ${name} in this bundle is invalid:\n${error.message}`);
+        }
+    });
+
+    const activity = (Array.isArray(bundle.activity) ? bundle.activity : []).filter(isActivityEntry);
+
+    const covers = {};
+    Object.entries(bundle.covers || {}).forEach(([url, data]) => {
+        if (/^https?:\/\//.test(url) && typeof data === "string") {
+            covers[url] = Buffer.from(data, "base64");
+        }
+    });
+
+    return {
+        createdAt: bundle.created_at || null,
+        profile: bundle.profile || null,
+        lists,
+        settings: bundle.settings && typeof bundle.settings === "object" ? bundle.settings : {},
+        activity,
+        covers
+    };
+}
+
+module.exports = { BUNDLE_EXTENSION, buildBundle, readBundle };
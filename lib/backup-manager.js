@@ -0,0 +1,219 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./atomic-write");
+
+const MANIFEST_FILE = "manifest.json";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * BACKUP MANAGER CLASS
+ * Keeps rotating snapshots of every list in a backups/ folder.
+ * Each snapshot is a directory holding one JSON file per list plus a
+ * manifest with the creation date, the reason and the item counts.
+ */
+class BackupManager {
+    constructor(backupDir, managers, options = {}) {
+        this.backupDir = backupDir;
+        this.managers = managers;
+        this.retention = options.retention || 10;
+        this.writesPerSnapshot = options.writesPerSnapshot || 20;
+        this.writesSinceSnapshot = 0;
+        this.pendingSnapshot = null;
+    }
+
+    /**
+     * Update retention and snapshot frequency from settings
+     */
+    configure(options) {
+        if (options.retention) this.retention = options.retention;
+        if (options.writesPerSnapshot) this.writesPerSnapshot = options.writesPerSnapshot;
+    }
+
+    /**
+     * Count a list write and snapshot every Nth one
+     */
+    recordWrite() {
+        this.writesSinceSnapshot++;
+
+        if (this.writesSinceSnapshot >= this.writesPerSnapshot) {
+            this.writesSinceSnapshot = 0;
+            this.createSnapshot("auto").catch(error => {
+                console.error("Error creating automatic backup:", error);
+            });
+        }
+    }
+
+    /**
+     * Take the daily snapshot if the newest one is more than a day old
+     */
+    async ensureDailySnapshot() {
+        const latest = this.listSnapshots()[0];
+
+        if (!latest || Date.now() - new Date(latest.createdAt).getTime() >= DAY_MS) {
+            return this.createSnapshot("daily");
+        }
+        return null;
+    }
+
+    /**
+     * Snapshot all lists. Concurrent requests share one snapshot.
+     */
+    async createSnapshot(reason = "manual") {
+        if (this.pendingSnapshot) return this.pendingSnapshot;
+
+        this.pendingSnapshot = this.writeSnapshot(reason).finally(() => {
+            this.pendingSnapshot = null;
+        });
+        return this.pendingSnapshot;
+    }
+
+    async writeSnapshot(reason) {
+        const createdAt = new Date().toISOString();
+        const id = this.uniqueId(createdAt.replace(/[:.]/g, "-"));
+        const snapshotDir = path.join(this.backupDir, id);
+        const counts = {};
+
+        fs.mkdirSync(snapshotDir, { recursive: true });
+
+        for (const [type, manager] of Object.entries(this.managers)) {
+            const snapshot = await manager.getSnapshot();
+            writeFileAtomic(path.join(snapshotDir, `${type}.json`), JSON.stringify(snapshot, null, 2));
+            counts[type] = snapshot.items.length;
+        }
+
+        const manifest = { id, createdAt, reason, counts };
+        writeFileAtomic(path.join(snapshotDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+        console.log(`Created ${reason} backup ${id}`);
+
+        this.prune();
+        return manifest;
+    }
+
+    uniqueId(baseId) {
+        let id = baseId;
+        let suffix = 1;
+        while (fs.existsSync(path.join(this.backupDir, id))) {
+            id = `${baseId}-${suffix++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Delete the oldest snapshots beyond the retention count
+     */
+    prune() {
+        const snapshots = this.listSnapshots();
+
+        snapshots.slice(this.retention).forEach(snapshot => {
+            try {
+                fs.rmSync(path.join(this.backupDir, snapshot.id), { recursive: true, force: true });
+                console.log(`Pruned backup ${snapshot.id}`);
+            } catch (error) {
+                console.error(`Error pruning backup ${snapshot.id}:`, error);
+            }
+        });
+    }
+
+    /**
+     * All snapshot manifests, newest first
+     */
+    listSnapshots() {
+        if (!fs.existsSync(this.backupDir)) return [];
+
+        return fs.readdirSync(this.backupDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => this.readManifest(entry.name))
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * The folder of a snapshot. Ids come from the renderer, so anything
+     * that could point outside the backups folder is refused.
+     */
+    snapshotDir(id) {
+        if (typeof id !== "string" || !id || id === "." || id.includes("..") || /[\\/]/.test(id)) {
+            throw new Error(`Invalid backup id "${id}"`);
+        }
+        return path.join(this.backupDir, id);
+    }
+
+    readManifest(id) {
+        try {
+            const manifestPath = path.join(this.snapshotDir(id), MANIFEST_FILE);
+            return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+        } catch (error) {
+            // Incomplete snapshot (e.g. interrupted mid-write), ignore it
+            return null;
+        }
+    }
+
+    /**
+     * Read the lists stored in a snapshot. Each list is the raw file
+     * contents: a { version, items } envelope, or a bare array in
+     * snapshots taken before list files were versioned.
+     */
+    readSnapshot(id) {
+        const snapshotDir = this.snapshotDir(id);
+        const manifest = this.readManifest(id);
+        if (!manifest) {
+            throw new Error(`Backup ${id} not found`);
+        }
+
+        const lists = {};
+        Object.keys(this.managers).forEach(type => {
+            const filePath = path.join(snapshotDir, `${type}.json`);
+            lists[type] = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf-8")) : [];
+        });
+
+        return { manifest, lists };
+    }
+
+    itemsOf(list) {
+        return Array.isArray(list) ? list : (list.items || []);
+    }
+
+    /**
+     * Summary of a snapshot for the restore preview
+     */
+    previewSnapshot(id) {
+        const { manifest, lists } = this.readSnapshot(id);
+        const preview = { ...manifest, lists: {} };
+
+        Object.entries(lists).forEach(([type, list]) => {
+            const items = this.itemsOf(list);
+            preview.lists[type] = {
+                count: items.length,
+                titles: items.slice(0, 10).map(item => item.title || item.name)
+            };
+        });
+
+        return preview;
+    }
+
+    /**
+     * Replace every list with the contents of a snapshot.
+     * The current state is snapshotted first so a restore can be undone.
+     */
+    async restoreSnapshot(id) {
+        const { manifest, lists } = this.readSnapshot(id);
+
+        await this.createSnapshot("pre-restore");
+
+        for (const [type, manager] of Object.entries(this.managers)) {
+            await manager.restoreData(lists[type]);
+        }
+
+        console.log(`Restored backup ${id}`);
+        return manifest;
+    }
+
+    /**
+     * Snapshot files for one list, newest first, for corruption recovery
+     */
+    getSnapshotFiles(type) {
+        return this.listSnapshots().map(snapshot => path.join(this.backupDir, snapshot.id, `${type}.json`));
+    }
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./atomic-write");
+
+// Covers are small; anything bigger than this isn't a cover
+const MAX_COVER_BYTES = 2 * 1024 * 1024;
+
+/**
+ * COVER CACHE CLASS
+ * Keeps cover images of list entries on disk, one file per image URL,
+ * so they can be carried in backup bundles and shown without a network.
+ */
+class CoverCache {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * File for a URL: a hash of it, keeping the image's extension
+     */
+    fileFor(url) {
+        const extension = (path.extname(new URL(url).pathname) || ".jpg").toLowerCase();
+        const hash = crypto.createHash("sha1").update(url).digest("hex");
+        return path.join(this.directory, `${hash}${extension}`);
+    }
+
+    has(url) {
+        return fs.existsSync(this.fileFor(url));
+    }
+
+    /**
+     * The cached image, or null if it isn't cached
+     */
+    read(url) {
+        try {
+            return fs.readFileSync(this.fileFor(url));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Keep an image, downloaded or from a backup bundle. Returns false if
+     * it is too big to be a cover and wasn't kept.
+     */
+    write(url, data) {
+        if (data.length > MAX_COVER_BYTES) {
+            console.log(`Not caching cover ${url}: ${data.length} bytes is more than a cover needs`);
+            return false;
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        writeFileAtomic(this.fileFor(url), data);
+        return true;
+    }
+
+    /**
+     * The image from the cache, downloading it first if needed.
+     * Resolves to null if it can't be downloaded.
+     */
+    async fetch(url) {
+        const cached = this.read(url);
+        if (cached) return cached;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) return null;
+
+            const data = Buffer.from(await response.arrayBuffer());
+            return this.write(url, data) ? data : null;
+        } catch (error) {
+            console.error(`Error downloading cover ${url}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = CoverCache;
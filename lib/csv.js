@@ -0,0 +1,79 @@
+/**
+ * CSV
+ * Reads and writes RFC 4180 CSV: quoted fields may hold the delimiter,
+ * line breaks and doubled quotes. Spreadsheets in some locales save
+ * with semicolons or tabs, so the delimiter is detected from the
+ * header line.
+ */
+
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Rows of fields. Blank lines are skipped.
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error("The file ends inside a quoted field");
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+function formatField(value) {
+    if (value === undefined || value === null) return '';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text for rows of values, with CRLF line endings as spreadsheets expect
+ */
+function formatCsv(rows) {
+    return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, formatCsv };
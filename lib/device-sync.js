@@ -0,0 +1,519 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+
+/**
+ * DEVICE SYNC
+ * Syncs a profile between computers through a shared folder, such as a
+ * synced drive or a network share. Each device appends the changes made
+ * on it to its own operation log in the folder, <deviceId>.jsonl, and
+ * never writes to another device's log, so the sync tool never has to
+ * merge files. Every device merges all logs the same way and ends up
+ * with the same lists.
+ *
+ * An operation sets some fields of one entry, or removes it, and carries
+ * the time it was made and how far its device had read every other log
+ * by then. That tells which operations were made without knowing about
+ * each other. Of two such edits to the same field the later one wins,
+ * except that progress counts keep the higher value and an edit beats a
+ * removal, so no progress is lost. Concurrent edits that set a field to
+ * different values are reported as conflicts for the user to settle.
+ */
+
+// Counts that only go up in normal use; concurrent edits keep the highest
+const PROGRESS_FIELDS = ["episodes_watched", "chapters_read", "repeat"];
+
+// Adding the same title on two computers keeps the earlier date
+const EARLIEST_FIELDS = ["added_date"];
+
+// Pseudo-field for whether the entry has been removed
+const REMOVED = "_removed";
+
+// Sync tools often write a log in several steps
+const SETTLE_DELAY = 1000;
+
+// Changes made elsewhere aren't always reported by fs.watch on shared drives
+const POLL_INTERVAL = 60 * 1000;
+
+/**
+ * Entries are matched across devices by mal_id, or by their id if they
+ * have none, since every device gives the same title its own id
+ */
+function keyOf(item) {
+    return item.mal_id ? `mal:${item.mal_id}` : `id:${item.id}`;
+}
+
+function hasSeen(op, other) {
+    if (op.device === other.device) return op.seq > other.seq;
+    return (op.seen?.[other.device] || 0) >= other.seq;
+}
+
+// Deterministic order: by time, then device and sequence to break ties
+function compareOps(a, b) {
+    return a.time.localeCompare(b.time) || a.device.localeCompare(b.device) || a.seq - b.seq;
+}
+
+/**
+ * The value of a field from the edits no later edit knew about
+ */
+function resolveField(field, heads) {
+    if (heads.length === 1) return heads[0].value;
+
+    if (field === REMOVED) return heads.every(head => head.value);
+    if (PROGRESS_FIELDS.includes(field)) return Math.max(...heads.map(head => Number(head.value) || 0));
+    if (EARLIEST_FIELDS.includes(field)) return heads.map(head => head.value).filter(Boolean).sort()[0] ?? null;
+    return heads.reduce((latest, head) => compareOps(head.op, latest.op) > 0 ? head : latest).value;
+}
+
+/**
+ * Merge the operations of one list from every device. Returns the
+ * merged entries by key, as { itemId, fields, removed }, and the
+ * conflicts left to settle. The result depends only on the operations,
+ * not on the order they were read in.
+ */
+function mergeOperations(ops) {
+    const entries = new Map();
+
+    [...ops].sort(compareOps).forEach(op => {
+        if (!entries.has(op.key)) entries.set(op.key, { itemId: op.itemId, heads: {} });
+        const entry = entries.get(op.key);
+        const fields = op.action === "remove" ? { [REMOVED]: true } : { ...op.fields, [REMOVED]: false };
+
+        Object.entries(fields).forEach(([field, value]) => {
+            const heads = (entry.heads[field] || []).filter(head => !hasSeen(op, head.op));
+            if (!heads.some(head => hasSeen(head.op, op))) heads.push({ op, value });
+            entry.heads[field] = heads;
+        });
+    });
+
+    const merged = new Map();
+    const conflicts = [];
+
+    entries.forEach((entry, key) => {
+        const fields = {};
+        Object.entries(entry.heads).forEach(([field, heads]) => {
+            if (field !== REMOVED) fields[field] = resolveField(field, heads);
+        });
+        const removed = resolveField(REMOVED, entry.heads[REMOVED]);
+        merged.set(key, { itemId: entry.itemId, fields, removed });
+
+        Object.entries(entry.heads).forEach(([field, heads]) => {
+            const values = new Set(heads.map(head => JSON.stringify(head.value)));
+            if (values.size < 2 || PROGRESS_FIELDS.includes(field) || EARLIEST_FIELDS.includes(field)) return;
+            // A removed entry's fields don't matter any more
+            if (removed && field !== REMOVED) return;
+
+            conflicts.push({
+                key,
+                itemId: entry.itemId,
+                title: fields.title || fields.name || key,
+                field,
+                value: field === REMOVED ? removed : fields[field],
+                options: heads.map(head => ({ value: head.value, device: head.op.device, time: head.op.time }))
+            });
+        });
+    });
+
+    return { entries: merged, conflicts };
+}
+
+/**
+ * The fields an operation carries for an item: everything but its id
+ */
+function itemFields(item) {
+    const { id, ...fields } = item;
+    return fields;
+}
+
+function changedFields(before, after) {
+    const fields = {};
+    Object.keys({ ...before, ...after }).forEach(field => {
+        if (field === "id") return;
+        if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) fields[field] = after[field] ?? null;
+    });
+    return fields;
+}
+
+/**
+ * DEVICE SYNC CLASS
+ * Keeps one profile's lists in step with a shared folder. Records the
+ * profile's changes as operations in this device's log, and merges the
+ * logs of every device into the lists when they change. Settings are
+ * kept in the given SettingsStore. Emits 'status' when anything shown on
+ * the sync page changes.
+ */
+class DeviceSync extends EventEmitter {
+    constructor({ store, managers, activity, deviceId, deviceName }) {
+        super();
+        this.store = store;
+        this.managers = managers;
+        this.activity = activity;
+        this.deviceId = deviceId;
+        this.deviceName = deviceName;
+        this.seq = 0;
+        this.seen = {};
+        this.views = {};
+        this.conflicts = [];
+        this.skipped = [];
+        this.devices = [];
+        this.lastError = null;
+        this.running = null;
+        this.watcher = null;
+        this.timer = null;
+        this.poller = null;
+        // Operations parsed from each log, and how far it has been read
+        this.logs = new Map();
+        this.mergedLogs = null;
+    }
+
+    get folder() {
+        return this.store.get("folder");
+    }
+
+    get logFile() {
+        return path.join(this.folder, `${this.deviceId}.jsonl`);
+    }
+
+    getStatus() {
+        return {
+            folder: this.folder,
+            deviceId: this.deviceId,
+            deviceName: this.deviceName,
+            lastSyncAt: this.store.get("lastSyncAt"),
+            syncing: !!this.running,
+            lastError: this.lastError,
+            devices: this.devices,
+            conflicts: this.conflicts,
+            skipped: this.skipped
+        };
+    }
+
+    emitStatus() {
+        this.emit("status", this.getStatus());
+    }
+
+    /**
+     * Start syncing with the folder the profile is set up with, if any
+     */
+    async start() {
+        if (!this.folder) return;
+
+        try {
+            this.seq = this.readLog(this.logFile).reduce((last, op) => Math.max(last, op.seq), 0);
+            this.watch();
+            await this.sync();
+        } catch (error) {
+            this.lastError = error.message;
+            console.error("Error starting folder sync:", error);
+        }
+    }
+
+    /**
+     * Sync with a new folder. Entries already in the lists are written to
+     * this device's log, dated by when they were last changed, and merged
+     * with what the folder holds.
+     */
+    async join(folder) {
+        this.close();
+        fs.mkdirSync(folder, { recursive: true });
+        this.store.update({ folder, lastSyncAt: null });
+        this.seq = this.readLog(this.logFile).reduce((last, op) => Math.max(last, op.seq), 0);
+
+        const { opsByList } = this.readAll();
+        Object.keys(this.managers).forEach(type => {
+            this.views[type] = mergeOperations(opsByList[type] || []);
+        });
+        const lastChanged = new Map();
+        this.activity.readAll().forEach(entry => lastChanged.set(entry.itemId, entry.timestamp));
+
+        for (const [type, manager] of Object.entries(this.managers)) {
+            const items = await manager.getWatchlist();
+            this.recordDifferences(type, items, { removals: false, timeOf: item => lastChanged.get(item.id) || item.added_date });
+        }
+
+        this.watch();
+        await this.sync();
+        console.log(`Syncing through ${folder} as ${this.deviceName}`);
+        return this.getStatus();
+    }
+
+    leave() {
+        this.close();
+        this.store.update({ folder: null, lastSyncAt: null });
+        this.views = {};
+        this.conflicts = [];
+        this.skipped = [];
+        this.devices = [];
+        this.lastError = null;
+        this.emitStatus();
+        return this.getStatus();
+    }
+
+    watch() {
+        try {
+            this.watcher = fs.watch(this.folder, { persistent: false }, (event, filename) => {
+                if (filename && filename.toString().endsWith(".jsonl")) this.scheduleSync();
+            });
+            this.watcher.on("error", error => console.error(`Error watching ${this.folder}:`, error));
+        } catch (error) {
+            console.error(`Can't watch ${this.folder} for changes:`, error);
+        }
+        this.poller = setInterval(() => this.scheduleSync(), POLL_INTERVAL);
+    }
+
+    scheduleSync() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.sync().catch(error => console.error("Folder sync failed:", error.message));
+        }, SETTLE_DELAY);
+    }
+
+    close() {
+        if (this.watcher) this.watcher.close();
+        this.watcher = null;
+        clearTimeout(this.timer);
+        clearInterval(this.poller);
+        this.logs.clear();
+        this.mergedLogs = null;
+    }
+
+    /**
+     * Operations in a log. Logs only grow, so just what was appended since
+     * the last read is parsed; one that got shorter is read again in full.
+     * A line still being written by a sync tool is left for the next read.
+     */
+    readLog(file) {
+        if (!fs.existsSync(file)) {
+            this.logs.delete(file);
+            return [];
+        }
+
+        const { size } = fs.statSync(file);
+        let log = this.logs.get(file);
+        if (!log || size < log.offset) {
+            log = { offset: 0, ops: [] };
+            this.logs.set(file, log);
+        }
+        if (size === log.offset) return log.ops;
+
+        const buffer = Buffer.alloc(size - log.offset);
+        const fd = fs.openSync(file, "r");
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, log.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        const end = buffer.lastIndexOf("\n") + 1;
+        log.offset += end;
+        buffer.subarray(0, end).toString("utf-8").split("\n").forEach(line => {
+            try {
+                const op = line.trim() ? JSON.parse(line) : null;
+                if (op && op.device && Number.isInteger(op.seq) && typeof op.time === "string" && op.list) log.ops.push(op);
+            } catch (error) {
+                // Not an operation; damaged lines are ignored
+            }
+        });
+        return log.ops;
+    }
+
+    /**
+     * Every device's operations by list. readTo tells how far every log
+     * was read, to see if any changed.
+     */
+    readAll() {
+        const opsByList = {};
+        const devices = [];
+        const seen = {};
+        const readTo = [];
+
+        fs.readdirSync(this.folder).filter(name => name.endsWith(".jsonl")).sort().forEach(name => {
+            const file = path.join(this.folder, name);
+            const ops = this.readLog(file);
+            readTo.push(`${name}:${this.logs.get(file)?.offset || 0}`);
+            if (ops.length === 0) return;
+
+            const device = ops[0].device;
+            const last = ops.reduce((latest, op) => op.seq > latest.seq ? op : latest);
+            seen[device] = last.seq;
+            devices.push({ id: device, name: last.deviceName || device, lastChange: last.time, self: device === this.deviceId });
+            ops.forEach(op => {
+                (opsByList[op.list] = opsByList[op.list] || []).push(op);
+            });
+        });
+
+        return { opsByList, devices, seen, readTo: readTo.join("\n") };
+    }
+
+    /**
+     * Merge every device's log into the lists. A sync already running is
+     * joined rather than started twice.
+     */
+    async sync() {
+        if (!this.folder) {
+            throw new Error("Choose a shared folder first");
+        }
+        if (!this.running) {
+            this.running = this.runSync().finally(() => {
+                this.running = null;
+                this.emitStatus();
+            });
+            this.emitStatus();
+        }
+        return this.running;
+    }
+
+    async runSync() {
+        try {
+            const { opsByList, devices, seen, readTo } = this.readAll();
+            // The polls mostly find nothing new; the lists are then merged already
+            if (readTo === this.mergedLogs) {
+                this.devices = devices;
+                return this.getStatus();
+            }
+
+            const conflicts = [];
+            const skipped = [];
+
+            for (const [type, manager] of Object.entries(this.managers)) {
+                const merged = await manager.mergeOperations(opsByList[type] || []);
+                this.views[type] = merged;
+                conflicts.push(...merged.conflicts.map(conflict => ({ ...conflict, type })));
+                skipped.push(...merged.skipped.map(entry => ({ ...entry, type })));
+            }
+
+            const names = Object.fromEntries(devices.map(device => [device.id, device.name]));
+            conflicts.forEach(conflict => conflict.options.forEach(option => {
+                option.deviceName = names[option.device] || option.device;
+            }));
+
+            this.seen = seen;
+            this.devices = devices;
+            this.conflicts = conflicts;
+            this.skipped = skipped;
+            this.mergedLogs = readTo;
+            this.lastError = null;
+            this.store.update({ lastSyncAt: new Date().toISOString() });
+            return this.getStatus();
+        } catch (error) {
+            this.lastError = error.message;
+            throw error;
+        }
+    }
+
+    /**
+     * Add operations to this device's log
+     */
+    append(ops) {
+        if (!this.folder || ops.length === 0) return;
+
+        const lines = ops.map(op => {
+            this.seq++;
+            return JSON.stringify({
+                device: this.deviceId,
+                deviceName: this.deviceName,
+                seq: this.seq,
+                seen: this.seen,
+                ...op
+            });
+        });
+
+        try {
+            fs.appendFileSync(this.logFile, lines.join("\n") + "\n");
+        } catch (error) {
+            this.lastError = `Can't write to the shared folder: ${error.message}`;
+            console.error("Error writing the sync log:", error);
+            this.emitStatus();
+        }
+    }
+
+    /**
+     * Log a change made on this device
+     */
+    record(change) {
+        if (!this.folder || change.origin === "device-sync") return;
+
+        const time = new Date().toISOString();
+        const { type, before, after } = change;
+        const ops = [];
+
+        if (change.action === "remove") {
+            ops.push({ time, list: type, key: keyOf(before), itemId: before.id, action: "remove" });
+        } else if (change.action === "add") {
+            ops.push({ time, list: type, key: keyOf(after), itemId: after.id, action: "put", fields: itemFields(after) });
+        } else if (keyOf(before) !== keyOf(after)) {
+            // Linked to a MyAnimeList entry: the other devices know it by its old key
+            ops.push({ time, list: type, key: keyOf(before), itemId: before.id, action: "remove" });
+            ops.push({ time, list: type, key: keyOf(after), itemId: after.id, action: "put", fields: itemFields(after) });
+        } else {
+            const fields = changedFields(before, after);
+            if (Object.keys(fields).length === 0) return;
+            ops.push({ time, list: type, key: keyOf(after), itemId: after.id, action: "put", fields });
+        }
+
+        this.append(ops);
+    }
+
+    /**
+     * Log how a list differs from the merged logs, e.g. after it was
+     * replaced from a backup. With removals, entries missing from the
+     * list are logged as removed.
+     */
+    recordDifferences(type, items, { removals = true, timeOf = () => new Date().toISOString() } = {}) {
+        const view = this.views[type]?.entries || new Map();
+        const ops = [];
+        const keys = new Set();
+
+        items.forEach(item => {
+            const key = keyOf(item);
+            const merged = view.get(key);
+            keys.add(key);
+
+            const fields = merged && !merged.removed ? changedFields(merged.fields, itemFields(item)) : itemFields(item);
+            if (Object.keys(fields).length > 0) {
+                ops.push({ time: timeOf(item), list: type, key, itemId: item.id, action: "put", fields });
+            }
+        });
+
+        if (removals) {
+            view.forEach((merged, key) => {
+                if (!merged.removed && !keys.has(key)) {
+                    ops.push({ time: timeOf(merged.fields), list: type, key, itemId: merged.itemId, action: "remove" });
+                }
+            });
+        }
+
+        this.append(ops);
+    }
+
+    async recordReplacedList(type) {
+        if (!this.folder) return;
+        this.recordDifferences(type, await this.managers[type].getWatchlist());
+    }
+
+    /**
+     * Settle a conflict with one of its values. The choice is logged as a
+     * new edit that knows about all of them, so every device takes it.
+     */
+    async resolveConflict(type, key, field, optionIndex) {
+        const conflict = this.conflicts.find(c => c.type === type && c.key === key && c.field === field);
+        const option = conflict?.options[optionIndex];
+        if (!option) {
+            throw new Error("That conflict has already been settled");
+        }
+
+        const time = new Date().toISOString();
+        if (field === REMOVED) {
+            const merged = this.views[type].entries.get(key);
+            this.append([option.value
+                ? { time, list: type, key, itemId: conflict.itemId, action: "remove" }
+                : { time, list: type, key, itemId: conflict.itemId, action: "put", fields: merged.fields }]);
+        } else {
+            this.append([{ time, list: type, key, itemId: conflict.itemId, action: "put", fields: { [field]: option.value } }]);
+        }
+
+        return this.sync();
+    }
+}
+
+module.exports = { DeviceSync, REMOVED, keyOf, mergeOperations };
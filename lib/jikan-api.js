@@ -0,0 +1,292 @@
+const EventEmitter = require("events");
+
+const JIKAN_API_BASE = "https://api.jikan.moe/v4";
+
+// Jikan allows 3 requests a second and 60 a minute; one bucket per limit
+const RATE_LIMITS = [
+    { capacity: 3, perMs: 3 / 1000 },
+    { capacity: 60, perMs: 60 / 60000 }
+];
+const MAX_RETRIES = 3;
+const RETRY_BACKOFF = 1000;
+// A request Jikan hasn't answered by then counts as a network error
+const REQUEST_TIMEOUT = 15000;
+
+// Checked while offline to notice when Jikan can be reached again
+const CONNECTION_CHECK_PATH = "/genres/anime";
+const CONNECTION_CHECK_INTERVAL = 30 * 1000;
+
+// Requests every Jikan v4 instance answers, with how a v4 response looks
+const HEALTH_CHECKS = [
+    {
+        path: "/anime/1",
+        expected: "an anime with mal_id 1",
+        matches: body => body?.data?.mal_id === 1 && typeof body.data.title === "string"
+    },
+    {
+        path: "/top/anime?limit=1",
+        expected: "a list with pagination",
+        matches: body => Array.isArray(body?.data) && typeof body?.pagination?.has_next_page === "boolean"
+    }
+];
+const HEALTH_CHECK_TIMEOUT = 10000;
+
+/**
+ * JIKAN API CLASS
+ * Every request to Jikan goes through here, the pages' as well as the
+ * lookups of imports, so one rate limit covers them all. Requests wait
+ * for a token from two buckets, one per Jikan limit, and the pages'
+ * requests go before background lookups. Responses of 429 and 5xx are
+ * retried with exponential backoff, as are requests that fail or go
+ * unanswered for too long, and a request made while the same one is
+ * still running gets the same response instead of going out twice.
+ *
+ * With a JikanCache, get() answers from it: a stale response is
+ * returned straight away and refreshed in the background.
+ *
+ * A request that can't reach Jikan marks it offline. Offline, cached
+ * responses are still returned, other requests fail at once instead of
+ * retrying, and Jikan is checked again every half minute until it
+ * answers. Emits 'status' with true or false whenever Jikan becomes
+ * reachable or not.
+ */
+class JikanApi extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.baseUrl = options.baseUrl || JIKAN_API_BASE;
+        this.cache = options.cache || null;
+        this.backoff = options.backoff ?? RETRY_BACKOFF;
+        this.timeout = options.timeout ?? REQUEST_TIMEOUT;
+        this.buckets = RATE_LIMITS.map(limit => ({ ...limit, tokens: limit.capacity, updatedAt: Date.now() }));
+        this.waiting = { foreground: [], background: [] };
+        this.serving = false;
+        this.inFlight = new Map();
+        this.online = true;
+        this.checkTimer = null;
+    }
+
+    configure({ baseUrl }) {
+        if (baseUrl) this.baseUrl = baseUrl;
+    }
+
+    setOnline(online) {
+        if (online === this.online) return;
+        this.online = online;
+
+        clearInterval(this.checkTimer);
+        this.checkTimer = online ? null : setInterval(() => this.checkConnection(), CONNECTION_CHECK_INTERVAL);
+        console.log(online ? "Jikan can be reached again" : "Jikan can't be reached, working offline");
+        this.emit("status", online);
+    }
+
+    /**
+     * See whether Jikan answers again, refreshing a small cached response
+     */
+    async checkConnection() {
+        try {
+            this.store(CONNECTION_CHECK_PATH, await this.fetch(CONNECTION_CHECK_PATH));
+        } catch (error) {
+            // fetch() has already marked Jikan offline if it can't be reached
+        }
+    }
+
+    /**
+     * The parsed response for a path such as "/anime/1". Rejects with an
+     * error carrying the status if Jikan doesn't answer with success, or
+     * with `offline` set if it can't be reached. Background requests wait
+     * until no page is waiting.
+     */
+    fetch(pathAndQuery, { background = false } = {}) {
+        const key = `${background ? "background" : "foreground"} ${pathAndQuery}`;
+        if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+        const request = this.send(pathAndQuery, background).finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Like fetch(), but from the cache when it has the response
+     */
+    async get(pathAndQuery, options) {
+        const cached = this.cache?.get(pathAndQuery);
+        if (cached) {
+            if (cached.stale) this.refresh(pathAndQuery);
+            return cached.data;
+        }
+
+        const data = await this.fetch(pathAndQuery, options);
+        this.store(pathAndQuery, data);
+        return data;
+    }
+
+    /**
+     * Fetch a fresh copy of a stale response for next time
+     */
+    refresh(pathAndQuery) {
+        if (!this.online) return;
+
+        this.fetch(pathAndQuery, { background: true })
+            .then(data => this.store(pathAndQuery, data))
+            .catch(error => console.warn(`Couldn't refresh ${pathAndQuery}:`, error.message));
+    }
+
+    store(pathAndQuery, data) {
+        if (!this.cache) return;
+        try {
+            this.cache.set(pathAndQuery, data);
+        } catch (error) {
+            console.error("Error writing the Jikan cache:", error);
+        }
+    }
+
+    /**
+     * Like get(), but resolves to null for 404
+     */
+    async request(pathAndQuery, options) {
+        try {
+            return await this.get(pathAndQuery, options);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async send(pathAndQuery, background, attempt = 0) {
+        await this.acquire(background);
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${pathAndQuery}`, { signal: AbortSignal.timeout(this.timeout) });
+        } catch (error) {
+            // Network errors and timeouts are often brief, so they get the same retries
+            if (this.online && attempt < MAX_RETRIES) {
+                await this.sleep(this.backoff * 2 ** attempt);
+                return this.send(pathAndQuery, background, attempt + 1);
+            }
+            this.setOnline(false);
+            const offline = new Error("You're offline, and this hasn't been loaded on this computer before.");
+            offline.offline = true;
+            throw offline;
+        }
+        this.setOnline(true);
+
+        if ((response.status === 429 || response.status >= 500) && attempt < MAX_RETRIES) {
+            const retryAfter = parseFloat(response.headers.get("Retry-After")) * 1000;
+            await this.sleep(Math.max(retryAfter || 0, this.backoff * 2 ** attempt));
+            return this.send(pathAndQuery, background, attempt + 1);
+        }
+        if (!response.ok) {
+            const error = new Error(response.status === 429
+                ? "Jikan is busy right now. Try again in a moment."
+                : `Jikan responded with ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Wait until both buckets have a token, then take one from each.
+     * Waiting pages are served first, each group in order.
+     */
+    acquire(background) {
+        return new Promise(resolve => {
+            this.waiting[background ? "background" : "foreground"].push(resolve);
+            this.serve();
+        });
+    }
+
+    async serve() {
+        if (this.serving) return;
+        this.serving = true;
+
+        while (this.waiting.foreground.length + this.waiting.background.length > 0) {
+            const delay = this.delayUntilToken();
+            if (delay > 0) {
+                await this.sleep(delay);
+                continue;
+            }
+            this.buckets.forEach(bucket => { bucket.tokens -= 1; });
+            (this.waiting.foreground.shift() || this.waiting.background.shift())();
+        }
+
+        this.serving = false;
+    }
+
+    /**
+     * Refill the buckets and return how long until each has a token
+     */
+    delayUntilToken() {
+        const now = Date.now();
+        return Math.max(...this.buckets.map(bucket => {
+            bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.perMs);
+            bucket.updatedAt = now;
+            return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / bucket.perMs);
+        }));
+    }
+
+    /**
+     * One anime, manga or character by MyAnimeList id
+     */
+    async getEntry(kind, malId) {
+        const result = await this.request(`/${kind}/${malId}`, { background: true });
+        return result ? result.data : null;
+    }
+
+    /**
+     * The best matches for a title, most relevant first
+     */
+    async search(kind, query, limit = 5) {
+        const result = await this.request(`/${kind}?q=${encodeURIComponent(query)}&limit=${limit}`, { background: true });
+        return result ? result.data : [];
+    }
+
+    sleep(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+}
+
+/**
+ * A base URL without trailing slashes. Throws unless it is http or https.
+ */
+function normalizeBaseUrl(baseUrl) {
+    let url;
+    try {
+        url = new URL(String(baseUrl).trim());
+    } catch (error) {
+        throw new Error(`"${baseUrl}" is not a valid URL`);
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+        throw new Error("The Jikan URL must start with http:// or https://");
+    }
+    return url.toString().replace(/\/+$/, "");
+}
+
+/**
+ * Whether a base URL answers like Jikan v4, as { ok, checks } with a
+ * message for each request that didn't
+ */
+async function checkJikanEndpoint(baseUrl) {
+    const checks = [];
+
+    for (const { path, expected, matches } of HEALTH_CHECKS) {
+        let message = null;
+        try {
+            const response = await fetch(`${baseUrl}${path}`, { signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT) });
+            if (!response.ok) {
+                message = `answered ${response.status}`;
+            } else if (!matches(await response.json().catch(() => null))) {
+                message = `didn't answer with ${expected}`;
+            }
+        } catch (error) {
+            message = error.name === "TimeoutError" ? "didn't answer in time" : `couldn't be reached (${error.message})`;
+        }
+        checks.push({ path, ok: message === null, message });
+    }
+
+    return { ok: checks.every(check => check.ok), checks };
+}
+
+module.exports = { JikanApi, JIKAN_API_BASE, normalizeBaseUrl, checkJikanEndpoint };
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./atomic-write");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How long a response stays fresh, by endpoint. The first match wins.
+const TTL_RULES = [
+    [/^\/genres\//, 7 * DAY],
+    [/^\/(schedules|seasons\/now)/, 6 * HOUR],
+    [/^\/top\//, 12 * HOUR],
+    [/^\/(anime|manga|characters|people)\/\d+/, DAY]
+];
+// Searches and browsing pages
+const DEFAULT_TTL = HOUR;
+
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+// Pruning goes a little below the limit so it doesn't run on every write
+const PRUNE_TARGET = 0.9;
+
+/**
+ * JIKAN CACHE CLASS
+ * Keeps Jikan responses on disk, one file per request path, so pages
+ * load from it across navigations and restarts. A response past its
+ * time to live is still returned, marked stale, for the caller to show
+ * while it fetches a fresh copy. When the cache grows past its size
+ * limit the responses used longest ago are removed. Responses are kept
+ * per server, so switching to another Jikan instance doesn't show what
+ * the previous one answered.
+ */
+class JikanCache {
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.source = options.source || "";
+        this.index = null;
+    }
+
+    fileFor(requestPath) {
+        const hash = crypto.createHash("sha1").update(`${this.source}${requestPath}`).digest("hex");
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    ttlFor(requestPath) {
+        const rule = TTL_RULES.find(([pattern]) => pattern.test(requestPath));
+        return rule ? rule[1] : DEFAULT_TTL;
+    }
+
+    /**
+     * Size and last use of every cached file, read from disk once
+     */
+    loadIndex() {
+        if (this.index) return this.index;
+
+        this.index = new Map();
+        try {
+            fs.readdirSync(this.directory).filter(name => name.endsWith(".json")).forEach(name => {
+                const stats = fs.statSync(path.join(this.directory, name));
+                this.index.set(name, { size: stats.size, usedAt: stats.mtimeMs });
+            });
+        } catch (error) {
+            if (error.code !== "ENOENT") console.error("Error reading the Jikan cache:", error);
+        }
+        return this.index;
+    }
+
+    /**
+     * The cached response for a path as { data, storedAt, stale }, or null
+     */
+    get(requestPath) {
+        const file = this.fileFor(requestPath);
+        let entry;
+        try {
+            entry = JSON.parse(fs.readFileSync(file, "utf-8"));
+        } catch (error) {
+            return null;
+        }
+        // Two paths with the same hash are vanishingly unlikely, but cheap to rule out
+        if (entry.path !== requestPath || (entry.source || "") !== this.source) return null;
+
+        const now = Date.now();
+        const indexed = this.loadIndex().get(path.basename(file));
+        if (indexed) indexed.usedAt = now;
+        try {
+            fs.utimesSync(file, new Date(now), new Date(now));
+        } catch (error) {
+            // Only affects which entry is pruned first
+        }
+
+        return {
+            data: entry.data,
+            storedAt: entry.storedAt,
+            stale: now - new Date(entry.storedAt).getTime() > this.ttlFor(requestPath)
+        };
+    }
+
+    set(requestPath, data) {
+        const file = this.fileFor(requestPath);
+        const json = JSON.stringify({ source: this.source, path: requestPath, storedAt: new Date().toISOString(), data });
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        writeFileAtomic(file, json);
+        this.loadIndex().set(path.basename(file), { size: Buffer.byteLength(json), usedAt: Date.now() });
+        this.prune();
+    }
+
+    /**
+     * Remove the least recently used responses until the cache fits
+     */
+    prune() {
+        const index = this.loadIndex();
+        let total = this.stats().bytes;
+        if (total <= this.maxBytes) return;
+
+        const oldestFirst = [...index.entries()].sort(([, a], [, b]) => a.usedAt - b.usedAt);
+        for (const [name, { size }] of oldestFirst) {
+            if (total <= this.maxBytes * PRUNE_TARGET) break;
+            try {
+                fs.unlinkSync(path.join(this.directory, name));
+            } catch (error) {
+                if (error.code !== "ENOENT") continue;
+            }
+            index.delete(name);
+            total -= size;
+        }
+    }
+
+    configure({ maxBytes, source }) {
+        if (maxBytes) this.maxBytes = maxBytes;
+        if (source !== undefined) this.source = source;
+        this.prune();
+    }
+
+    clear() {
+        fs.rmSync(this.directory, { recursive: true, force: true });
+        this.index = new Map();
+    }
+
+    stats() {
+        const entries = [...this.loadIndex().values()];
+        return {
+            entries: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+module.exports = JikanCache;
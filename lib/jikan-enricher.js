@@ -0,0 +1,93 @@
+const EventEmitter = require("events");
+
+// The Jikan endpoint holding each list's entries
+const JIKAN_KINDS = {
+    watchlist: "anime",
+    readinglist: "manga",
+    favorites: "characters"
+};
+
+/**
+ * JIKAN ENRICHER CLASS
+ * Looks up imported entries on Jikan one at a time in the background and
+ * emits 'enriched' with the entry's title, cover image and totals, then
+ * 'progress' after each lookup and 'done' when the queue is empty.
+ */
+class JikanEnricher extends EventEmitter {
+    constructor(api) {
+        super();
+        this.api = api;
+        this.queue = [];
+        this.running = false;
+        this.done = 0;
+        this.total = 0;
+    }
+
+    /**
+     * Queue entries of a list for lookup. Entries without a mal_id are
+     * custom and have nothing to look up.
+     */
+    enqueue(type, items) {
+        const jobs = items
+            .filter(item => item.mal_id)
+            .map(item => ({ type, id: item.id, malId: item.mal_id }));
+
+        this.queue.push(...jobs);
+        this.total += jobs.length;
+        if (!this.running) this.run();
+    }
+
+    /**
+     * Drop queued lookups. Progress starts over, counting only the lookup
+     * still in flight.
+     */
+    stop() {
+        this.queue = [];
+        this.done = 0;
+        this.total = this.running ? 1 : 0;
+    }
+
+    async run() {
+        this.running = true;
+
+        while (this.queue.length > 0) {
+            const job = this.queue.shift();
+            try {
+                const data = await this.api.getEntry(JIKAN_KINDS[job.type], job.malId);
+                if (data) this.emit('enriched', job, this.toFields(job.type, data));
+            } catch (error) {
+                console.error(`Error looking up ${job.type} entry ${job.malId} on Jikan:`, error.message);
+            }
+
+            this.done++;
+            this.emit('progress', { done: this.done, total: this.total });
+        }
+
+        this.running = false;
+        this.done = 0;
+        this.total = 0;
+        this.emit('done');
+    }
+
+    /**
+     * Fields of a list item that Jikan knows better than an import file
+     */
+    toFields(type, data) {
+        const image = data.images?.jpg?.image_url;
+
+        if (type === 'favorites') {
+            return { name: data.name, image, favorites: data.favorites || 0 };
+        }
+
+        const fields = { title: data.title, image, score: data.score || 0 };
+        if (type === 'readinglist') {
+            if (data.chapters) fields.chapters = data.chapters;
+        } else if (data.episodes) {
+            fields.episodes = data.episodes;
+        }
+
+        return fields;
+    }
+}
+
+module.exports = { JikanEnricher, JIKAN_KINDS };
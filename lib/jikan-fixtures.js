@@ -0,0 +1,54 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./atomic-write");
+
+/**
+ * JIKAN FIXTURES
+ * Recorded Jikan responses, one JSON file per request, so pages can be
+ * rendered the same way every time without a network. They are served
+ * by scripts/jikan-fixture-server.js, which the app is pointed at with
+ * --jikan-base-url. Files are named after the request with a short
+ * hash, and hold its status and body. Query parameters are sorted
+ * first, so the order a page builds them in doesn't matter.
+ */
+
+function normalizeRequestPath(requestPath) {
+    const url = new URL(requestPath, "http://fixture");
+    url.searchParams.sort();
+    return `${url.pathname.replace(/\/+$/, "") || "/"}${url.search}`;
+}
+
+function fixtureFile(directory, requestPath) {
+    const normalized = normalizeRequestPath(requestPath);
+    const readable = normalized.replace(/[^a-zA-Z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 80);
+    const hash = crypto.createHash("sha1").update(normalized).digest("hex").slice(0, 8);
+    return path.join(directory, `${readable || "root"}-${hash}.json`);
+}
+
+/**
+ * The recorded { path, status, body } for a request, or null
+ */
+function readFixture(directory, requestPath) {
+    try {
+        return JSON.parse(fs.readFileSync(fixtureFile(directory, requestPath), "utf-8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") console.error(`Error reading fixture for ${requestPath}:`, error);
+        return null;
+    }
+}
+
+function writeFixture(directory, requestPath, status, body) {
+    fs.mkdirSync(directory, { recursive: true });
+    const fixture = { path: normalizeRequestPath(requestPath), status, recordedAt: new Date().toISOString(), body };
+    writeFileAtomic(fixtureFile(directory, requestPath), JSON.stringify(fixture, null, 2));
+}
+
+/**
+ * What a request without a fixture answers, in Jikan's error shape
+ */
+function missingFixtureBody(requestPath) {
+    return { status: 404, type: "FixtureMissing", message: `No fixture recorded for ${requestPath}`, error: null };
+}
+
+module.exports = { normalizeRequestPath, fixtureFile, readFixture, writeFixture, missingFixtureBody };
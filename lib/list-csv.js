@@ -0,0 +1,265 @@
+const { formatCsv } = require("./csv");
+
+/**
+ * LIST CSV
+ * Writes all lists to a single spreadsheet, one row per entry with a
+ * "list" column, and maps the columns of any CSV back onto list items.
+ * Episodes and chapters share the progress and total columns so every
+ * list fits the same header.
+ */
+
+const LIST_TYPES = ['watchlist', 'readinglist', 'favorites'];
+
+// Fields a CSV column can be mapped to, with header names that map automatically
+const CSV_FIELDS = [
+    { key: 'list', label: 'List', aliases: ['list', 'type', 'list type', 'media type'] },
+    { key: 'mal_id', label: 'MyAnimeList ID', aliases: ['mal id', 'malid', 'id mal', 'myanimelist id', 'series animedb id', 'manga mangadb id'] },
+    { key: 'title', label: 'Title or character name', aliases: ['title', 'name', 'series title', 'manga title', 'romaji', 'english title'] },
+    { key: 'status', label: 'Status', aliases: ['status', 'my status', 'state'] },
+    { key: 'progress', label: 'Episodes watched / chapters read', aliases: ['progress', 'episodes watched', 'chapters read', 'watched', 'read', 'my watched episodes', 'my read chapters'] },
+    { key: 'total', label: 'Total episodes / chapters', aliases: ['total', 'episodes', 'chapters', 'series episodes', 'manga chapters'] },
+    { key: 'rating', label: 'Your rating (0-10)', aliases: ['rating', 'my score', 'my rating', 'your rating'] },
+    { key: 'score', label: 'MyAnimeList score', aliases: ['score', 'mal score'] },
+    { key: 'start_date', label: 'Started', aliases: ['start date', 'started', 'started at', 'my start date'] },
+    { key: 'finish_date', label: 'Finished', aliases: ['finish date', 'finished', 'completed at', 'my finish date'] },
+    { key: 'added_date', label: 'Added', aliases: ['added date', 'added', 'date added'] },
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments', 'my comments'] },
+    { key: 'anime', label: 'Anime (characters)', aliases: ['anime'] },
+    { key: 'image', label: 'Cover image URL', aliases: ['image', 'cover', 'image url', 'cover image'] }
+];
+
+// Spreadsheet words for each list, and for each status of a list
+const LIST_NAMES = {
+    'watchlist': 'watchlist', 'anime': 'watchlist', 'watch list': 'watchlist',
+    'readinglist': 'readinglist', 'reading list': 'readinglist', 'manga': 'readinglist',
+    'favorites': 'favorites', 'favourites': 'favorites', 'characters': 'favorites', 'character': 'favorites'
+};
+
+const STATUS_NAMES = {
+    watchlist: {
+        'planning': 'planning', 'plan to watch': 'planning', 'planned': 'planning', 'ptw': 'planning',
+        'watching': 'watching', 'current': 'watching', 'in progress': 'watching', 'on-hold': 'watching', 'on hold': 'watching', 'paused': 'watching',
+        'completed': 'completed', 'finished': 'completed', 'done': 'completed',
+        'dropped': 'dropped'
+    },
+    readinglist: {
+        'planning': 'planning', 'plan to read': 'planning', 'planned': 'planning', 'ptr': 'planning',
+        'reading': 'reading', 'current': 'reading', 'in progress': 'reading', 'on-hold': 'reading', 'on hold': 'reading', 'paused': 'reading',
+        'completed': 'completed', 'finished': 'completed', 'done': 'completed',
+        'dropped': 'dropped'
+    }
+};
+
+// Columns written for every list, in order; other item fields follow them
+const EXPORT_COLUMNS = ['list', 'mal_id', 'title', 'status', 'progress', 'total', 'rating', 'score',
+    'start_date', 'finish_date', 'added_date', 'notes', 'anime', 'favorites', 'image'];
+
+// Item fields each shared column is read from
+const COLUMN_FIELDS = {
+    watchlist: { title: 'title', progress: 'episodes_watched', total: 'episodes' },
+    readinglist: { title: 'title', progress: 'chapters_read', total: 'chapters' },
+    favorites: { title: 'name' }
+};
+
+/**
+ * CSV text of every list, one row per entry
+ */
+function listsToCsv(lists) {
+    const fieldsOf = type => Object.values(COLUMN_FIELDS[type]);
+    const extraColumns = [];
+
+    LIST_TYPES.forEach(type => (lists[type] || []).forEach(item => {
+        Object.keys(item).forEach(field => {
+            const known = field === 'id' || EXPORT_COLUMNS.includes(field) || fieldsOf(type).includes(field);
+            if (!known && !extraColumns.includes(field)) extraColumns.push(field);
+        });
+    }));
+
+    const header = [...EXPORT_COLUMNS, ...extraColumns];
+    const rows = [header];
+
+    LIST_TYPES.forEach(type => (lists[type] || []).forEach(item => {
+        rows.push(header.map(column => {
+            if (column === 'list') return type;
+            const field = COLUMN_FIELDS[type][column] || (['progress', 'total'].includes(column) ? null : column);
+            return field ? item[field] : '';
+        }));
+    }));
+
+    return formatCsv(rows);
+}
+
+function normalizeHeader(header) {
+    return header.trim().toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Column index for each field whose header is recognized, or -1
+ */
+function guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const used = new Set();
+    const mapping = {};
+
+    CSV_FIELDS.forEach(field => {
+        const candidates = [field.key.replace(/_/g, ' '), ...field.aliases];
+        const index = normalized.findIndex((header, i) => !used.has(i) && candidates.includes(header));
+        mapping[field.key] = index;
+        if (index >= 0) used.add(index);
+    });
+
+    return mapping;
+}
+
+/**
+ * A MyAnimeList id from a bare number or an entry URL
+ */
+function toMalId(value) {
+    const text = value.trim();
+    const match = /^\d+$/.test(text) ? [null, text] : text.match(/myanimelist\.net\/\w+\/(\d+)/);
+    const id = match ? parseInt(match[1], 10) : 0;
+    return id > 0 ? id : null;
+}
+
+/**
+ * Numbers are kept as text when they don't parse, so validation can name the field
+ */
+function toNumber(value) {
+    const number = Number(value.trim().replace(',', '.'));
+    return Number.isFinite(number) ? number : value;
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * Dates as YYYY-MM-DD. Partial dates are kept; anything else a
+ * spreadsheet might write is parsed.
+ */
+function toDate(value) {
+    const text = value.trim();
+    if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text)) return text;
+
+    const date = new Date(text);
+    if (isNaN(date.getTime())) return text;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toAddedDate(value) {
+    const date = new Date(value.trim());
+    return isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+/**
+ * Turn the rows under the header into list items. Rows without a list
+ * column, or with an empty one, go to defaultType. Returns an entry per
+ * row with its row number in the file (the header is row 1), and
+ * warnings about rows that were left out.
+ */
+function rowsToEntries(rows, mapping, defaultType) {
+    const entries = [];
+    const warnings = [];
+    const addedDate = new Date().toISOString();
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2;
+        const cell = key => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+
+        const listName = cell('list').toLowerCase();
+        const type = listName ? LIST_NAMES[listName] : defaultType;
+        if (!type) {
+            warnings.push(`Row ${rowNumber} is for an unknown list "${cell('list')}" and was skipped`);
+            return;
+        }
+
+        const item = {};
+        const set = (field, value, convert = text => text) => {
+            if (value) item[field] = convert(value);
+        };
+
+        item.mal_id = cell('mal_id') ? toMalId(cell('mal_id')) : null;
+        set(COLUMN_FIELDS[type].title, cell('title'));
+        set('image', cell('image'));
+        set('added_date', cell('added_date'), toAddedDate);
+        if (!item.added_date) item.added_date = addedDate;
+
+        if (type === 'favorites') {
+            set('anime', cell('anime'));
+        } else {
+            const status = cell('status');
+            if (status) {
+                const mapped = STATUS_NAMES[type][status.toLowerCase()];
+                if (!mapped) {
+                    warnings.push(`Row ${rowNumber} has an unknown status "${status}" and was imported as Planning`);
+                }
+                item.status = mapped || 'planning';
+            }
+            set(COLUMN_FIELDS[type].progress, cell('progress'), toNumber);
+            set(COLUMN_FIELDS[type].total, cell('total'), toNumber);
+            set('rating', cell('rating'), toNumber);
+            set('score', cell('score'), toNumber);
+            set('start_date', cell('start_date'), toDate);
+            set('finish_date', cell('finish_date'), toDate);
+            set('notes', cell('notes'));
+        }
+
+        entries.push({ row: rowNumber, type, item });
+    });
+
+    return { entries, warnings };
+}
+
+function comparable(title) {
+    return String(title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Every name Jikan knows an anime, manga or character by
+ */
+function namesOf(result) {
+    return [
+        result.title, result.title_english, result.title_japanese,
+        ...(result.titles || []).map(title => title.title),
+        ...(result.title_synonyms || []),
+        result.name, result.name_kanji,
+        ...(result.nicknames || [])
+    ].filter(Boolean);
+}
+
+/**
+ * A search result in the shape the confirmation screen shows
+ */
+function toCandidate(result) {
+    const details = result.name
+        ? [result.favorites ? `${result.favorites} favorites` : null]
+        : [result.type, result.year || result.published?.prop?.from?.year || result.aired?.prop?.from?.year];
+
+    return {
+        mal_id: result.mal_id,
+        title: result.title || result.name,
+        details: details.filter(Boolean).join(' · '),
+        image: result.images?.jpg?.image_url || null
+    };
+}
+
+/**
+ * The search result a title certainly refers to: the only one with that
+ * exact name. Otherwise null, and the user picks from the candidates.
+ */
+function pickMatch(title, results) {
+    const wanted = comparable(title);
+    const exact = results.filter(result => namesOf(result).some(name => comparable(name) === wanted));
+    return exact.length === 1 ? exact[0] : null;
+}
+
+module.exports = {
+    LIST_TYPES,
+    CSV_FIELDS,
+    listsToCsv,
+    guessMapping,
+    rowsToEntries,
+    toCandidate,
+    pickMatch,
+    comparable
+};
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+
+// Editors and sync tools often write a file in several steps
+const SETTLE_DELAY = 500;
+
+/**
+ * LIST FILE WATCHER CLASS
+ * Watches the folders holding the list files and emits 'change' with the
+ * list type once a file has stopped changing. The folder is watched rather
+ * than the file so atomic saves, which replace the file, are still seen.
+ * The app's own writes are reported too; the storage tells them apart.
+ */
+class ListFileWatcher extends EventEmitter {
+    constructor(files, options = {}) {
+        super();
+        // { type: filePath }
+        this.files = files;
+        this.delay = options.delay ?? SETTLE_DELAY;
+        this.watchers = [];
+        this.timers = new Map();
+    }
+
+    start() {
+        const typesByDir = new Map();
+        Object.entries(this.files).forEach(([type, filePath]) => {
+            const dir = path.dirname(filePath);
+            if (!typesByDir.has(dir)) typesByDir.set(dir, new Map());
+            typesByDir.get(dir).set(path.basename(filePath), type);
+        });
+
+        typesByDir.forEach((types, dir) => {
+            try {
+                const watcher = fs.watch(dir, { persistent: false }, (event, filename) => {
+                    const type = filename && types.get(filename.toString());
+                    if (type) this.schedule(type);
+                });
+                watcher.on("error", error => console.error(`Error watching ${dir}:`, error));
+                this.watchers.push(watcher);
+            } catch (error) {
+                console.error(`Can't watch ${dir} for external changes:`, error);
+            }
+        });
+    }
+
+    schedule(type) {
+        clearTimeout(this.timers.get(type));
+        this.timers.set(type, setTimeout(() => {
+            this.timers.delete(type);
+            this.emit("change", type);
+        }, this.delay));
+    }
+
+    close() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+module.exports = ListFileWatcher;
@@ -0,0 +1,106 @@
+const { validateItems, normalizeItems } = require("./list-validation");
+
+/**
+ * LIST IMPORT
+ * Compares entries read from an import file with a list before anything
+ * is written, so the user can review what the import will do. Entries
+ * are matched by mal_id, then by anilist_id for AniList entries that
+ * aren't on MyAnimeList, and by title for custom entries.
+ */
+
+// Fields the user tracks; a difference in any of them is a conflict
+const TRACKED_FIELDS = {
+    watchlist: ['status', 'episodes_watched', 'rating', 'notes', 'start_date', 'finish_date', 'repeat', 'custom_lists'],
+    readinglist: ['status', 'chapters_read', 'rating', 'notes', 'start_date', 'finish_date', 'repeat', 'custom_lists'],
+    favorites: []
+};
+
+function titleOf(item) {
+    return item.title || item.name;
+}
+
+function matchKey(item) {
+    if (item.mal_id) return `mal:${item.mal_id}`;
+    if (item.anilist_id) return `anilist:${item.anilist_id}`;
+    return `title:${String(titleOf(item) || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Sort imported entries into new ones, exact duplicates, conflicts with
+ * what the list already holds, and invalid entries that will be skipped.
+ * Problems name entries by their position unless labelOf(index) says
+ * otherwise, e.g. with a spreadsheet row.
+ */
+function planImport(type, existingItems, importedItems, labelOf = index => `Entry ${index + 1}`) {
+    const existing = new Map(existingItems.map(item => [matchKey(item), item]));
+    const seen = new Set();
+    const plan = { type, added: [], duplicates: [], conflicts: [], invalid: [] };
+
+    importedItems.forEach((item, index) => {
+        const problems = validateItems([item], type);
+        if (problems.length > 0) {
+            plan.invalid.push(problems[0].replace(/^Entry 1/, labelOf(index)));
+            return;
+        }
+
+        const key = matchKey(item);
+        if (seen.has(key)) {
+            plan.invalid.push(`${labelOf(index)} ("${titleOf(item)}") appears more than once in the file`);
+            return;
+        }
+        seen.add(key);
+
+        const current = existing.get(key);
+        if (!current) {
+            plan.added.push(...normalizeItems([item], type));
+            return;
+        }
+
+        const changes = {};
+        (TRACKED_FIELDS[type] || []).forEach(field => {
+            if (item[field] === undefined) return;
+            if (JSON.stringify(current[field] ?? null) !== JSON.stringify(item[field] ?? null)) {
+                changes[field] = { from: current[field] ?? null, to: item[field] ?? null };
+            }
+        });
+
+        if (Object.keys(changes).length === 0) {
+            plan.duplicates.push({ id: current.id, title: titleOf(current) });
+        } else {
+            plan.conflicts.push({ id: current.id, title: titleOf(current), changes });
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * What to write for a reviewed plan. Conflicts keep the current values
+ * unless the user chose to take the imported ones.
+ */
+function resolveImport(plan, conflictChoice = 'keep') {
+    const updates = conflictChoice === 'replace'
+        ? plan.conflicts.map(conflict => ({
+            id: conflict.id,
+            fields: Object.fromEntries(Object.entries(conflict.changes).map(([field, change]) => [field, change.to]))
+        }))
+        : [];
+
+    return { add: plan.added, update: updates };
+}
+
+/**
+ * Counts and conflicts for the renderer; new entries are only counted
+ */
+function summarizePlan(plan) {
+    return {
+        type: plan.type,
+        added: plan.added.length,
+        addedTitles: plan.added.slice(0, 20).map(titleOf),
+        duplicates: plan.duplicates.length,
+        conflicts: plan.conflicts,
+        invalid: plan.invalid
+    };
+}
+
+module.exports = { TRACKED_FIELDS, titleOf, planImport, resolveImport, summarizePlan };
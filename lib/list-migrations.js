@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+
+/**
+ * LIST SCHEMA MIGRATIONS
+ * List files are stored as { version, items }. Version 1 is the original
+ * bare-array format. To add a field, append a migration with the next
+ * version number that fills it in on existing items; the storage backends
+ * run every migration newer than the stored version when a list is loaded.
+ */
+
+// Fields every item of a list type is expected to have
+const ITEM_DEFAULTS = {
+    watchlist: {
+        episodes: 0,
+        score: 0,
+        episodes_watched: 0,
+        status: 'planning',
+        rating: 0,
+        notes: '',
+        repeat: 0,
+        custom_lists: []
+    },
+    readinglist: {
+        chapters: 0,
+        score: 0,
+        chapters_read: 0,
+        status: 'planning',
+        rating: 0,
+        notes: '',
+        repeat: 0,
+        custom_lists: []
+    },
+    favorites: {
+        anime: 'Unknown',
+        favorites: 0
+    }
+};
+
+/**
+ * Old items used Date.now() as their id, which doubles as the add date
+ */
+function dateFromId(id) {
+    const timestamp = Number(id);
+    if (!Number.isFinite(timestamp) || timestamp <= 0) return null;
+
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Fill in fields missing from items saved by older versions',
+        migrate: (items, type) => items.map(item => {
+            const defaults = ITEM_DEFAULTS[type] || {};
+            const migrated = { ...item };
+
+            Object.entries(defaults).forEach(([field, value]) => {
+                if (migrated[field] === undefined || migrated[field] === null) {
+                    migrated[field] = value;
+                }
+            });
+
+            if (!migrated.added_date) {
+                migrated.added_date = dateFromId(item.id) || new Date().toISOString();
+            }
+
+            return migrated;
+        })
+    },
+    {
+        version: 3,
+        description: 'Give every item a unique UUID and an explicit mal_id',
+        migrate: (items) => {
+            const seenIds = new Set();
+
+            return items.map(item => {
+                const migrated = { ...item, mal_id: item.mal_id ?? null };
+
+                // Date.now() ids could collide during bulk adds
+                if (!UUID_PATTERN.test(String(item.id)) || seenIds.has(item.id)) {
+                    migrated.id = crypto.randomUUID();
+                }
+
+                seenIds.add(migrated.id);
+                return migrated;
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Add the repeat count and custom lists that AniList tracks',
+        migrate: (items, type) => {
+            if (type === 'favorites') return items;
+
+            return items.map(item => ({
+                ...item,
+                repeat: item.repeat ?? 0,
+                custom_lists: item.custom_lists ?? []
+            }));
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Normalize parsed list data to a { version, items } envelope.
+ * Bare arrays are the version 1 format written by older releases.
+ */
+function toEnvelope(data, type) {
+    if (Array.isArray(data)) {
+        return { version: 1, items: data };
+    }
+
+    if (!data || !Array.isArray(data.items) || !Number.isInteger(data.version)) {
+        throw new Error(`Expected a ${type} list with a version and items`);
+    }
+    return data;
+}
+
+/**
+ * Run every migration newer than the envelope's schema version
+ */
+function migrateEnvelope(envelope, type) {
+    if (envelope.version > SCHEMA_VERSION) {
+        throw new Error(`${type} was saved by a newer version of AniToWatch (schema v${envelope.version}, this version supports v${SCHEMA_VERSION})`);
+    }
+
+    let items = envelope.items;
+    MIGRATIONS
+        .filter(migration => migration.version > envelope.version)
+        .forEach(migration => {
+            console.log(`Migrating ${type} to schema v${migration.version}: ${migration.description}`);
+            items = migration.migrate(items, type);
+        });
+
+    return { items, migrated: envelope.version < SCHEMA_VERSION };
+}
+
+module.exports = { MIGRATIONS, SCHEMA_VERSION, ITEM_DEFAULTS, toEnvelope, migrateEnvelope };
@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const { ITEM_DEFAULTS, toEnvelope, migrateEnvelope } = require("./list-migrations");
+
+/**
+ * LIST VALIDATION
+ * Checks list data that didn't come from the app itself, such as a list
+ * file edited by hand, before it replaces anything. Problems are reported
+ * per entry so the user can find and fix them.
+ */
+
+const LIST_STATUSES = {
+    watchlist: ['planning', 'watching', 'completed', 'dropped'],
+    readinglist: ['planning', 'reading', 'completed', 'dropped']
+};
+
+// Fields that must be whole numbers of zero or more when present
+const COUNT_FIELDS = {
+    watchlist: ['episodes', 'episodes_watched', 'repeat'],
+    readinglist: ['chapters', 'chapters_read', 'repeat'],
+    favorites: ['favorites']
+};
+
+// Fields on a 0-10 scale
+const SCORE_FIELDS = {
+    watchlist: ['score', 'rating'],
+    readinglist: ['score', 'rating'],
+    favorites: []
+};
+
+// Start and finish dates may leave out the day or month, as MAL does
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+// Ids end up in the pages' links and buttons, so keep them to UUID-like text
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Free text fields that must be strings when present
+const TEXT_FIELDS = ['notes', 'anime'];
+
+// Stop listing problems after this many, the message gets unreadable
+const MAX_PROBLEMS = 5;
+
+/**
+ * Problems with a list's items, as readable sentences. Empty when valid.
+ */
+function validateItems(items, type) {
+    const problems = [];
+    const seenIds = new Set();
+    const seenMalIds = new Set();
+    const titleField = type === 'favorites' ? 'name' : 'title';
+
+    items.forEach((item, index) => {
+        const label = item && item[titleField] ? `Entry ${index + 1} ("${item[titleField]}")` : `Entry ${index + 1}`;
+
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            problems.push(`${label} is not an object`);
+            return;
+        }
+        if (typeof item[titleField] !== 'string' || !item[titleField].trim()) {
+            problems.push(`${label} has no ${titleField}`);
+        }
+
+        if (item.id !== undefined && item.id !== null) {
+            if (typeof item.id !== 'string') {
+                problems.push(`${label} has an id that is not a string`);
+            } else if (!ID_PATTERN.test(item.id)) {
+                problems.push(`${label} has an id with characters other than letters, digits, - and _`);
+            } else if (seenIds.has(item.id)) {
+                problems.push(`${label} has the same id as an earlier entry`);
+            }
+            seenIds.add(item.id);
+        }
+
+        if (item.mal_id !== undefined && item.mal_id !== null) {
+            if (!Number.isInteger(item.mal_id) || item.mal_id <= 0) {
+                problems.push(`${label} has an invalid mal_id: ${JSON.stringify(item.mal_id)}`);
+            } else if (seenMalIds.has(item.mal_id)) {
+                problems.push(`${label} is already in the list (mal_id ${item.mal_id})`);
+            }
+            seenMalIds.add(item.mal_id);
+        }
+
+        if (item.anilist_id !== undefined && item.anilist_id !== null && !(Number.isInteger(item.anilist_id) && item.anilist_id > 0)) {
+            problems.push(`${label} has an invalid anilist_id: ${JSON.stringify(item.anilist_id)}`);
+        }
+
+        const statuses = LIST_STATUSES[type];
+        if (statuses && item.status !== undefined && !statuses.includes(item.status)) {
+            problems.push(`${label} has status "${item.status}", expected one of ${statuses.join(', ')}`);
+        }
+
+        (COUNT_FIELDS[type] || []).forEach(field => {
+            if (item[field] !== undefined && item[field] !== null && !(Number.isInteger(item[field]) && item[field] >= 0)) {
+                problems.push(`${label} has ${field} ${JSON.stringify(item[field])}, expected a whole number`);
+            }
+        });
+
+        (SCORE_FIELDS[type] || []).forEach(field => {
+            const value = item[field];
+            if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0 && value <= 10)) {
+                problems.push(`${label} has ${field} ${JSON.stringify(value)}, expected a number from 0 to 10`);
+            }
+        });
+
+        if (item.custom_lists !== undefined && item.custom_lists !== null
+            && !(Array.isArray(item.custom_lists) && item.custom_lists.every(name => typeof name === 'string' && name.trim()))) {
+            problems.push(`${label} has custom_lists ${JSON.stringify(item.custom_lists)}, expected a list of names`);
+        }
+
+        if (item.image !== undefined && item.image !== null && item.image !== '' && !isWebAddress(item.image)) {
+            problems.push(`${label} has image ${JSON.stringify(item.image)}, expected an http or https address`);
+        }
+
+        TEXT_FIELDS.forEach(field => {
+            if (item[field] !== undefined && item[field] !== null && typeof item[field] !== 'string') {
+                problems.push(`${label} has a ${field} value that is not text`);
+            }
+        });
+
+        if (item.added_date && isNaN(new Date(item.added_date).getTime())) {
+            problems.push(`${label} has an invalid added_date`);
+        }
+
+        ['start_date', 'finish_date'].forEach(field => {
+            if (item[field] !== undefined && item[field] !== null && !DATE_PATTERN.test(String(item[field]))) {
+                problems.push(`${label} has ${field} ${JSON.stringify(item[field])}, expected YYYY-MM-DD`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Whether a value is an http or https URL, the only kind of cover image
+ * address the pages load
+ */
+function isWebAddress(value) {
+    if (typeof value !== 'string') return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Fill in what a hand-written entry may leave out: an id, mal_id, the
+ * list's default fields and the date it was added
+ */
+function normalizeItems(items, type) {
+    const defaults = ITEM_DEFAULTS[type] || {};
+
+    return items.map(item => {
+        const normalized = { ...item };
+        Object.entries(defaults).forEach(([field, value]) => {
+            if (normalized[field] === undefined || normalized[field] === null) {
+                normalized[field] = value;
+            }
+        });
+
+        normalized.id = item.id || crypto.randomUUID();
+        normalized.mal_id = item.mal_id ?? null;
+        normalized.added_date = item.added_date || new Date().toISOString();
+        return normalized;
+    });
+}
+
+/**
+ * Throw one error describing every problem found, or return the items
+ * with missing fields filled in
+ */
+function validateList(items, type) {
+    const problems = validateItems(items, type);
+
+    if (problems.length > 0) {
+        const shown = problems.slice(0, MAX_PROBLEMS);
+        if (problems.length > MAX_PROBLEMS) {
+            shown.push(`and ${problems.length - MAX_PROBLEMS} more problems`);
+        }
+        throw new Error(shown.join("\n"));
+    }
+
+    return normalizeItems(items, type);
+}
+
+/**
+ * Parse the raw contents of a list file, migrate and validate it
+ */
+function parseListFile(raw, type) {
+    if (!raw.trim()) return [];
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+
+    return validateListData(data, type);
+}
+
+/**
+ * Migrate and validate list data in any stored format: a bare array or
+ * a { version, items } envelope
+ */
+function validateListData(data, type) {
+    const { items } = migrateEnvelope(toEnvelope(data, type), type);
+    return validateList(items, type);
+}
+
+module.exports = { LIST_STATUSES, validateItems, normalizeItems, validateList, validateListData, parseListFile };
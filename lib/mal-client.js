@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+
+// The official servers. A base URL replaces both, so a stand-in server
+// serves /v1/oauth2 and /v2 side by side.
+const MAL_AUTH_BASE = "https://myanimelist.net/v1/oauth2";
+const MAL_API_BASE = "https://api.myanimelist.net/v2";
+
+// Entries per page when reading a list; MAL allows up to 1000
+const PAGE_SIZE = 1000;
+
+// Refresh the access token this long before it expires
+const TOKEN_MARGIN = 60 * 1000;
+
+// list_status fields the sync reads, some of which MAL only sends on request
+const LIST_FIELDS = {
+    anime: "list_status{comments,num_times_rewatched,start_date,finish_date},num_episodes,main_picture",
+    manga: "list_status{comments,num_times_reread,start_date,finish_date},num_chapters,main_picture"
+};
+
+/**
+ * MAL CLIENT CLASS
+ * Talks to the MyAnimeList API v2 for one account. Signs in with OAuth 2
+ * and PKCE (MAL only supports the "plain" challenge method), refreshes
+ * the access token when it runs out, and reads and writes list entries.
+ * Token changes are reported through onTokens so they can be saved.
+ */
+class MalClient {
+    constructor({ clientId, baseUrl, tokens = null, onTokens = () => {} }) {
+        if (!clientId) {
+            throw new Error("Enter the Client ID of your MyAnimeList API app first");
+        }
+
+        const base = baseUrl ? baseUrl.replace(/\/+$/, "") : null;
+        this.clientId = clientId;
+        this.authBase = base ? `${base}/v1/oauth2` : MAL_AUTH_BASE;
+        this.apiBase = base ? `${base}/v2` : MAL_API_BASE;
+        this.tokens = tokens;
+        this.onTokens = onTokens;
+    }
+
+    /**
+     * A new sign-in attempt: the page to open and what is needed to
+     * finish it once MAL redirects back
+     */
+    startAuthorization(redirectUri) {
+        const verifier = crypto.randomBytes(64).toString("base64url").slice(0, 128);
+        const state = crypto.randomBytes(16).toString("hex");
+        const params = new URLSearchParams({
+            response_type: "code",
+            client_id: this.clientId,
+            code_challenge: verifier,
+            code_challenge_method: "plain",
+            redirect_uri: redirectUri,
+            state
+        });
+
+        return { url: `${this.authBase}/authorize?${params}`, verifier, state, redirectUri };
+    }
+
+    /**
+     * Finish a sign-in with the URL MAL redirected to
+     */
+    async finishAuthorization(authorization, redirectedTo) {
+        const params = new URL(redirectedTo).searchParams;
+        if (params.get("error")) {
+            throw new Error(`MyAnimeList refused the sign-in: ${params.get("error_description") || params.get("error")}`);
+        }
+        if (params.get("state") !== authorization.state) {
+            throw new Error("The sign-in response doesn't belong to this sign-in. Try again.");
+        }
+
+        await this.requestTokens({
+            grant_type: "authorization_code",
+            code: params.get("code"),
+            code_verifier: authorization.verifier,
+            redirect_uri: authorization.redirectUri
+        });
+    }
+
+    async refreshTokens() {
+        if (!this.tokens?.refresh_token) {
+            throw new Error("The MyAnimeList sign-in has expired. Connect again.");
+        }
+
+        await this.requestTokens({ grant_type: "refresh_token", refresh_token: this.tokens.refresh_token });
+    }
+
+    async requestTokens(grant) {
+        const response = await fetch(`${this.authBase}/token`, {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams({ client_id: this.clientId, ...grant })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(`MyAnimeList sign-in failed: ${error.message || error.error || response.status}`);
+        }
+
+        const tokens = await response.json();
+        this.tokens = {
+            access_token: tokens.access_token,
+            refresh_token: tokens.refresh_token,
+            expires_at: Date.now() + tokens.expires_in * 1000
+        };
+        this.onTokens(this.tokens);
+    }
+
+    /**
+     * An API request with a fresh access token. Bodies are sent as form
+     * fields, as MAL expects for list updates.
+     */
+    async request(method, pathOrUrl, fields = null, retried = false) {
+        if (!this.tokens) {
+            throw new Error("Not connected to MyAnimeList");
+        }
+        if (this.tokens.expires_at - TOKEN_MARGIN < Date.now()) {
+            await this.refreshTokens();
+        }
+
+        const url = pathOrUrl.startsWith("http") ? pathOrUrl : `${this.apiBase}${pathOrUrl}`;
+        const options = { method, headers: { Authorization: `Bearer ${this.tokens.access_token}` } };
+        if (fields) {
+            options.headers["Content-Type"] = "application/x-www-form-urlencoded";
+            options.body = new URLSearchParams(fields);
+        }
+
+        const response = await fetch(url, options);
+        // Tokens can be revoked before they expire
+        if (response.status === 401 && !retried) {
+            await this.refreshTokens();
+            return this.request(method, pathOrUrl, fields, true);
+        }
+        if (response.status === 404 && method === "DELETE") {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`MyAnimeList responded with ${response.status} to ${method} ${url.replace(this.apiBase, "")}`);
+        }
+
+        // Deletes answer with an empty body
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    async getUser() {
+        return this.request("GET", "/users/@me");
+    }
+
+    /**
+     * Every entry of the account's anime or manga list, as { node, list_status }
+     */
+    async getList(kind) {
+        const entries = [];
+        let next = `/users/@me/${kind}list?fields=${encodeURIComponent(LIST_FIELDS[kind])}&limit=${PAGE_SIZE}&nsfw=true`;
+
+        while (next) {
+            const page = await this.request("GET", next);
+            entries.push(...page.data);
+            next = page.paging?.next || null;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Create or change an entry. Resolves to the entry's list_status.
+     */
+    async updateListStatus(kind, malId, fields) {
+        return this.request("PATCH", `/${kind}/${malId}/my_list_status`, fields);
+    }
+
+    async deleteListStatus(kind, malId) {
+        return this.request("DELETE", `/${kind}/${malId}/my_list_status`);
+    }
+}
+
+module.exports = { MalClient, MAL_AUTH_BASE, MAL_API_BASE };
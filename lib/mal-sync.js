@@ -0,0 +1,463 @@
+const EventEmitter = require("events");
+const { MalClient } = require("./mal-client");
+const { normalizeItems } = require("./list-validation");
+
+/**
+ * MYANIMELIST SYNC
+ * Two-way sync between the watchlist and reading list and a MyAnimeList
+ * account, keyed by mal_id. After every sync the synced fields of each
+ * entry are kept as a base. The next sync compares both sides with it:
+ * a side that differs from the base has changed since. When both sides
+ * changed, the most recently modified one wins, or the user is asked.
+ * Custom entries without a mal_id aren't synced.
+ */
+
+// The MAL list behind each of our lists
+const SYNC_KINDS = {
+    watchlist: "anime",
+    readinglist: "manga"
+};
+
+const SYNC_FIELDS = {
+    watchlist: ["status", "episodes_watched", "rating", "notes", "start_date", "finish_date", "repeat"],
+    readinglist: ["status", "chapters_read", "rating", "notes", "start_date", "finish_date", "repeat"]
+};
+
+// MAL statuses in our terms; we have no on-hold, so it counts as in
+// progress. The MAL status is kept in the sync base and pushed back as it
+// was until the status is changed here.
+const FROM_MAL_STATUS = {
+    anime: { watching: "watching", on_hold: "watching", completed: "completed", dropped: "dropped", plan_to_watch: "planning" },
+    manga: { reading: "reading", on_hold: "reading", completed: "completed", dropped: "dropped", plan_to_read: "planning" }
+};
+
+const TO_MAL_STATUS = {
+    anime: { watching: "watching", completed: "completed", dropped: "dropped", planning: "plan_to_watch" },
+    manga: { reading: "reading", completed: "completed", dropped: "dropped", planning: "plan_to_read" }
+};
+
+// Wait for a burst of local changes to settle before syncing them
+const AUTO_SYNC_DELAY = 10 * 1000;
+
+const CONFLICT_POLICIES = ["last-modified", "ask"];
+
+/**
+ * Synced fields of a MAL list entry, in our terms
+ */
+function fromRemote(type, entry) {
+    const kind = SYNC_KINDS[type];
+    const status = entry.list_status || {};
+    const fields = {
+        status: FROM_MAL_STATUS[kind][status.status] || "planning",
+        rating: status.score || 0,
+        notes: status.comments || "",
+        start_date: status.start_date || null,
+        finish_date: status.finish_date || null
+    };
+
+    if (kind === "anime") {
+        fields.episodes_watched = status.num_episodes_watched || 0;
+        fields.repeat = status.num_times_rewatched || 0;
+    } else {
+        fields.chapters_read = status.num_chapters_read || 0;
+        fields.repeat = status.num_times_reread || 0;
+    }
+
+    return pickFields(type, fields);
+}
+
+/**
+ * Form fields for updating a MAL entry. MAL scores are whole numbers.
+ * known is the entry's sync base: a MAL status we have no match for,
+ * such as on-hold, is kept unless the status was changed here.
+ */
+function toRemote(type, fields, known = null) {
+    const kind = SYNC_KINDS[type];
+    const keepStatus = known?.remoteStatus && known.fields.status === fields.status;
+    const form = {
+        status: keepStatus ? known.remoteStatus : TO_MAL_STATUS[kind][fields.status] || TO_MAL_STATUS[kind].planning,
+        score: Math.round(fields.rating || 0),
+        comments: fields.notes || ""
+    };
+
+    if (kind === "anime") {
+        form.num_watched_episodes = fields.episodes_watched || 0;
+        form.num_times_rewatched = fields.repeat || 0;
+    } else {
+        form.num_chapters_read = fields.chapters_read || 0;
+        form.num_times_reread = fields.repeat || 0;
+    }
+    if (fields.start_date) form.start_date = fields.start_date;
+    if (fields.finish_date) form.finish_date = fields.finish_date;
+
+    return form;
+}
+
+function pickFields(type, item) {
+    return Object.fromEntries(SYNC_FIELDS[type].map(field => [field, item[field] ?? null]));
+}
+
+/**
+ * Whether two sets of synced fields hold the same values. Unless exact,
+ * ratings are compared as MAL stores them, so 8.5 here matches 9 there.
+ */
+function sameFields(type, a, b, exact = false) {
+    return SYNC_FIELDS[type].every(field => {
+        const normalize = value => field === "rating" && !exact ? Math.round(value || 0) : (value ?? null);
+        return JSON.stringify(normalize(a[field])) === JSON.stringify(normalize(b[field]));
+    });
+}
+
+/**
+ * Work out what a sync of one list has to do. base holds the fields and
+ * remote update time of every entry as of the last sync. localModified
+ * maps an item id to when it was last changed here. resolutions settle
+ * conflicts the user was asked about, as 'local' or 'remote' by key.
+ */
+function planSync(type, localItems, remoteEntries, base, { policy = "last-modified", localModified = new Map(), resolutions = {} } = {}) {
+    const plan = { push: [], pull: [], addLocal: [], removeLocal: [], removeRemote: [], forget: [], unchanged: [], conflicts: [] };
+    const local = new Map(localItems.filter(item => item.mal_id).map(item => [item.mal_id, item]));
+    const remote = new Map(remoteEntries.map(entry => [entry.node.id, entry]));
+    const malIds = new Set([...local.keys(), ...remote.keys(), ...Object.keys(base).map(Number)]);
+
+    malIds.forEach(malId => {
+        const item = local.get(malId);
+        const entry = remote.get(malId);
+        const known = base[malId];
+        const localFields = item ? pickFields(type, item) : null;
+        const remoteFields = entry ? fromRemote(type, entry) : null;
+        const remoteUpdatedAt = entry?.list_status?.updated_at || null;
+        const remoteStatus = entry?.list_status?.status || null;
+
+        const localChanged = item && (!known || !sameFields(type, localFields, known.fields, true));
+        const remoteChanged = entry && (!known || (remoteUpdatedAt !== known.remoteUpdatedAt && !sameFields(type, remoteFields, known.fields)));
+
+        if (item && entry) {
+            if (sameFields(type, localFields, remoteFields) || (!localChanged && !remoteChanged)) {
+                plan.unchanged.push({ malId, fields: localFields, remoteUpdatedAt, remoteStatus });
+            } else if (localChanged && !remoteChanged) {
+                plan.push.push({ malId, item, fields: localFields, remoteStatus });
+            } else if (remoteChanged && !localChanged) {
+                plan.pull.push({ malId, item, fields: remoteFields, remoteUpdatedAt, remoteStatus });
+            } else {
+                const conflict = {
+                    key: `${type}:${malId}`,
+                    type,
+                    malId,
+                    title: item.title,
+                    local: localFields,
+                    remote: remoteFields,
+                    localModified: localModified.get(item.id) || null,
+                    remoteModified: remoteUpdatedAt
+                };
+                const winner = resolutions[conflict.key] || (policy === "ask" ? null : newerSide(conflict));
+
+                if (winner === "local") {
+                    plan.push.push({ malId, item, fields: localFields, remoteStatus });
+                } else if (winner === "remote") {
+                    plan.pull.push({ malId, item, fields: remoteFields, remoteUpdatedAt, remoteStatus });
+                } else {
+                    plan.conflicts.push(conflict);
+                }
+            }
+        } else if (item) {
+            // Gone from MAL: removed there, unless it is new or changed here
+            if (known && !localChanged) {
+                plan.removeLocal.push({ malId, item });
+            } else {
+                plan.push.push({ malId, item, fields: localFields, remoteStatus });
+            }
+        } else if (entry) {
+            // Gone from here: removed here, unless it is new or changed on MAL
+            if (known && !remoteChanged) {
+                plan.removeRemote.push({ malId });
+            } else {
+                plan.addLocal.push({ malId, entry, fields: remoteFields, remoteUpdatedAt, remoteStatus });
+            }
+        } else {
+            plan.forget.push({ malId });
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * The side changed last. Local changes without a known time lose.
+ */
+function newerSide(conflict) {
+    const localTime = conflict.localModified ? new Date(conflict.localModified).getTime() : 0;
+    const remoteTime = conflict.remoteModified ? new Date(conflict.remoteModified).getTime() : 0;
+    return localTime > remoteTime ? "local" : "remote";
+}
+
+/**
+ * MAL SYNC CLASS
+ * Keeps a profile's connection to MyAnimeList and runs syncs. Settings,
+ * tokens and the sync base are kept in the given SettingsStore; tokens
+ * go through secrets so they can be encrypted at rest. authorize(url,
+ * redirectUri) opens the sign-in page and resolves to the URL MAL
+ * redirects to. Emits 'status' whenever the status changes.
+ */
+class MalSync extends EventEmitter {
+    constructor({ store, managers, activity, authorize, redirectUri, secrets }) {
+        super();
+        this.store = store;
+        this.managers = managers;
+        this.activity = activity;
+        this.authorize = authorize;
+        this.redirectUri = redirectUri;
+        this.secrets = secrets;
+        this.running = null;
+        this.followUp = null;
+        this.followUpResolutions = {};
+        this.timer = null;
+        this.conflicts = [];
+        this.lastError = null;
+        this.lastResult = null;
+    }
+
+    getStatus() {
+        return {
+            connected: !!this.store.get("tokens"),
+            user: this.store.get("user"),
+            clientId: this.store.get("clientId"),
+            baseUrl: this.store.get("baseUrl"),
+            policy: this.store.get("policy"),
+            autoSync: this.store.get("autoSync"),
+            lastSyncAt: this.store.get("lastSyncAt"),
+            syncing: !!this.running,
+            lastError: this.lastError,
+            lastResult: this.lastResult,
+            conflicts: this.conflicts,
+            redirectUri: this.redirectUri
+        };
+    }
+
+    emitStatus() {
+        this.emit("status", this.getStatus());
+    }
+
+    /**
+     * Change the sync settings. Tokens belong to one app and server, so
+     * changing either signs out.
+     */
+    configure(changes) {
+        const updates = {};
+
+        if (changes.policy !== undefined) {
+            if (!CONFLICT_POLICIES.includes(changes.policy)) {
+                throw new Error(`Unknown conflict policy: ${changes.policy}`);
+            }
+            updates.policy = changes.policy;
+        }
+        if (changes.autoSync !== undefined) {
+            updates.autoSync = !!changes.autoSync;
+        }
+        if (changes.baseUrl !== undefined && changes.baseUrl.trim()) {
+            const url = new URL(changes.baseUrl.trim());
+            if (!["http:", "https:"].includes(url.protocol)) {
+                throw new Error("The server URL must start with http:// or https://");
+            }
+        }
+
+        ["clientId", "baseUrl"].forEach(key => {
+            if (changes[key] === undefined) return;
+            const value = changes[key].trim();
+            if (value !== this.store.get(key)) {
+                updates[key] = value;
+                Object.assign(updates, this.signedOut());
+            }
+        });
+
+        this.store.update(updates);
+        this.emitStatus();
+        return this.getStatus();
+    }
+
+    signedOut() {
+        this.conflicts = [];
+        return { tokens: null, user: null, lastSyncAt: null, base: { watchlist: {}, readinglist: {} } };
+    }
+
+    createClient() {
+        const saved = this.store.get("tokens");
+        return new MalClient({
+            clientId: this.store.get("clientId"),
+            baseUrl: this.store.get("baseUrl"),
+            tokens: saved ? JSON.parse(this.secrets.decrypt(saved)) : null,
+            onTokens: tokens => this.store.update({ tokens: this.secrets.encrypt(JSON.stringify(tokens)) })
+        });
+    }
+
+    /**
+     * Sign in to MyAnimeList, then sync
+     */
+    async connect() {
+        const client = this.createClient();
+        const authorization = client.startAuthorization(this.redirectUri);
+        const redirectedTo = await this.authorize(authorization.url, this.redirectUri);
+
+        await client.finishAuthorization(authorization, redirectedTo);
+        const user = await client.getUser();
+        this.store.update({ user: user.name });
+        console.log(`Connected to MyAnimeList as ${user.name}`);
+
+        this.lastError = null;
+        await this.sync();
+        return this.getStatus();
+    }
+
+    disconnect() {
+        clearTimeout(this.timer);
+        this.store.update(this.signedOut());
+        this.lastResult = null;
+        this.lastError = null;
+        this.emitStatus();
+        return this.getStatus();
+    }
+
+    /**
+     * Sync soon after local changes, if automatic sync is on
+     */
+    scheduleSync() {
+        if (!this.store.get("tokens") || !this.store.get("autoSync")) return;
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.sync().catch(error => console.error("Automatic MyAnimeList sync failed:", error.message));
+        }, AUTO_SYNC_DELAY);
+    }
+
+    close() {
+        clearTimeout(this.timer);
+    }
+
+    /**
+     * Sync both lists. Asking while a sync is running queues one more run
+     * after it, which gets the resolutions of every request made meanwhile.
+     */
+    async sync(resolutions = {}) {
+        if (!this.store.get("tokens")) {
+            throw new Error("Connect to MyAnimeList first");
+        }
+        if (this.running) {
+            if (!this.followUp) {
+                this.followUpResolutions = {};
+                this.followUp = this.running.catch(() => {}).then(() => {
+                    const queued = this.followUpResolutions;
+                    this.followUp = null;
+                    return this.sync(queued);
+                });
+            }
+            Object.assign(this.followUpResolutions, resolutions);
+            return this.followUp;
+        }
+
+        this.running = this.runSync(resolutions).finally(() => {
+            this.running = null;
+            this.emitStatus();
+        });
+        this.emitStatus();
+        return this.running;
+    }
+
+    async runSync(resolutions) {
+        const client = this.createClient();
+        const base = this.store.get("base") || {};
+        const result = { pushed: 0, pulled: 0, added: 0, removedHere: 0, removedThere: 0 };
+        const conflicts = [];
+
+        try {
+            const localModified = this.localModifiedTimes();
+
+            for (const [type, kind] of Object.entries(SYNC_KINDS)) {
+                const typeBase = { ...(base[type] || {}) };
+                const plan = planSync(type, await this.managers[type].getWatchlist(), await client.getList(kind), typeBase, {
+                    policy: this.store.get("policy"),
+                    localModified,
+                    resolutions
+                });
+
+                await this.applyPlan(type, plan, client, typeBase, result);
+                conflicts.push(...plan.conflicts);
+                base[type] = typeBase;
+                // Keep what is done even if the other list fails
+                this.store.update({ base });
+            }
+
+            this.conflicts = conflicts;
+            this.lastError = null;
+            this.lastResult = result;
+            this.store.update({ lastSyncAt: new Date().toISOString() });
+            console.log("Synced with MyAnimeList:", result, `${conflicts.length} conflicts`);
+            return { ...result, conflicts };
+        } catch (error) {
+            this.lastError = error.message;
+            throw error;
+        }
+    }
+
+    async applyPlan(type, plan, client, base, result) {
+        const kind = SYNC_KINDS[type];
+        const manager = this.managers[type];
+
+        plan.unchanged.forEach(({ malId, fields, remoteUpdatedAt, remoteStatus }) => {
+            base[malId] = { fields, remoteUpdatedAt, remoteStatus };
+        });
+        plan.forget.forEach(({ malId }) => delete base[malId]);
+
+        for (const { malId, fields, remoteStatus } of plan.push) {
+            // Compare with the status MAL has now, if it still has the entry
+            const known = base[malId] && { ...base[malId], remoteStatus: remoteStatus || base[malId].remoteStatus };
+            const form = toRemote(type, fields, known);
+            const status = await client.updateListStatus(kind, malId, form);
+            base[malId] = { fields, remoteUpdatedAt: status?.updated_at || null, remoteStatus: status?.status || form.status };
+            result.pushed++;
+        }
+
+        for (const { malId } of plan.removeRemote) {
+            await client.deleteListStatus(kind, malId);
+            delete base[malId];
+            result.removedThere++;
+        }
+
+        const updates = plan.pull.map(({ item, fields }) => ({ id: item.id, fields }));
+        const additions = normalizeItems(plan.addLocal.map(({ malId, entry, fields }) => ({
+            mal_id: malId,
+            title: entry.node.title,
+            image: entry.node.main_picture?.medium,
+            [kind === "anime" ? "episodes" : "chapters"]: (kind === "anime" ? entry.node.num_episodes : entry.node.num_chapters) || 0,
+            ...fields
+        })), type);
+
+        if (updates.length + additions.length > 0) {
+            await manager.importItems(additions, updates, "sync");
+        }
+        [...plan.pull, ...plan.addLocal].forEach(({ malId, fields, remoteUpdatedAt, remoteStatus }) => {
+            base[malId] = { fields, remoteUpdatedAt, remoteStatus };
+        });
+        result.pulled += updates.length;
+        result.added += additions.length;
+
+        for (const { malId, item } of plan.removeLocal) {
+            await manager.deleteItem(item.id, "sync");
+            delete base[malId];
+            result.removedHere++;
+        }
+    }
+
+    /**
+     * When each item was last changed here, from the activity log.
+     * Changes made by a sync don't count.
+     */
+    localModifiedTimes() {
+        const times = new Map();
+        this.activity.readAll().forEach(entry => {
+            if (entry.origin !== "sync") times.set(entry.itemId, entry.timestamp);
+        });
+        return times;
+    }
+}
+
+module.exports = { MalSync, SYNC_KINDS, CONFLICT_POLICIES, planSync, fromRemote, toRemote };
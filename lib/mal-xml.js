@@ -0,0 +1,263 @@
+const zlib = require("zlib");
+
+/**
+ * MYANIMELIST XML
+ * Reads and writes the animelist and mangalist exports from MyAnimeList.
+ * They are a flat <myanimelist> document with one <anime> or <manga>
+ * element per entry, each holding only text fields, and are usually
+ * downloaded gzipped. Entries are mapped onto the watchlist and reading
+ * list shapes and back.
+ */
+
+// MAL statuses, by name and by the numeric codes some exporters write
+const ANIME_STATUSES = {
+    'watching': 'watching', '1': 'watching',
+    'completed': 'completed', '2': 'completed',
+    'on-hold': 'watching', '3': 'watching',
+    'dropped': 'dropped', '4': 'dropped',
+    'plan to watch': 'planning', '6': 'planning'
+};
+
+const MANGA_STATUSES = {
+    'reading': 'reading', '1': 'reading',
+    'completed': 'completed', '2': 'completed',
+    'on-hold': 'reading', '3': 'reading',
+    'dropped': 'dropped', '4': 'dropped',
+    'plan to read': 'planning', '6': 'planning'
+};
+
+// Our statuses as MAL writes them in its own exports
+const MAL_ANIME_STATUS_NAMES = {
+    planning: 'Plan to Watch',
+    watching: 'Watching',
+    completed: 'Completed',
+    dropped: 'Dropped'
+};
+
+const MAL_MANGA_STATUS_NAMES = {
+    planning: 'Plan to Read',
+    reading: 'Reading',
+    completed: 'Completed',
+    dropped: 'Dropped'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Text of an export file, unzipping it if it is gzipped
+ */
+function readExport(buffer) {
+    const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+    return (isGzip ? zlib.gunzipSync(buffer) : buffer).toString("utf-8");
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Text content of an element, which may mix escaped text and one or
+ * more CDATA sections
+ */
+function decodeText(raw) {
+    return raw.trim()
+        .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+        .map(part => part.startsWith('<![CDATA[') ? part.slice(9, -3) : decodeEntities(part))
+        .join('');
+}
+
+/**
+ * The fields of every <anime> and <manga> element, as plain objects
+ */
+function parseMalXml(xml) {
+    if (!/<myanimelist[\s>]/.test(xml)) {
+        throw new Error("This is not a MyAnimeList export (no <myanimelist> element found)");
+    }
+
+    const entries = { anime: [], manga: [] };
+    const body = xml.replace(/<!--[\s\S]*?-->/g, '');
+
+    for (const [, kind, content] of body.matchAll(/<(anime|manga)>([\s\S]*?)<\/\1>/g)) {
+        const fields = {};
+        for (const [, name, value] of content.matchAll(/<([a-z_]+)>([\s\S]*?)<\/\1>/g)) {
+            fields[name] = decodeText(value);
+        }
+        entries[kind].push(fields);
+    }
+
+    return entries;
+}
+
+function toInteger(value) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+/**
+ * MAL writes 0000-00-00 for dates that aren't set
+ */
+function toDate(value) {
+    if (!value || /^0000/.test(value)) return null;
+
+    const [year, month = '00', day = '00'] = value.split('-');
+    if (month === '00') return year;
+    if (day === '00') return `${year}-${month}`;
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Map parsed entries onto list items. Returns the items for each list
+ * and warnings about entries that couldn't be mapped exactly.
+ */
+function malEntriesToItems(entries) {
+    const warnings = [];
+    const addedDate = new Date().toISOString();
+
+    const mapStatus = (statuses, status, title, kind) => {
+        const mapped = statuses[String(status || '').toLowerCase()];
+        if (!mapped) {
+            warnings.push(`"${title}" has an unknown ${kind} status "${status}" and was imported as Planning`);
+            return 'planning';
+        }
+        if (String(status).toLowerCase() === 'on-hold' || status === '3') {
+            warnings.push(`"${title}" is On-Hold on MyAnimeList and was imported as ${mapped === 'watching' ? 'Watching' : 'Reading'}`);
+        }
+        return mapped;
+    };
+
+    const watchlist = entries.anime.map(entry => ({
+        mal_id: toInteger(entry.series_animedb_id) || null,
+        title: entry.series_title,
+        episodes: toInteger(entry.series_episodes),
+        score: 0,
+        episodes_watched: toInteger(entry.my_watched_episodes),
+        status: mapStatus(ANIME_STATUSES, entry.my_status, entry.series_title, 'anime'),
+        rating: toInteger(entry.my_score),
+        notes: entry.my_comments || '',
+        repeat: toInteger(entry.my_times_watched),
+        start_date: toDate(entry.my_start_date),
+        finish_date: toDate(entry.my_finish_date),
+        added_date: addedDate
+    }));
+
+    const readinglist = entries.manga.map(entry => ({
+        mal_id: toInteger(entry.manga_mangadb_id) || null,
+        title: entry.manga_title,
+        chapters: toInteger(entry.manga_chapters),
+        score: 0,
+        chapters_read: toInteger(entry.my_read_chapters),
+        status: mapStatus(MANGA_STATUSES, entry.my_status, entry.manga_title, 'manga'),
+        rating: toInteger(entry.my_score),
+        notes: entry.my_comments || '',
+        repeat: toInteger(entry.my_times_read),
+        start_date: toDate(entry.my_start_date),
+        finish_date: toDate(entry.my_finish_date),
+        added_date: addedDate
+    }));
+
+    return { watchlist, readinglist, warnings };
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&${Object.keys(ENTITIES).find(name => ENTITIES[name] === char)};`);
+}
+
+/**
+ * Wrap free text in CDATA, splitting any "]]>" that would end it early
+ */
+function cdata(value) {
+    return `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * MAL dates are always YYYY-MM-DD, with zeros for unknown parts
+ */
+function fromDate(value) {
+    if (!value) return '0000-00-00';
+    const [year, month = '00', day = '00'] = String(value).slice(0, 10).split('-');
+    return `${year}-${month}-${day}`;
+}
+
+function element(name, value, indent = '\t\t') {
+    return `${indent}<${name}>${value}</${name}>`;
+}
+
+/**
+ * Build a MAL export of the watchlist (kind 'anime') or reading list
+ * (kind 'manga'). Custom entries without a mal_id have no MAL entry to
+ * point at and are left out; they are counted in `skipped`.
+ */
+function buildMalXml(kind, items) {
+    const isAnime = kind === 'anime';
+    const statusNames = isAnime ? MAL_ANIME_STATUS_NAMES : MAL_MANGA_STATUS_NAMES;
+    const exported = items.filter(item => item.mal_id);
+    const countStatus = name => exported.filter(item => statusNames[item.status] === name).length;
+
+    const info = isAnime ? [
+        element('user_export_type', 1),
+        element('user_total_anime', exported.length),
+        element('user_total_watching', countStatus('Watching')),
+        element('user_total_completed', countStatus('Completed')),
+        element('user_total_onhold', 0),
+        element('user_total_dropped', countStatus('Dropped')),
+        element('user_total_plantowatch', countStatus('Plan to Watch'))
+    ] : [
+        element('user_export_type', 2),
+        element('user_total_manga', exported.length),
+        element('user_total_reading', countStatus('Reading')),
+        element('user_total_completed', countStatus('Completed')),
+        element('user_total_onhold', 0),
+        element('user_total_dropped', countStatus('Dropped')),
+        element('user_total_plantoread', countStatus('Plan to Read'))
+    ];
+
+    const entries = exported.map(item => {
+        const fields = isAnime ? [
+            element('series_animedb_id', item.mal_id),
+            element('series_title', cdata(item.title)),
+            element('series_episodes', item.episodes || 0),
+            element('my_id', 0),
+            element('my_watched_episodes', item.episodes_watched || 0)
+        ] : [
+            element('manga_mangadb_id', item.mal_id),
+            element('manga_title', cdata(item.title)),
+            element('manga_volumes', 0),
+            element('manga_chapters', item.chapters || 0),
+            element('my_id', 0),
+            element('my_read_volumes', 0),
+            element('my_read_chapters', item.chapters_read || 0)
+        ];
+
+        fields.push(
+            element('my_start_date', fromDate(item.start_date)),
+            element('my_finish_date', fromDate(item.finish_date)),
+            // MAL scores are whole numbers
+            element('my_score', Math.round(item.rating || 0)),
+            element('my_status', escapeXml(statusNames[item.status] || statusNames.planning)),
+            element('my_comments', cdata(item.notes)),
+            element(isAnime ? 'my_times_watched' : 'my_times_read', item.repeat || 0),
+            element('update_on_import', 1)
+        );
+
+        return `\t<${kind}>\n${fields.join('\n')}\n\t</${kind}>`;
+    });
+
+    const xml = [
+        '<?xml version="1.0" encoding="UTF-8" ?>',
+        '<myanimelist>',
+        `\t<myinfo>\n${info.join('\n')}\n\t</myinfo>`,
+        ...entries,
+        '</myanimelist>',
+        ''
+    ].join('\n');
+
+    return { xml, exported: exported.length, skipped: items.length - exported.length };
+}
+
+module.exports = { readExport, parseMalXml, malEntriesToItems, buildMalXml };
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { writeFileAtomic } = require("./atomic-write");
+
+// How often to try the queue again while it has entries
+const RETRY_INTERVAL = 60 * 1000;
+
+// What each list looks up on Jikan and how the result is added
+const QUEUE_LISTS = {
+    watchlist: { kind: "anime", add: "addToWatchlist" },
+    readinglist: { kind: "manga", add: "addToReadingList" }
+};
+
+/**
+ * OFFLINE QUEUE CLASS
+ * Adds that need an entry's details from Jikan but were made while it
+ * couldn't be reached. They are kept in the profile's folder and tried
+ * again as soon as Jikan answers, and every minute until then. Each one
+ * looks up the entry, which keeps it in the Jikan cache, and adds it to
+ * its list.
+ */
+class OfflineQueue extends EventEmitter {
+    constructor(filePath, { jikan, managers }) {
+        super();
+        this.filePath = filePath;
+        this.jikan = jikan;
+        this.managers = managers;
+        this.actions = this.load();
+        this.running = null;
+        this.timer = null;
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return [];
+            const actions = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+            return Array.isArray(actions) ? actions : [];
+        } catch (error) {
+            console.error(`Error reading the offline queue from ${this.filePath}:`, error);
+            return [];
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        writeFileAtomic(this.filePath, JSON.stringify(this.actions, null, 2));
+    }
+
+    /**
+     * Start trying queued adds left from the last session
+     */
+    start() {
+        this.scheduleRetry();
+    }
+
+    getStatus() {
+        return { actions: this.actions, retrying: Boolean(this.running) };
+    }
+
+    /**
+     * Queue adding an entry to a list. Adding the same entry twice keeps one.
+     */
+    enqueue(type, malId, title = null) {
+        if (!QUEUE_LISTS[type]) throw new Error(`${type} entries can't be queued`);
+        const id = parseInt(malId, 10);
+        if (!Number.isInteger(id) || id < 1) throw new Error("A MyAnimeList ID is needed to queue an entry");
+
+        if (!this.actions.some(action => action.type === type && action.malId === id)) {
+            this.actions.push({ id: crypto.randomUUID(), type, malId: id, title, queuedAt: new Date().toISOString() });
+            this.save();
+            console.log(`Queued ${QUEUE_LISTS[type].kind} ${id} for ${type} until Jikan can be reached`);
+        }
+
+        this.scheduleRetry();
+        this.emit('status', this.getStatus());
+        return this.getStatus();
+    }
+
+    scheduleRetry() {
+        if (this.timer || this.actions.length === 0) return;
+        this.timer = setInterval(() => this.retry(), RETRY_INTERVAL);
+    }
+
+    close() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Try every queued add, oldest first. One that can't reach Jikan leaves
+     * it and the rest queued for the next try.
+     */
+    retry() {
+        if (!this.running) {
+            this.running = this.runRetry().finally(() => {
+                this.running = null;
+                if (this.actions.length === 0) this.close();
+                this.emit('status', this.getStatus());
+            });
+            this.emit('status', this.getStatus());
+        }
+        return this.running;
+    }
+
+    async runRetry() {
+        for (const action of [...this.actions]) {
+            const { kind, add } = QUEUE_LISTS[action.type];
+            const requestPath = `/${kind}/${action.malId}`;
+
+            let result;
+            try {
+                result = await this.jikan.request(requestPath, { background: true });
+            } catch (error) {
+                console.log(`Jikan still can't be reached, keeping ${this.actions.length} queued: ${error.message}`);
+                return;
+            }
+
+            const title = result?.data?.title || action.title || `#${action.malId}`;
+            try {
+                if (!result) throw new Error(`MyAnimeList has no ${kind} with ID ${action.malId}`);
+                await this.managers[action.type][add](result.data);
+                this.emit('result', { type: action.type, title });
+            } catch (error) {
+                console.error(`Error adding queued ${kind} ${action.malId}:`, error);
+                this.emit('result', { type: action.type, title, error: error.message });
+            }
+
+            this.actions = this.actions.filter(queued => queued.id !== action.id);
+            this.save();
+            this.emit('status', this.getStatus());
+        }
+    }
+}
+
+module.exports = { OfflineQueue, QUEUE_LISTS };
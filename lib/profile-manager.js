@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./atomic-write");
+
+// The original single-user data lives in the data folder root and
+// becomes this profile; every other profile gets a subfolder
+const DEFAULT_PROFILE_ID = "default";
+const PROFILES_FILE = "profiles.json";
+const PROFILES_DIR = "profiles";
+
+const PIN_PATTERN = /^\d{4,12}$/;
+
+// Wrong PINs allowed before each further try has to wait, and how long
+// the wait is; it doubles with every wrong PIN after that
+const PIN_FREE_ATTEMPTS = 3;
+const PIN_BACKOFF_BASE = 5 * 1000;
+const PIN_BACKOFF_MAX = 15 * 60 * 1000;
+
+/**
+ * PROFILE MANAGER CLASS
+ * Keeps the list of profiles in profiles.json in the data folder.
+ * Each profile has its own folder of lists and settings and an optional
+ * PIN, stored as a salted scrypt hash. Repeated wrong PINs lock the
+ * profile for a growing time, which is kept across restarts.
+ */
+class ProfileManager {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.filePath = path.join(dataDir, PROFILES_FILE);
+        this.profiles = this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const profiles = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+                if (Array.isArray(profiles) && profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+                    return profiles;
+                }
+            }
+        } catch (error) {
+            console.error(`Error reading profiles from ${this.filePath}:`, error);
+        }
+
+        return [{ id: DEFAULT_PROFILE_ID, name: "Default", pinHash: null, pinSalt: null, createdAt: new Date().toISOString() }];
+    }
+
+    save() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        writeFileAtomic(this.filePath, JSON.stringify(this.profiles, null, 2));
+    }
+
+    /**
+     * Profiles as exposed to the renderer, without PIN hashes
+     */
+    list() {
+        return this.profiles.map(profile => ({
+            id: profile.id,
+            name: profile.name,
+            hasPin: !!profile.pinHash,
+            isDefault: profile.id === DEFAULT_PROFILE_ID,
+            createdAt: profile.createdAt
+        }));
+    }
+
+    get(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    requireProfile(id) {
+        const profile = this.get(id);
+        if (!profile) {
+            throw new Error("Profile not found");
+        }
+        return profile;
+    }
+
+    /**
+     * Folder holding a profile's lists and settings
+     */
+    getDirectory(id) {
+        return id === DEFAULT_PROFILE_ID ? this.dataDir : path.join(this.dataDir, PROFILES_DIR, id);
+    }
+
+    create(name, pin) {
+        const profile = {
+            id: crypto.randomUUID(),
+            name: this.validateName(name),
+            pinHash: null,
+            pinSalt: null,
+            createdAt: new Date().toISOString()
+        };
+        if (pin) this.applyPin(profile, pin);
+
+        fs.mkdirSync(this.getDirectory(profile.id), { recursive: true });
+        this.profiles.push(profile);
+        this.save();
+        console.log(`Created profile "${profile.name}"`);
+        return profile;
+    }
+
+    rename(id, name) {
+        const profile = this.requireProfile(id);
+        profile.name = this.validateName(name, id);
+        this.save();
+        return profile;
+    }
+
+    /**
+     * Delete a profile and all of its data
+     */
+    remove(id) {
+        if (id === DEFAULT_PROFILE_ID) {
+            throw new Error("The default profile can't be deleted");
+        }
+
+        const profile = this.requireProfile(id);
+        fs.rmSync(this.getDirectory(id), { recursive: true, force: true });
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        this.save();
+        console.log(`Deleted profile "${profile.name}"`);
+    }
+
+    /**
+     * Set, change or (with an empty PIN) clear a profile's PIN
+     */
+    setPin(id, pin) {
+        const profile = this.requireProfile(id);
+        if (pin) {
+            this.applyPin(profile, pin);
+        } else {
+            profile.pinHash = null;
+            profile.pinSalt = null;
+        }
+        delete profile.failedPinAttempts;
+        delete profile.pinRetryAt;
+        this.save();
+    }
+
+    hasPin(id) {
+        return !!this.requireProfile(id).pinHash;
+    }
+
+    /**
+     * Check a PIN. Profiles without a PIN accept anything. Throws while the
+     * profile is waiting out earlier wrong PINs.
+     */
+    verifyPin(id, pin) {
+        const profile = this.requireProfile(id);
+        if (!profile.pinHash) return true;
+
+        const wait = (profile.pinRetryAt || 0) - Date.now();
+        if (wait > 0) {
+            throw new Error(`Too many wrong PINs. Try again in ${Math.ceil(wait / 1000)} seconds.`);
+        }
+        if (!pin) return false;
+
+        const expected = Buffer.from(profile.pinHash, "hex");
+        const actual = this.hashPin(String(pin), profile.pinSalt);
+        const correct = actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+
+        if (correct) {
+            if (profile.failedPinAttempts) {
+                delete profile.failedPinAttempts;
+                delete profile.pinRetryAt;
+                this.save();
+            }
+        } else {
+            this.recordFailedPin(profile);
+        }
+        return correct;
+    }
+
+    recordFailedPin(profile) {
+        profile.failedPinAttempts = (profile.failedPinAttempts || 0) + 1;
+
+        const extra = profile.failedPinAttempts - PIN_FREE_ATTEMPTS;
+        if (extra >= 0) {
+            profile.pinRetryAt = Date.now() + Math.min(PIN_BACKOFF_BASE * 2 ** extra, PIN_BACKOFF_MAX);
+            console.log(`Wrong PIN for profile "${profile.name}", ${profile.failedPinAttempts} in a row`);
+        }
+        this.save();
+    }
+
+    applyPin(profile, pin) {
+        if (!PIN_PATTERN.test(String(pin))) {
+            throw new Error("The PIN must be 4 to 12 digits");
+        }
+        profile.pinSalt = crypto.randomBytes(16).toString("hex");
+        profile.pinHash = this.hashPin(String(pin), profile.pinSalt).toString("hex");
+    }
+
+    hashPin(pin, salt) {
+        return crypto.scryptSync(pin, salt, 32);
+    }
+
+    validateName(name, id = null) {
+        const trimmed = String(name || "").trim();
+        if (!trimmed) {
+            throw new Error("A profile name is required");
+        }
+        if (this.profiles.some(p => p.id !== id && p.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A profile named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+}
+
+module.exports = { ProfileManager, DEFAULT_PROFILE_ID, PROFILES_FILE, PROFILES_DIR };
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./atomic-write");
+
+/**
+ * SETTINGS STORE CLASS
+ * Persists application settings in a JSON file next to the user data
+ */
+class SettingsStore {
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.settings = this.load();
+    }
+
+    /**
+     * Load settings from disk, falling back to defaults
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return { ...this.defaults };
+            }
+
+            const data = fs.readFileSync(this.filePath, "utf-8");
+            return { ...this.defaults, ...JSON.parse(data) };
+        } catch (error) {
+            console.error(`Error reading settings from ${this.filePath}:`, error);
+            return { ...this.defaults };
+        }
+    }
+
+    /**
+     * Get a single setting value
+     */
+    get(key) {
+        return this.settings[key];
+    }
+
+    /**
+     * Get a copy of all settings
+     */
+    getAll() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Merge changes into the settings and persist them
+     */
+    update(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.save();
+        return this.getAll();
+    }
+
+    /**
+     * Save settings to disk
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            writeFileAtomic(this.filePath, JSON.stringify(this.settings, null, 2));
+        } catch (error) {
+            console.error(`Error saving settings to ${this.filePath}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SettingsStore;
@@ -0,0 +1,312 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const { SCHEMA_VERSION, toEnvelope, migrateEnvelope } = require("../list-migrations");
+const { writeFileAtomic } = require("../atomic-write");
+const { parseListFile } = require("../list-validation");
+
+/**
+ * JSON STORAGE CLASS
+ * Keeps one list in a { version, items } JSON file. Every change rewrites
+ * the whole file, keeping the previous version as a .bak copy.
+ * Emits 'saved' after every write and 'recovered' when a corrupted
+ * file had to be quarantined. Once loaded, the list is only replaced by
+ * edits made outside the app after they have been checked: until then
+ * reads keep returning the loaded list, writes are refused and
+ * 'external-change' is emitted.
+ */
+class JsonStorage extends EventEmitter {
+    constructor(filePath, type, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.backupPath = `${filePath}.bak`;
+        this.getBackupFiles = options.getBackupFiles || (() => []);
+        this.type = type;
+        // Parsed items with the file stats they were read at
+        this.cache = null;
+        this.ensureDataDirectory();
+    }
+
+    /**
+     * Ensure data directory and JSON file exist
+     */
+    ensureDataDirectory() {
+        const dataDir = path.dirname(this.filePath);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+
+        // Create empty JSON file if it doesn't exist
+        if (!fs.existsSync(this.filePath)) {
+            this.writeData([]);
+        }
+    }
+
+    /**
+     * All items, in the order they were added
+     */
+    readAll() {
+        return [...this.readData()];
+    }
+
+    findById(id) {
+        return this.readData().find(item => item.id === id) || null;
+    }
+
+    findByMalId(malId) {
+        return this.readData().find(item => item.mal_id === malId) || null;
+    }
+
+    insert(item) {
+        this.requireUnchangedFile();
+        this.writeData([...this.readData(), item]);
+    }
+
+    update(item) {
+        this.requireUnchangedFile();
+        this.writeData(this.readData().map(existing => existing.id === item.id ? item : existing));
+    }
+
+    remove(id) {
+        this.requireUnchangedFile();
+        this.writeData(this.readData().filter(item => item.id !== id));
+    }
+
+    replaceAll(items) {
+        this.requireUnchangedFile();
+        this.writeData(items);
+    }
+
+    /**
+     * Refuse to write while the file holds an edit made outside the app
+     * that hasn't been dealt with. Writing the loaded list over it would
+     * lose the edit.
+     */
+    requireUnchangedFile() {
+        if (this.cache && this.isExternallyChanged()) {
+            this.emit('external-change');
+            throw new Error(`${path.basename(this.filePath)} was changed outside AniToWatch, so this change wasn't saved. Try again once the edit has been applied.`);
+        }
+    }
+
+    /**
+     * Filter and sort items in memory. Accepts the same options as
+     * SqliteStorage.query: status, search, sortBy, order and limit.
+     */
+    query(options = {}) {
+        const search = options.search ? options.search.toLowerCase() : null;
+        let items = this.readData().filter(item => {
+            if (options.status && item.status !== options.status) return false;
+            return !search || String(item.title || item.name || '').toLowerCase().includes(search);
+        });
+
+        const compare = {
+            title: (a, b) => String(a.title || a.name || '').localeCompare(String(b.title || b.name || '')),
+            score: (a, b) => (a.score || 0) - (b.score || 0),
+            total: (a, b) => (a.episodes ?? a.chapters ?? 0) - (b.episodes ?? b.chapters ?? 0),
+            added_date: (a, b) => String(a.added_date || '').localeCompare(String(b.added_date || ''))
+        }[options.sortBy];
+
+        if (compare) {
+            const direction = options.order === 'desc' ? -1 : 1;
+            items = [...items].sort((a, b) => direction * compare(a, b));
+        } else if (options.order === 'desc') {
+            items = [...items].reverse();
+        }
+
+        return options.limit ? items.slice(0, options.limit) : items;
+    }
+
+    /**
+     * Read the list from disk, or from the cache when the file hasn't
+     * changed since it was last read or written
+     */
+    readData() {
+        try {
+            if (this.cache && this.isExternallyChanged()) {
+                this.emit('external-change');
+                return this.cache.items;
+            }
+
+            if (!fs.existsSync(this.filePath)) {
+                console.log(`File not found, creating empty ${this.type}`);
+                return [];
+            }
+
+            const stats = fs.statSync(this.filePath);
+            if (this.cache && this.cache.mtimeMs === stats.mtimeMs && this.cache.size === stats.size) {
+                return this.cache.items;
+            }
+
+            console.log(`Reading ${this.type} from: ${this.filePath}`);
+            const data = fs.readFileSync(this.filePath, "utf-8");
+
+            if (!data.trim()) {
+                console.log(`Empty file, returning empty array for ${this.type}`);
+                return [];
+            }
+
+            let envelope;
+            try {
+                envelope = this.parseData(data);
+            } catch (parseError) {
+                console.error(`Corrupted ${this.type} file detected:`, parseError);
+                return this.recoverFromCorruption(parseError);
+            }
+
+            const { items, migrated } = migrateEnvelope(envelope, this.type);
+            if (migrated) {
+                // Persist the upgrade; the old file is kept as the .bak copy
+                this.writeData(items);
+            } else {
+                this.cache = { mtimeMs: stats.mtimeMs, size: stats.size, items };
+            }
+
+            console.log(`Successfully loaded ${items.length} items from ${this.type}`);
+            return items;
+
+        } catch (error) {
+            // Read errors are not corruption; never overwrite the file here
+            console.error(`Error reading ${this.type} from JSON file:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether the file differs from what the app last read or wrote
+     */
+    isExternallyChanged() {
+        if (!fs.existsSync(this.filePath)) return true;
+
+        const stats = fs.statSync(this.filePath);
+        return this.cache.mtimeMs !== stats.mtimeMs || this.cache.size !== stats.size;
+    }
+
+    /**
+     * Validated items of a file edited outside the app, or null if the
+     * file is unchanged. Throws with a readable message if the edit is
+     * invalid.
+     */
+    readExternalChange() {
+        if (!this.cache || !this.isExternallyChanged()) return null;
+
+        if (!fs.existsSync(this.filePath)) {
+            throw new Error("The file was deleted");
+        }
+        return parseListFile(fs.readFileSync(this.filePath, "utf-8"), this.type);
+    }
+
+    /**
+     * Replace the list with the checked items of an external edit
+     */
+    acceptExternalChange(items) {
+        this.writeData(items);
+    }
+
+    /**
+     * Set an external edit aside and write the loaded list back. Returns
+     * where the edited file was kept, or null if it was deleted.
+     */
+    rejectExternalChange() {
+        let rejectedPath = null;
+        if (fs.existsSync(this.filePath)) {
+            rejectedPath = `${this.filePath}.${new Date().toISOString().replace(/[:.]/g, '-')}.rejected`;
+            fs.renameSync(this.filePath, rejectedPath);
+            console.log(`Moved rejected ${this.type} edit to ${rejectedPath}`);
+        }
+
+        this.writeData(this.cache.items);
+        return rejectedPath;
+    }
+
+    /**
+     * Parse and validate the raw contents of a list file
+     */
+    parseData(raw) {
+        return toEnvelope(JSON.parse(raw), this.type);
+    }
+
+    /**
+     * Move a corrupted file aside and restore the most recent backup.
+     * The original bytes are always kept in a timestamped .corrupt copy.
+     */
+    recoverFromCorruption(error) {
+        const timestamp = new Date().toISOString();
+        const corruptPath = `${this.filePath}.${timestamp.replace(/[:.]/g, '-')}.corrupt`;
+        fs.renameSync(this.filePath, corruptPath);
+        console.log(`Moved corrupted ${this.type} file to ${corruptPath}`);
+
+        const backup = this.loadLatestBackup();
+        const items = backup ? backup.items : [];
+        this.writeData(items);
+
+        const notice = {
+            type: this.type,
+            recovered: !!backup,
+            source: backup ? backup.path : null,
+            corruptPath,
+            itemCount: items.length,
+            error: error.message,
+            timestamp
+        };
+
+        if (backup) {
+            console.log(`Recovered ${items.length} ${this.type} items from ${backup.path}`);
+        } else {
+            console.log(`No usable backup found for ${this.type}, starting with an empty list`);
+        }
+
+        this.emit('recovered', notice);
+        return items;
+    }
+
+    /**
+     * Backup files to try when recovering, newest first
+     */
+    getBackupCandidates() {
+        return [this.backupPath, ...this.getBackupFiles()];
+    }
+
+    /**
+     * Load the newest backup that parses cleanly
+     */
+    loadLatestBackup() {
+        for (const candidate of this.getBackupCandidates()) {
+            try {
+                if (!fs.existsSync(candidate)) continue;
+                const { items } = migrateEnvelope(this.parseData(fs.readFileSync(candidate, "utf-8")), this.type);
+                return { path: candidate, items };
+            } catch (error) {
+                console.error(`Backup ${candidate} is not usable:`, error.message);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Atomically write data to the JSON file with proper formatting
+     */
+    writeData(data) {
+        try {
+            const envelope = { version: SCHEMA_VERSION, items: data };
+            const jsonData = JSON.stringify(envelope, null, 2); // Pretty print with 2 spaces
+
+            // Keep the previous version around for corruption recovery
+            if (fs.existsSync(this.filePath)) {
+                fs.copyFileSync(this.filePath, this.backupPath);
+            }
+
+            writeFileAtomic(this.filePath, jsonData);
+            const stats = fs.statSync(this.filePath);
+            this.cache = { mtimeMs: stats.mtimeMs, size: stats.size, items: data };
+
+            console.log(`Successfully saved ${data.length} items to ${this.filePath}`);
+            this.emit('saved', data.length);
+        } catch (error) {
+            console.error(`Error saving ${this.type} to JSON file:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,258 @@
+const EventEmitter = require("events");
+const { SCHEMA_VERSION, migrateEnvelope } = require("../list-migrations");
+
+// Every list shares one items table. The full item is kept as JSON in
+// `data`; the other columns are copies of the fields we filter and sort on.
+// `total` is the episode count for anime and the chapter count for manga.
+const DATABASE_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS lists (
+        type TEXT PRIMARY KEY,
+        version INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS items (
+        type TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        mal_id INTEGER,
+        title TEXT,
+        status TEXT,
+        score REAL,
+        total INTEGER,
+        added_date TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (type, id)
+    );
+
+    CREATE INDEX IF NOT EXISTS items_position ON items (type, position);
+    CREATE INDEX IF NOT EXISTS items_mal_id ON items (type, mal_id);
+`;
+
+// Copied columns, with how to fill them in for rows of a database made
+// before they existed
+const QUERY_COLUMNS = {
+    title: ["TEXT", "COALESCE(json_extract(data, '$.title'), json_extract(data, '$.name'))"],
+    status: ["TEXT", "json_extract(data, '$.status')"],
+    score: ["REAL", "json_extract(data, '$.score')"],
+    total: ["INTEGER", "COALESCE(json_extract(data, '$.episodes'), json_extract(data, '$.chapters'))"],
+    added_date: ["TEXT", "json_extract(data, '$.added_date')"]
+};
+
+const QUERY_INDEXES = `
+    CREATE INDEX IF NOT EXISTS items_status ON items (type, status);
+    CREATE INDEX IF NOT EXISTS items_title ON items (type, title COLLATE NOCASE);
+    CREATE INDEX IF NOT EXISTS items_score ON items (type, score);
+    CREATE INDEX IF NOT EXISTS items_total ON items (type, total);
+    CREATE INDEX IF NOT EXISTS items_added_date ON items (type, added_date);
+`;
+
+// Sortable query fields and the indexed column behind each
+const SORT_COLUMNS = {
+    title: "title COLLATE NOCASE",
+    score: "score",
+    total: "total",
+    added_date: "added_date"
+};
+
+let sqliteSupport = null;
+
+/**
+ * Open (and create if needed) the list database.
+ * better-sqlite3 is an optional dependency, so it is only loaded here.
+ */
+function openDatabase(filePath) {
+    const Database = require("better-sqlite3");
+    const db = new Database(filePath);
+    db.exec(DATABASE_SCHEMA);
+    addQueryColumns(db);
+    db.exec(QUERY_INDEXES);
+    return db;
+}
+
+/**
+ * Add the copied columns a database made without them is missing, and
+ * fill them in from each row's data
+ */
+function addQueryColumns(db) {
+    const existing = new Set(db.prepare("PRAGMA table_info(items)").all().map(column => column.name));
+    const missing = Object.keys(QUERY_COLUMNS).filter(name => !existing.has(name));
+    if (missing.length === 0) return;
+
+    db.transaction(() => {
+        missing.forEach(name => {
+            const [columnType, value] = QUERY_COLUMNS[name];
+            db.exec(`ALTER TABLE items ADD COLUMN ${name} ${columnType}`);
+            db.exec(`UPDATE items SET ${name} = ${value}`);
+        });
+    })();
+    console.log(`Added the ${missing.join(", ")} columns to the list database`);
+}
+
+/**
+ * Whether better-sqlite3 is installed and built for this runtime
+ */
+function isSqliteAvailable() {
+    if (sqliteSupport === null) {
+        try {
+            openDatabase(":memory:").close();
+            sqliteSupport = true;
+        } catch (error) {
+            console.log(`SQLite storage is unavailable: ${error.message}`);
+            sqliteSupport = false;
+        }
+    }
+    return sqliteSupport;
+}
+
+/**
+ * SQLITE STORAGE CLASS
+ * Keeps one list in the shared SQLite database. Changes touch only the
+ * affected rows, and queries use the indexes on status, title, score,
+ * episode or chapter count and added date. Emits 'saved' after every
+ * write, like JsonStorage.
+ */
+class SqliteStorage extends EventEmitter {
+    constructor(db, type) {
+        super();
+        this.db = db;
+        this.type = type;
+
+        this.statements = {
+            getVersion: db.prepare("SELECT version FROM lists WHERE type = ?"),
+            setVersion: db.prepare(`
+                INSERT INTO lists (type, version) VALUES (?, ?)
+                ON CONFLICT (type) DO UPDATE SET version = excluded.version
+            `),
+            all: db.prepare("SELECT data FROM items WHERE type = ? ORDER BY position"),
+            byId: db.prepare("SELECT data FROM items WHERE type = ? AND id = ?"),
+            byMalId: db.prepare("SELECT data FROM items WHERE type = ? AND mal_id = ? ORDER BY position LIMIT 1"),
+            count: db.prepare("SELECT COUNT(*) AS count FROM items WHERE type = ?"),
+            nextPosition: db.prepare("SELECT COALESCE(MAX(position), 0) + 1 AS position FROM items WHERE type = ?"),
+            insert: db.prepare(`
+                INSERT INTO items (type, id, position, mal_id, title, status, score, total, added_date, data)
+                VALUES (@type, @id, @position, @mal_id, @title, @status, @score, @total, @added_date, @data)
+            `),
+            update: db.prepare(`
+                UPDATE items SET mal_id = @mal_id, title = @title, status = @status, score = @score,
+                    total = @total, added_date = @added_date, data = @data
+                WHERE type = @type AND id = @id
+            `),
+            remove: db.prepare("DELETE FROM items WHERE type = ? AND id = ?"),
+            clear: db.prepare("DELETE FROM items WHERE type = ?")
+        };
+
+        this.migrate();
+    }
+
+    /**
+     * Bring the stored items up to the current schema version
+     */
+    migrate() {
+        const row = this.statements.getVersion.get(this.type);
+        if (!row) {
+            this.statements.setVersion.run(this.type, SCHEMA_VERSION);
+            return;
+        }
+
+        const { items, migrated } = migrateEnvelope({ version: row.version, items: this.readAll() }, this.type);
+        if (migrated) {
+            this.replaceAll(items);
+        }
+    }
+
+    /**
+     * All items, in the order they were added
+     */
+    readAll() {
+        return this.statements.all.all(this.type).map(row => JSON.parse(row.data));
+    }
+
+    findById(id) {
+        const row = this.statements.byId.get(this.type, id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    findByMalId(malId) {
+        const row = this.statements.byMalId.get(this.type, malId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    insert(item) {
+        const { position } = this.statements.nextPosition.get(this.type);
+        this.statements.insert.run(this.toRow(item, position));
+        this.emitSaved();
+    }
+
+    update(item) {
+        this.statements.update.run(this.toRow(item));
+        this.emitSaved();
+    }
+
+    remove(id) {
+        this.statements.remove.run(this.type, id);
+        this.emitSaved();
+    }
+
+    replaceAll(items) {
+        this.db.transaction(() => {
+            this.statements.clear.run(this.type);
+            items.forEach((item, index) => this.statements.insert.run(this.toRow(item, index + 1)));
+            this.statements.setVersion.run(this.type, SCHEMA_VERSION);
+        })();
+        this.emitSaved();
+    }
+
+    /**
+     * Filter and sort items with the indexed columns.
+     * Options: status, search (title substring), sortBy (title, score,
+     * total or added_date), order ('asc' or 'desc') and limit.
+     */
+    query(options = {}) {
+        const conditions = ["type = @type"];
+        const params = { type: this.type };
+
+        if (options.status) {
+            conditions.push("status = @status");
+            params.status = options.status;
+        }
+
+        if (options.search) {
+            conditions.push("title LIKE @search ESCAPE '\\'");
+            params.search = `%${options.search.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+        }
+
+        const sortColumn = SORT_COLUMNS[options.sortBy] || "position";
+        const order = options.order === "desc" ? "DESC" : "ASC";
+        let sql = `SELECT data FROM items WHERE ${conditions.join(" AND ")} ORDER BY ${sortColumn} ${order}, position`;
+
+        if (options.limit) {
+            sql += " LIMIT @limit";
+            params.limit = options.limit;
+        }
+
+        return this.db.prepare(sql).all(params).map(row => JSON.parse(row.data));
+    }
+
+    toRow(item, position) {
+        return {
+            type: this.type,
+            id: item.id,
+            position,
+            mal_id: item.mal_id ?? null,
+            title: item.title || item.name || null,
+            status: item.status || null,
+            score: item.score ?? null,
+            total: item.episodes ?? item.chapters ?? null,
+            added_date: item.added_date || null,
+            data: JSON.stringify(item)
+        };
+    }
+
+    emitSaved() {
+        const { count } = this.statements.count.get(this.type);
+        console.log(`Successfully saved ${count} items to the ${this.type} table`);
+        this.emit('saved', count);
+    }
+}
+
+module.exports = { SqliteStorage, openDatabase, isSqliteAvailable };
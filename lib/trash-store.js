@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./atomic-write");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * TRASH STORE CLASS
+ * Keeps removed list entries, with all their progress and notes, in a
+ * trash.json file so they can be restored. Entries older than the
+ * retention period are purged whenever the trash is read or changed.
+ */
+class TrashStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.retentionDays = options.retentionDays || 30;
+        this.entries = this.load();
+    }
+
+    /**
+     * Update the retention period from settings
+     */
+    configure(options) {
+        if (options.retentionDays) this.retentionDays = options.retentionDays;
+        this.purgeExpired();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return [];
+            const entries = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.error(`Error reading trash from ${this.filePath}:`, error);
+            return [];
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        writeFileAtomic(this.filePath, JSON.stringify(this.entries, null, 2));
+    }
+
+    /**
+     * Move a removed item into the trash
+     */
+    add(type, item) {
+        const entry = { id: crypto.randomUUID(), type, item, deletedAt: new Date().toISOString() };
+        this.entries.unshift(entry);
+        this.purgeExpired();
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Trash entries, newest first, with the date each one expires
+     */
+    list() {
+        this.purgeExpired();
+        return this.entries.map(entry => ({ ...entry, expiresAt: this.expiresAt(entry).toISOString() }));
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Permanently delete one entry
+     */
+    remove(id) {
+        const remaining = this.entries.filter(entry => entry.id !== id);
+        if (remaining.length === this.entries.length) return false;
+
+        this.entries = remaining;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Drop the entry for an item that is back in its list
+     */
+    removeItem(type, itemId) {
+        const remaining = this.entries.filter(entry => entry.type !== type || entry.item.id !== itemId);
+        if (remaining.length === this.entries.length) return;
+
+        this.entries = remaining;
+        this.save();
+    }
+
+    empty() {
+        this.entries = [];
+        this.save();
+    }
+
+    expiresAt(entry) {
+        return new Date(new Date(entry.deletedAt).getTime() + this.retentionDays * DAY_MS);
+    }
+
+    purgeExpired() {
+        const now = Date.now();
+        const remaining = this.entries.filter(entry => this.expiresAt(entry).getTime() > now);
+        if (remaining.length === this.entries.length) return;
+
+        console.log(`Purged ${this.entries.length - remaining.length} expired trash entries`);
+        this.entries = remaining;
+        this.save();
+    }
+}
+
+module.exports = TrashStore;
@@ -0,0 +1,107 @@
+// Changes kept for undo; older ones are dropped
+const HISTORY_LIMIT = 50;
+
+/**
+ * UNDO HISTORY CLASS
+ * Records removals and edits made from the pages so they can be undone
+ * and redone. Each list has its own undo and redo stacks, so a page only
+ * undoes its own changes. Replayed changes reach the list managers with
+ * an 'undo' or 'redo' origin, so they are not recorded a second time.
+ */
+class UndoHistory {
+    constructor(managers) {
+        this.managers = managers;
+        this.stacks = {};
+    }
+
+    /**
+     * Undo and redo stacks of one list
+     */
+    stacksFor(type) {
+        if (!this.managers[type]) throw new Error(`Unknown list type "${type}"`);
+
+        if (!this.stacks[type]) {
+            this.stacks[type] = { undo: [], redo: [] };
+        }
+        return this.stacks[type];
+    }
+
+    /**
+     * Remember a change reported by a list manager
+     */
+    record(change) {
+        if (change.origin !== 'user' || !['remove', 'update'].includes(change.action)) return;
+
+        const stacks = this.stacksFor(change.type);
+        stacks.undo.push(change);
+        if (stacks.undo.length > HISTORY_LIMIT) {
+            stacks.undo.shift();
+        }
+        stacks.redo = [];
+    }
+
+    /**
+     * Revert the most recent change to a list. Resolves to null when there
+     * is none.
+     */
+    async undo(type) {
+        const stacks = this.stacksFor(type);
+        const change = stacks.undo.pop();
+        if (!change) return null;
+
+        const manager = this.managers[type];
+        const done = change.action === 'remove'
+            ? await manager.restoreItem(change.before, 'undo')
+            : await manager.replaceItem(change.after, change.before, 'undo');
+
+        if (!done) {
+            throw new Error(`Can't undo: "${this.titleOf(change)}" has changed since`);
+        }
+
+        stacks.redo.push(change);
+        return this.describe(change, 'undo');
+    }
+
+    /**
+     * Apply the most recently undone change to a list again
+     */
+    async redo(type) {
+        const stacks = this.stacksFor(type);
+        const change = stacks.redo.pop();
+        if (!change) return null;
+
+        const manager = this.managers[type];
+        const done = change.action === 'remove'
+            ? await manager.deleteItem(change.before.id, 'redo', change.before)
+            : await manager.replaceItem(change.before, change.after, 'redo');
+
+        if (!done) {
+            throw new Error(`Can't redo: "${this.titleOf(change)}" has changed since`);
+        }
+
+        stacks.undo.push(change);
+        return this.describe(change, 'redo');
+    }
+
+    titleOf(change) {
+        const item = change.before || change.after;
+        return item.title || item.name;
+    }
+
+    /**
+     * What the renderer needs to refresh and to word its toast
+     */
+    describe(change, direction) {
+        const stacks = this.stacksFor(change.type);
+        return {
+            type: change.type,
+            action: change.action,
+            direction,
+            title: this.titleOf(change),
+            canUndo: stacks.undo.length > 0,
+            canRedo: stacks.redo.length > 0
+        };
+    }
+}
+
+module.exports = UndoHistory;
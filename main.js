@@ -1,214 +1,2068 @@
-const { app, BrowserWindow, ipcMain, shell } = require("electron");
+const { app, BrowserWindow, Menu, ipcMain, shell, dialog, safeStorage } = require("electron");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./lib/atomic-write");
+const SettingsStore = require("./lib/settings-store");
+const BackupManager = require("./lib/backup-manager");
+const TrashStore = require("./lib/trash-store");
+const UndoHistory = require("./lib/undo-history");
+const ActivityLog = require("./lib/activity-log");
+const ListFileWatcher = require("./lib/list-file-watcher");
+const CoverCache = require("./lib/cover-cache");
+const JikanCache = require("./lib/jikan-cache");
+const { OfflineQueue } = require("./lib/offline-queue");
+const { BUNDLE_EXTENSION, buildBundle, readBundle } = require("./lib/backup-bundle");
+const { readExport, parseMalXml, malEntriesToItems, buildMalXml } = require("./lib/mal-xml");
+const { parseAniList, buildAniList } = require("./lib/anilist");
+const { titleOf, planImport, resolveImport, summarizePlan } = require("./lib/list-import");
+const { JikanApi, JIKAN_API_BASE, normalizeBaseUrl, checkJikanEndpoint } = require("./lib/jikan-api");
+const { JikanEnricher, JIKAN_KINDS } = require("./lib/jikan-enricher");
+const { MalSync, SYNC_KINDS } = require("./lib/mal-sync");
+const { DeviceSync, keyOf, mergeOperations } = require("./lib/device-sync");
+const { parseCsv } = require("./lib/csv");
+const { LIST_TYPES, CSV_FIELDS, listsToCsv, guessMapping, rowsToEntries, toCandidate, pickMatch, comparable } = require("./lib/list-csv");
+const { ProfileManager, DEFAULT_PROFILE_ID, PROFILES_FILE, PROFILES_DIR } = require("./lib/profile-manager");
+const { SCHEMA_VERSION, toEnvelope, migrateEnvelope } = require("./lib/list-migrations");
+const { validateItems, normalizeItems } = require("./lib/list-validation");
+const JsonStorage = require("./lib/storage/json-storage");
+const { SqliteStorage, openDatabase, isSqliteAvailable } = require("./lib/storage/sqlite-storage");
+
+// List files managed by the app, relative to the data directory
+const LIST_FILES = ["watchlist.json", "readinglist.json", "favorites.json"];
+
+// Database used instead of the list files by the SQLite storage backend
+const DATABASE_FILE = "anitowatch.db";
+const STORAGE_BACKENDS = ["json", "sqlite"];
+
+// Removed entries waiting to be restored or purged
+const TRASH_FILE = "trash.json";
+
+// Append-only history of list changes
+const ACTIVITY_FILE = "activity.jsonl";
+
+// Per-profile settings, kept in the profile's folder
+const PROFILE_SETTINGS_FILE = "profile-settings.json";
+const PROFILE_SETTINGS_DEFAULTS = {
+    backupRetention: 10,
+    backupEveryNWrites: 20,
+    storageBackend: "json",
+    trashRetentionDays: 30
+};
+
+// Profile settings edited on the settings page and carried in backup
+// bundles. The storage backend depends on the machine and stays put.
+const USER_SETTINGS = ["backupRetention", "backupEveryNWrites", "trashRetentionDays"];
+
+// Cover images of list entries, cached per profile
+const COVERS_DIR = "covers";
+const COVER_DOWNLOADS = 4;
+
+// MyAnimeList account and sync state of a profile
+const MAL_SYNC_FILE = "mal-sync.json";
+const MAL_SYNC_DEFAULTS = {
+    clientId: "",
+    baseUrl: "",
+    policy: "last-modified",
+    autoSync: false,
+    tokens: null,
+    user: null,
+    lastSyncAt: null,
+    base: { watchlist: {}, readinglist: {} }
+};
+
+// Where MyAnimeList sends the sign-in back to. It is never loaded: the
+// sign-in window stops at it. Register it as the App Redirect URL.
+const MAL_REDIRECT_URI = "http://localhost/anitowatch/oauth-callback";
+
+// Shared folder a profile syncs through with other computers
+const DEVICE_SYNC_FILE = "device-sync.json";
+const DEVICE_SYNC_DEFAULTS = {
+    folder: null,
+    lastSyncAt: null
+};
+
+// Adds waiting for Jikan to be reachable again
+const OFFLINE_QUEUE_FILE = "offline-queue.json";
+
+// Everything a profile keeps in its folder, besides backups
+const PROFILE_FILES = [...LIST_FILES, DATABASE_FILE, TRASH_FILE, ACTIVITY_FILE, PROFILE_SETTINGS_FILE, MAL_SYNC_FILE, DEVICE_SYNC_FILE, OFFLINE_QUEUE_FILE];
+
+// Jikan responses shown on the pages, kept for every profile in userData
+const JIKAN_CACHE_DIR = "jikan-cache";
+const DEFAULT_JIKAN_CACHE_MB = 100;
+
+// Points the app at another Jikan instance for one run, overriding the setting
+const JIKAN_URL_FLAG = "--jikan-base-url";
+
+// How often to check whether the daily backup is due
+const BACKUP_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
 
 /**
  * MAIN APPLICATION CLASS
- * Handles Electron window management and data storage in JSON files
+ * Handles Electron window management and list storage
  */
 class AniToWatchApp {
     constructor() {
-        // Data file paths for JSON storage
-        this.watchlistPath = path.join(__dirname, "data", "watchlist.json");
-        this.readingListPath = path.join(__dirname, "data", "readinglist.json");
-        this.favoritesPath = path.join(__dirname, "data", "favorites.json");
+        // Settings live in userData so they survive a custom data folder
+        this.settings = new SettingsStore(path.join(app.getPath("userData"), "settings.json"), {
+            dataDirectory: null,
+            legacyDataMigrated: false,
+            activeProfileId: DEFAULT_PROFILE_ID,
+            deviceId: null,
+            jikanCacheMaxMb: DEFAULT_JIKAN_CACHE_MB,
+            jikanBaseUrl: null
+        });
+
+        // Tells this computer's changes apart in shared sync folders
+        if (!this.settings.get("deviceId")) {
+            this.settings.update({ deviceId: crypto.randomUUID() });
+        }
+
+        // A self-hosted instance or local mock instead of Jikan's own
+        this.jikanUrlOverride = this.readJikanUrlFlag();
+        this.jikanBaseUrl = this.jikanUrlOverride || this.settings.get("jikanBaseUrl") || JIKAN_API_BASE;
+        if (this.jikanBaseUrl !== JIKAN_API_BASE) console.log(`Using Jikan at ${this.jikanBaseUrl}`);
+
+        // Every window's and import's Jikan responses, kept for all profiles
+        this.jikanCache = new JikanCache(path.join(app.getPath("userData"), JIKAN_CACHE_DIR), {
+            maxBytes: this.settings.get("jikanCacheMaxMb") * 1024 * 1024,
+            source: this.jikanBaseUrl
+        });
+        this.jikan = new JikanApi({ baseUrl: this.jikanBaseUrl, cache: this.jikanCache });
+
+        // Imported entries get their titles and covers from Jikan afterwards
+        this.enricher = new JikanEnricher(this.jikan);
+        this.enricher.on('enriched', (job, fields) => {
+            this.managers[job.type].enrichItem(job.id, fields).catch(error => {
+                console.error(`Error updating imported ${job.type} entry:`, error);
+            });
+        });
+        this.enricher.on('progress', progress => this.broadcast("enrichment-progress", progress));
+
+        // Adds queued while offline go in as soon as Jikan answers again
+        this.jikan.on('status', online => {
+            this.broadcast("jikan-status", online);
+            if (online && this.offlineQueue) this.offlineQueue.retry();
+        });
+
+        // Older builds kept their lists next to the app code
+        this.legacyDataDir = path.join(__dirname, "data");
+        this.defaultDataDir = path.join(app.getPath("userData"), "data");
+
+        // Migrate before the managers create empty list files
+        const dataDir = this.resolveDataDirectory();
+        this.migrateLegacyData(dataDir);
+        this.setDataDirectory(dataDir);
         this.mainWindow = null;
+
+        // A profile with a PIN stays locked until it is entered
+        this.locked = this.profiles.hasPin(this.activeProfileId);
         
         this.init();
     }
 
-    /**
-     * Initialize the application
-     */
-    init() {
-        app.whenReady().then(() => this.createWindow());
-        
-        // Quit when all windows are closed
-        app.on("window-all-closed", () => {
-            if (process.platform !== "darwin") app.quit();
+    /**
+     * Pick the data directory from settings, falling back to userData
+     */
+    resolveDataDirectory() {
+        const customDir = this.settings.get("dataDirectory");
+
+        if (customDir) {
+            try {
+                fs.mkdirSync(customDir, { recursive: true });
+                return customDir;
+            } catch (error) {
+                console.error(`Custom data folder ${customDir} is unavailable, using default:`, error);
+            }
+        }
+
+        return this.defaultDataDir;
+    }
+
+    /**
+     * Load the profiles in the given directory and open the active one
+     */
+    setDataDirectory(dataDir) {
+        this.dataDir = dataDir;
+        console.log(`Using data directory: ${dataDir}`);
+
+        this.profiles = new ProfileManager(dataDir);
+        const activeId = this.settings.get("activeProfileId");
+        this.openProfile(this.profiles.get(activeId) ? activeId : DEFAULT_PROFILE_ID);
+    }
+
+    /**
+     * Point all data file paths at a profile's folder
+     */
+    openProfile(profileId) {
+        if (this.fileWatcher) this.fileWatcher.close();
+        // Queued lookups and previewed imports refer to the previous profile's entries
+        if (this.enricher) this.enricher.stop();
+        if (this.malSync) this.malSync.close();
+        if (this.deviceSync) this.deviceSync.close();
+        if (this.offlineQueue) this.offlineQueue.close();
+        this.pendingImport = null;
+        this.pendingCsv = null;
+
+        this.activeProfileId = profileId;
+        this.profileDir = this.profiles.getDirectory(profileId);
+        this.profileSettings = this.loadProfileSettings(profileId);
+        this.watchlistPath = path.join(this.profileDir, "watchlist.json");
+        this.readingListPath = path.join(this.profileDir, "readinglist.json");
+        this.favoritesPath = path.join(this.profileDir, "favorites.json");
+        console.log(`Using profile "${this.profiles.get(profileId).name}" in ${this.profileDir}`);
+
+        // One long-lived manager per list so its write queue sees every request
+        const storages = this.createStorages();
+        this.managers = {
+            watchlist: new DataManager('watchlist', storages.watchlist),
+            readinglist: new DataManager('readinglist', storages.readinglist),
+            favorites: new DataManager('favorites', storages.favorites)
+        };
+
+        this.backupManager = new BackupManager(path.join(this.profileDir, "backups"), this.managers, {
+            retention: this.profileSettings.get("backupRetention"),
+            writesPerSnapshot: this.profileSettings.get("backupEveryNWrites")
+        });
+
+        this.trash = new TrashStore(path.join(this.profileDir, TRASH_FILE), {
+            retentionDays: this.profileSettings.get("trashRetentionDays")
+        });
+        this.history = new UndoHistory(this.managers);
+        this.activity = new ActivityLog(path.join(this.profileDir, ACTIVITY_FILE));
+        this.covers = new CoverCache(path.join(this.profileDir, COVERS_DIR));
+        this.malSync = this.createMalSync();
+        this.deviceSync = this.createDeviceSync();
+        this.offlineQueue = this.createOfflineQueue();
+
+        this.recoveryNotices = [];
+        this.pendingExternalChanges = new Set();
+        Object.values(this.managers).forEach(manager => {
+            manager.on('recovered', notice => this.handleRecovery(notice));
+            manager.on('external-change', type => this.handleExternalChange(type));
+            manager.on('saved', () => this.backupManager.recordWrite());
+            manager.on('changed', change => this.handleChange(change));
+            manager.on('replaced', type => {
+                this.broadcast("list-changed", { type, action: 'replace' });
+                this.deviceSync.recordReplacedList(type).catch(error => console.error("Error logging a replaced list:", error));
+            });
+        });
+
+        this.deviceSync.start();
+        this.offlineQueue.start();
+
+        this.watchListFiles();
+
+        // Windows that are already open still show the previous profile's lists
+        if (this.mainWindow) {
+            Object.keys(this.managers).forEach(type => this.broadcast("list-changed", { type, action: 'replace' }));
+        }
+    }
+
+    /**
+     * Settings that belong to one profile. The default profile starts from
+     * the values older versions kept in the app settings.
+     */
+    loadProfileSettings(profileId) {
+        const defaults = { ...PROFILE_SETTINGS_DEFAULTS };
+
+        if (profileId === DEFAULT_PROFILE_ID) {
+            Object.keys(defaults).forEach(key => {
+                if (this.settings.get(key) !== undefined) defaults[key] = this.settings.get(key);
+            });
+        }
+
+        return new SettingsStore(path.join(this.profiles.getDirectory(profileId), PROFILE_SETTINGS_FILE), defaults);
+    }
+
+    /**
+     * Profiles as exposed to the renderer
+     */
+    getProfiles() {
+        return {
+            activeProfileId: this.activeProfileId,
+            locked: this.locked,
+            profiles: this.profiles.list()
+        };
+    }
+
+    /**
+     * Make another profile active, or unlock the active one
+     */
+    async switchProfile(profileId, pin) {
+        this.profiles.requireProfile(profileId);
+
+        if (!this.profiles.verifyPin(profileId, pin)) {
+            throw new Error("Incorrect PIN");
+        }
+
+        if (profileId !== this.activeProfileId) {
+            await this.flushManagers();
+            this.settings.update({ activeProfileId: profileId });
+            this.openProfile(profileId);
+        }
+
+        this.locked = false;
+        return this.getProfiles();
+    }
+
+    /**
+     * Rename a profile. Its PIN is needed if one is set.
+     */
+    renameProfile(profileId, name, pin) {
+        if (!this.profiles.verifyPin(profileId, pin)) {
+            throw new Error("Incorrect PIN");
+        }
+
+        this.profiles.rename(profileId, name);
+        return this.getProfiles();
+    }
+
+    /**
+     * Change a profile's PIN. The current PIN is needed if one is set.
+     */
+    setProfilePin(profileId, currentPin, newPin) {
+        if (!this.profiles.verifyPin(profileId, currentPin)) {
+            throw new Error("Incorrect PIN");
+        }
+
+        this.profiles.setPin(profileId, newPin);
+        return this.getProfiles();
+    }
+
+    /**
+     * Delete a profile and its lists. The active profile can't be deleted.
+     */
+    deleteProfile(profileId, pin) {
+        if (profileId === this.activeProfileId) {
+            throw new Error("Switch to another profile before deleting this one");
+        }
+        if (!this.profiles.verifyPin(profileId, pin)) {
+            throw new Error("Incorrect PIN");
+        }
+
+        this.profiles.remove(profileId);
+        return this.getProfiles();
+    }
+
+    /**
+     * Reject data requests while the active profile is locked
+     */
+    requireUnlocked() {
+        if (this.locked) {
+            throw new Error("This profile is locked. Enter its PIN to continue.");
+        }
+    }
+
+    /**
+     * Keep the trash, undo history and activity log in step with list changes
+     */
+    handleChange(change) {
+        try {
+            if (change.action === 'remove') {
+                this.trash.add(change.type, change.before);
+            } else if (change.action === 'add') {
+                // Restored by undo or from the trash page
+                this.trash.removeItem(change.type, change.after.id);
+            }
+        } catch (error) {
+            console.error("Error updating trash:", error);
+        }
+
+        this.history.record(change);
+        // Details looked up after an import aren't something the user did
+        if (change.origin !== 'enrich') this.activity.record(change);
+        this.deviceSync.record(change);
+        this.broadcastChange(change);
+
+        // Changes made here go to MyAnimeList; ones it made don't go back
+        if (SYNC_KINDS[change.type] && !['sync', 'enrich'].includes(change.origin)) {
+            this.malSync.scheduleSync();
+        }
+    }
+
+    /**
+     * Tell every open window about a list change so it can update in place.
+     * Updates carry the changed fields as { field: { from, to } }.
+     */
+    broadcastChange(change) {
+        const item = change.after || change.before;
+        const payload = {
+            type: change.type,
+            action: change.action,
+            origin: change.origin,
+            id: item.id,
+            before: change.before,
+            after: change.after
+        };
+
+        if (change.action === 'update') {
+            payload.changes = this.activity.diff(change.before, change.after);
+            if (Object.keys(payload.changes).length === 0) return;
+        }
+
+        this.broadcast("list-changed", payload);
+    }
+
+    /**
+     * Read a MyAnimeList export and compare it with the lists. Nothing is
+     * written until the import is confirmed with commitImport().
+     */
+    async previewMalImport() {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+            title: "Import MyAnimeList Export",
+            filters: [{ name: "MyAnimeList export", extensions: ["xml", "gz"] }],
+            properties: ["openFile"]
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        const filePath = result.filePaths[0];
+        this.pendingCsv = null;
+        const entries = parseMalXml(readExport(fs.readFileSync(filePath)));
+        const { watchlist, readinglist, warnings } = malEntriesToItems(entries);
+        if (watchlist.length + readinglist.length === 0) {
+            throw new Error("The export doesn't contain any anime or manga");
+        }
+
+        const plans = await this.planImports({ watchlist, readinglist });
+        return this.setPendingImport(path.basename(filePath), plans, warnings);
+    }
+
+    /**
+     * Read an AniList list export and compare it with the lists, like a
+     * MyAnimeList import. Works from the file alone; entries are matched
+     * to MyAnimeList through their idMal.
+     */
+    async previewAniListImport() {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+            title: "Import AniList Export",
+            filters: [{ name: "AniList export", extensions: ["json"] }],
+            properties: ["openFile"]
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        const filePath = result.filePaths[0];
+        this.pendingCsv = null;
+        const { watchlist, readinglist, warnings } = parseAniList(fs.readFileSync(filePath, "utf-8"));
+        if (watchlist.length + readinglist.length === 0) {
+            throw new Error("The export doesn't contain any anime or manga");
+        }
+
+        const plans = await this.planImports({ watchlist, readinglist });
+        return this.setPendingImport(path.basename(filePath), plans, warnings);
+    }
+
+    /**
+     * Compare imported items with each list that has any
+     */
+    async planImports(imported) {
+        const plans = {};
+        for (const [type, items] of Object.entries(imported)) {
+            if (items.length > 0) {
+                plans[type] = planImport(type, await this.managers[type].getWatchlist(), items);
+            }
+        }
+        return plans;
+    }
+
+    /**
+     * Keep a previewed import until it is confirmed or cancelled, and
+     * return the report the renderer shows for review
+     */
+    setPendingImport(source, plans, warnings = []) {
+        this.pendingImport = { id: crypto.randomUUID(), source, plans };
+
+        return {
+            id: this.pendingImport.id,
+            source,
+            warnings,
+            lists: Object.values(plans).map(summarizePlan)
+        };
+    }
+
+    /**
+     * Write a previewed import after taking a backup. Conflicting entries
+     * keep their current values unless conflictChoice is 'replace'. New
+     * entries without a cover are looked up on Jikan afterwards.
+     */
+    async commitImport(importId, conflictChoice) {
+        const pending = this.pendingImport;
+        if (!pending || pending.id !== importId) {
+            throw new Error("This import is no longer available. Choose the file again.");
+        }
+        this.pendingImport = null;
+
+        await this.backupManager.createSnapshot("pre-import");
+
+        const counts = {};
+        for (const [type, plan] of Object.entries(pending.plans)) {
+            const { add, update } = resolveImport(plan, conflictChoice);
+            counts[type] = await this.managers[type].importItems(add, update);
+            this.enricher.enqueue(type, add.filter(item => !item.image));
+        }
+
+        console.log(`Imported ${pending.source}:`, counts);
+        return counts;
+    }
+
+    /**
+     * Save the watchlist or reading list as a MyAnimeList XML export.
+     * Resolves to null if the save dialog is cancelled.
+     */
+    async exportMalXml(type) {
+        const kind = { watchlist: "anime", readinglist: "manga" }[type];
+        if (!kind) {
+            throw new Error("Only the watchlist and reading list can be exported to MyAnimeList");
+        }
+
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+            title: `Export ${type === "watchlist" ? "Watchlist" : "Reading List"} to MyAnimeList XML`,
+            defaultPath: path.join(app.getPath("documents"), `${kind}list.xml`),
+            filters: [{ name: "MyAnimeList XML", extensions: ["xml"] }]
+        });
+
+        if (result.canceled || !result.filePath) {
+            return null;
+        }
+
+        const { xml, exported, skipped } = buildMalXml(kind, await this.managers[type].getWatchlist());
+        writeFileAtomic(result.filePath, xml);
+        console.log(`Exported ${exported} ${type} items to ${result.filePath}`);
+
+        return { filePath: result.filePath, exported, skipped };
+    }
+
+    /**
+     * Save the watchlist and reading list as AniList-style JSON.
+     * Resolves to null if the save dialog is cancelled.
+     */
+    async exportAniList() {
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+            title: "Export to AniList JSON",
+            defaultPath: path.join(app.getPath("documents"), "anilist.json"),
+            filters: [{ name: "AniList JSON", extensions: ["json"] }]
+        });
+
+        if (result.canceled || !result.filePath) {
+            return null;
+        }
+
+        const { json, exported, skipped } = buildAniList({
+            watchlist: await this.managers.watchlist.getWatchlist(),
+            readinglist: await this.managers.readinglist.getReadingList()
+        });
+        writeFileAtomic(result.filePath, json);
+        console.log(`Exported ${exported} entries to ${result.filePath}`);
+
+        return { filePath: result.filePath, exported, skipped };
+    }
+
+    /**
+     * Save every list to one CSV or JSON file for spreadsheets and
+     * scripts. Resolves to null if the save dialog is cancelled.
+     */
+    async exportLists(format) {
+        if (!["csv", "json"].includes(format)) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+            title: `Export Lists as ${format.toUpperCase()}`,
+            defaultPath: path.join(app.getPath("documents"), `anitowatch-lists.${format}`),
+            filters: [format === "csv"
+                ? { name: "CSV spreadsheet", extensions: ["csv"] }
+                : { name: "JSON", extensions: ["json"] }]
+        });
+
+        if (result.canceled || !result.filePath) {
+            return null;
+        }
+
+        const lists = {};
+        for (const type of LIST_TYPES) {
+            lists[type] = await this.managers[type].getWatchlist();
+        }
+
+        writeFileAtomic(result.filePath, format === "csv"
+            ? listsToCsv(lists)
+            : JSON.stringify({ version: SCHEMA_VERSION, exported_at: new Date().toISOString(), ...lists }, null, 2));
+
+        const counts = Object.fromEntries(LIST_TYPES.map(type => [type, lists[type].length]));
+        console.log(`Exported lists to ${result.filePath}:`, counts);
+        return { filePath: result.filePath, counts };
+    }
+
+    /**
+     * Read a CSV file and suggest which column holds which field. The rows
+     * are kept until the columns are confirmed with matchCsvImport().
+     */
+    async openCsvImport() {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+            title: "Import CSV",
+            filters: [{ name: "CSV spreadsheet", extensions: ["csv", "tsv", "txt"] }],
+            properties: ["openFile"]
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        const filePath = result.filePaths[0];
+        const [headers, ...rows] = parseCsv(fs.readFileSync(filePath, "utf-8"));
+        if (!headers || rows.length === 0) {
+            throw new Error("The file doesn't contain any rows below its header");
+        }
+
+        this.pendingImport = null;
+        this.pendingCsv = { source: path.basename(filePath), headers, rows };
+
+        return {
+            source: this.pendingCsv.source,
+            headers,
+            sample: rows.slice(0, 5),
+            rowCount: rows.length,
+            fields: CSV_FIELDS.map(({ key, label }) => ({ key, label })),
+            mapping: guessMapping(headers)
+        };
+    }
+
+    /**
+     * Map the CSV rows onto list items and find a mal_id for rows that
+     * only have a title: from an entry already in the list with that
+     * title, or from a Jikan search when exactly one result carries it.
+     * Returns the rows the user has to confirm, with their candidates.
+     */
+    async matchCsvImport(mapping, defaultType) {
+        const pending = this.pendingCsv;
+        if (!pending) {
+            throw new Error("This import is no longer available. Choose the file again.");
+        }
+        if (mapping.title < 0 && mapping.mal_id < 0) {
+            throw new Error("Choose the column with the title or the MyAnimeList ID");
+        }
+        if (!LIST_TYPES.includes(defaultType)) {
+            throw new Error(`Unknown list: ${defaultType}`);
+        }
+
+        const { entries, warnings } = rowsToEntries(pending.rows, mapping, defaultType);
+        const unmatched = entries.filter(entry => !entry.item.mal_id && (entry.item.title || entry.item.name));
+        const knownIds = {};
+        for (const type of LIST_TYPES) {
+            const items = await this.managers[type].getWatchlist();
+            knownIds[type] = new Map(items.filter(item => item.mal_id).map(item => [comparable(item.title || item.name), item.mal_id]));
+        }
+
+        const matches = [];
+        let done = 0;
+        for (const entry of unmatched) {
+            // Cancelled, or another file was chosen while searching
+            if (this.pendingCsv !== pending) return null;
+
+            const title = entry.item.title || entry.item.name;
+            const knownId = knownIds[entry.type].get(comparable(title));
+            if (knownId) {
+                entry.item.mal_id = knownId;
+            } else {
+                try {
+                    const results = await this.jikan.search(JIKAN_KINDS[entry.type], title);
+                    const match = pickMatch(title, results);
+                    if (match) {
+                        entry.item.mal_id = match.mal_id;
+                    } else {
+                        matches.push({ row: entry.row, type: entry.type, title, candidates: results.map(toCandidate) });
+                    }
+                } catch (error) {
+                    console.error(`Error searching Jikan for "${title}":`, error);
+                    matches.push({ row: entry.row, type: entry.type, title, candidates: [], error: error.message });
+                }
+            }
+
+            this.broadcast("csv-match-progress", { done: ++done, total: unmatched.length });
+        }
+
+        pending.entries = entries;
+        pending.warnings = warnings;
+        pending.matches = matches;
+        return { matches, matched: unmatched.length - matches.length };
+    }
+
+    /**
+     * Apply the user's picks for the unconfirmed rows and compare the
+     * result with the lists, like a MyAnimeList import. Each pick is a
+     * mal_id, 'custom' to add the row without one, or 'skip'.
+     */
+    async reviewCsvImport(choices = {}) {
+        const pending = this.pendingCsv;
+        if (!pending || !pending.entries) {
+            throw new Error("This import is no longer available. Choose the file again.");
+        }
+
+        const warnings = [...pending.warnings];
+        const byType = {};
+        for (const entry of pending.entries) {
+            const confirmed = pending.matches.find(match => match.row === entry.row);
+            if (confirmed) {
+                const choice = choices[entry.row] ?? "custom";
+                if (choice === "skip") {
+                    warnings.push(`Row ${entry.row} ("${confirmed.title}") was skipped`);
+                    continue;
+                }
+                if (choice !== "custom") {
+                    entry.item.mal_id = Number(choice);
+                }
+            }
+            (byType[entry.type] = byType[entry.type] || []).push(entry);
+        }
+
+        const plans = {};
+        for (const [type, typeEntries] of Object.entries(byType)) {
+            const existing = await this.managers[type].getWatchlist();
+            plans[type] = planImport(type, existing, typeEntries.map(entry => entry.item), index => `Row ${typeEntries[index].row}`);
+        }
+        if (Object.keys(plans).length === 0) {
+            throw new Error("Every row was skipped, there is nothing to import");
+        }
+
+        const source = pending.source;
+        this.pendingCsv = null;
+        return this.setPendingImport(source, plans, warnings);
+    }
+
+    /**
+     * Save the active profile's lists, settings, activity and covers to a
+     * .anitowatch bundle. Covers that aren't cached yet are downloaded.
+     * Resolves to null if the save dialog is cancelled.
+     */
+    async exportBundle() {
+        this.requireUnlocked();
+
+        const profileName = this.profiles.get(this.activeProfileId).name;
+        const fileName = `${profileName.replace(/[^\w-]+/g, "-")}-${new Date().toISOString().slice(0, 10)}.${BUNDLE_EXTENSION}`;
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+            title: "Export Backup Bundle",
+            defaultPath: path.join(app.getPath("documents"), fileName),
+            filters: [{ name: "AniToWatch backup bundle", extensions: [BUNDLE_EXTENSION] }]
+        });
+
+        if (result.canceled || !result.filePath) {
+            return null;
+        }
+
+        const lists = {};
+        const imageUrls = new Set();
+        for (const [type, manager] of Object.entries(this.managers)) {
+            lists[type] = await manager.getSnapshot();
+            lists[type].items.forEach(item => {
+                if (/^https?:\/\//.test(item.image || "")) imageUrls.add(item.image);
+            });
+        }
+
+        const covers = await this.collectCovers([...imageUrls]);
+        const settings = Object.fromEntries(USER_SETTINGS.map(key => [key, this.profileSettings.get(key)]));
+        writeFileAtomic(result.filePath, buildBundle({
+            profile: profileName,
+            lists,
+            settings,
+            activity: this.activity.readAll(),
+            covers
+        }));
+
+        const entries = Object.values(lists).reduce((sum, list) => sum + list.items.length, 0);
+        console.log(`Exported backup bundle with ${entries} entries to ${result.filePath}`);
+        return {
+            filePath: result.filePath,
+            entries,
+            covers: Object.keys(covers).length,
+            missingCovers: imageUrls.size - Object.keys(covers).length
+        };
+    }
+
+    /**
+     * Cover images for a bundle, a few downloads at a time
+     */
+    async collectCovers(urls) {
+        const covers = {};
+        const queue = [...urls];
+
+        const download = async () => {
+            while (queue.length > 0) {
+                const url = queue.shift();
+                const data = await this.covers.fetch(url);
+                if (data) covers[url] = data;
+            }
+        };
+
+        await Promise.all(Array.from({ length: COVER_DOWNLOADS }, download));
+        return covers;
+    }
+
+    /**
+     * Read a .anitowatch bundle and, after asking whether to merge or
+     * replace, load it into the active profile. The whole bundle is
+     * validated before the question is asked, so a damaged one changes
+     * nothing. Resolves to null if the dialog or question is cancelled.
+     */
+    async importBundle() {
+        this.requireUnlocked();
+
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+            title: "Import Backup Bundle",
+            filters: [{ name: "AniToWatch backup bundle", extensions: [BUNDLE_EXTENSION] }],
+            properties: ["openFile"]
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        const filePath = result.filePaths[0];
+        const bundle = readBundle(fs.readFileSync(filePath));
+        const settings = this.parseSettingChanges(bundle.settings);
+
+        const { lists } = bundle;
+        const made = bundle.createdAt ? ` on ${new Date(bundle.createdAt).toLocaleString()}` : "";
+        const from = bundle.profile ? ` from profile "${bundle.profile}"` : "";
+        const { response } = await this.showMessageBox({
+            type: "question",
+            buttons: ["Merge", "Replace", "Cancel"],
+            defaultId: 0,
+            cancelId: 2,
+            message: `Import ${path.basename(filePath)}?`,
+            detail: `This bundle was made${made}${from}. It holds ${lists.watchlist.length} watchlist, `
+                + `${lists.readinglist.length} reading list and ${lists.favorites.length} favorites entries, `
+                + `${bundle.activity.length} activity entries and ${Object.keys(bundle.covers).length} covers.\n\n`
+                + "Merge adds the entries and activity you don't have and keeps your progress for the rest. "
+                + "Replace makes your lists, settings and activity match the bundle. "
+                + "A backup of your lists is taken first either way."
+        });
+
+        if (response === 2) {
+            return null;
+        }
+
+        const mode = response === 1 ? "replace" : "merge";
+        await this.backupManager.createSnapshot("pre-import");
+
+        const counts = {};
+        for (const [type, items] of Object.entries(lists)) {
+            if (mode === "replace") {
+                await this.managers[type].restoreData({ version: SCHEMA_VERSION, items });
+                counts[type] = { added: items.length, updated: 0 };
+            } else {
+                const existing = await this.managers[type].getWatchlist();
+                const { add } = resolveImport(planImport(type, existing, items), "keep");
+                counts[type] = await this.managers[type].importItems(add, []);
+            }
+        }
+
+        if (mode === "replace") {
+            this.updateSettings(settings);
+        }
+        const activity = this.activity.importEntries(bundle.activity, mode === "replace");
+
+        Object.entries(bundle.covers).forEach(([url, data]) => {
+            if (!this.covers.has(url)) this.covers.write(url, data);
+        });
+
+        console.log(`Imported backup bundle ${filePath} (${mode}):`, counts);
+        return { mode, counts, activity };
+    }
+
+    /**
+     * Put a trashed entry back into its list
+     */
+    async restoreFromTrash(id) {
+        const entry = this.trash.get(id);
+        if (!entry) {
+            throw new Error("That entry is no longer in the trash");
+        }
+
+        const restored = await this.managers[entry.type].restoreItem(entry.item, 'trash');
+        if (!restored) {
+            throw new Error(`"${entry.item.title || entry.item.name}" is already in your list`);
+        }
+
+        return this.trash.list();
+    }
+
+    /**
+     * The profile's MyAnimeList sync. Tokens are encrypted with the
+     * system keychain where one is available.
+     */
+    createMalSync() {
+        const encrypted = safeStorage && safeStorage.isEncryptionAvailable();
+        const malSync = new MalSync({
+            store: new SettingsStore(path.join(this.profileDir, MAL_SYNC_FILE), MAL_SYNC_DEFAULTS),
+            managers: this.managers,
+            activity: this.activity,
+            redirectUri: MAL_REDIRECT_URI,
+            authorize: (url, redirectUri) => this.authorizeMal(url, redirectUri),
+            secrets: {
+                encrypt: text => encrypted ? safeStorage.encryptString(text).toString("base64") : text,
+                decrypt: text => encrypted ? safeStorage.decryptString(Buffer.from(text, "base64")) : text
+            }
+        });
+
+        malSync.on('status', status => this.broadcast("mal-sync-status", status));
+        return malSync;
+    }
+
+    /**
+     * The profile's sync with other computers through a shared folder
+     */
+    createDeviceSync() {
+        const deviceSync = new DeviceSync({
+            store: new SettingsStore(path.join(this.profileDir, DEVICE_SYNC_FILE), DEVICE_SYNC_DEFAULTS),
+            managers: this.managers,
+            activity: this.activity,
+            deviceId: this.settings.get("deviceId"),
+            deviceName: os.hostname()
+        });
+
+        deviceSync.on('status', status => this.broadcast("device-sync-status", status));
+        return deviceSync;
+    }
+
+    /**
+     * The profile's adds made while Jikan couldn't be reached
+     */
+    createOfflineQueue() {
+        const offlineQueue = new OfflineQueue(path.join(this.profileDir, OFFLINE_QUEUE_FILE), {
+            jikan: this.jikan,
+            managers: this.managers
+        });
+
+        offlineQueue.on('status', status => this.broadcast("offline-queue-status", status));
+        offlineQueue.on('result', result => this.broadcast("offline-queue-result", result));
+        return offlineQueue;
+    }
+
+    /**
+     * Show the MyAnimeList sign-in page in its own window. Resolves to the
+     * URL it redirects to once the user has allowed access.
+     */
+    authorizeMal(url, redirectUri) {
+        return new Promise((resolve, reject) => {
+            const authWindow = new BrowserWindow({
+                width: 600,
+                height: 800,
+                parent: this.mainWindow,
+                modal: true,
+                title: "Connect to MyAnimeList",
+                webPreferences: { contextIsolation: true, nodeIntegration: false }
+            });
+            let settled = false;
+
+            const intercept = (event, target) => {
+                if (!target.startsWith(redirectUri)) return;
+                event.preventDefault();
+                settled = true;
+                resolve(target);
+                authWindow.close();
+            };
+
+            authWindow.webContents.on('will-redirect', intercept);
+            authWindow.webContents.on('will-navigate', intercept);
+            authWindow.on('closed', () => {
+                if (!settled) reject(new Error("The MyAnimeList sign-in was closed before it finished"));
+            });
+            authWindow.loadURL(url).catch(error => {
+                if (!settled) console.error("Error loading the MyAnimeList sign-in:", error.message);
+            });
+        });
+    }
+
+    /**
+     * Create the storage for every list using the configured backend.
+     * Falls back to the JSON files if the database can't be opened.
+     */
+    createStorages() {
+        this.closeDatabase();
+        this.storageError = null;
+
+        if (this.profileSettings.get("storageBackend") === "sqlite") {
+            try {
+                this.database = openDatabase(path.join(this.profileDir, DATABASE_FILE));
+                console.log(`Using SQLite storage: ${this.database.name}`);
+                return {
+                    watchlist: new SqliteStorage(this.database, 'watchlist'),
+                    readinglist: new SqliteStorage(this.database, 'readinglist'),
+                    favorites: new SqliteStorage(this.database, 'favorites')
+                };
+            } catch (error) {
+                console.error("Error opening SQLite storage, using JSON files:", error);
+                this.storageError = `SQLite storage could not be opened (${error.message.split("\n")[0]}). Your lists are being read from the JSON files.`;
+                this.closeDatabase();
+            }
+        }
+
+        return {
+            watchlist: this.createJsonStorage('watchlist', this.watchlistPath),
+            readinglist: this.createJsonStorage('readinglist', this.readingListPath),
+            favorites: this.createJsonStorage('favorites', this.favoritesPath)
+        };
+    }
+
+    createJsonStorage(type, filePath) {
+        return new JsonStorage(filePath, type, {
+            getBackupFiles: () => this.backupManager.getSnapshotFiles(type)
+        });
+    }
+
+    closeDatabase() {
+        if (this.database) {
+            this.database.close();
+            this.database = null;
+        }
+    }
+
+    /**
+     * Backend the lists are currently stored in
+     */
+    get storageBackend() {
+        return this.database ? "sqlite" : "json";
+    }
+
+    /**
+     * Copy every list into the other storage backend and switch to it.
+     * The old copy is left in place and a backup is taken first.
+     */
+    async migrateStorage(backend) {
+        if (!STORAGE_BACKENDS.includes(backend)) {
+            throw new Error(`Unknown storage backend "${backend}"`);
+        }
+        if (backend === this.storageBackend) {
+            return this.getSettings();
+        }
+        if (backend === "sqlite" && !isSqliteAvailable()) {
+            throw new Error("SQLite storage is not available in this build");
+        }
+
+        await this.backupManager.createSnapshot("pre-migration");
+
+        await this.moveLists(() => {
+            const database = backend === "sqlite" ? openDatabase(path.join(this.profileDir, DATABASE_FILE)) : null;
+            const listPaths = {
+                watchlist: this.watchlistPath,
+                readinglist: this.readingListPath,
+                favorites: this.favoritesPath
+            };
+
+            try {
+                // The queues are held, so read the current storage directly
+                for (const [type, manager] of Object.entries(this.managers)) {
+                    const items = manager.storage.readAll();
+                    const target = database ? new SqliteStorage(database, type) : new JsonStorage(listPaths[type], type);
+                    target.replaceAll(items);
+
+                    if (target.readAll().length !== items.length) {
+                        throw new Error(`Copying ${type} to ${backend} storage lost items`);
+                    }
+                    console.log(`Copied ${items.length} ${type} items to ${backend} storage`);
+                }
+            } finally {
+                if (database) database.close();
+            }
+
+            this.profileSettings.update({ storageBackend: backend });
+            this.openProfile(this.activeProfileId);
+        });
+
+        return this.getSettings();
+    }
+
+    /**
+     * Take the daily backup now and keep checking while the app runs
+     */
+    startBackupSchedule() {
+        const checkDailyBackup = () => {
+            this.backupManager.ensureDailySnapshot().catch(error => {
+                console.error("Error creating daily backup:", error);
+            });
+        };
+
+        checkDailyBackup();
+        setInterval(checkDailyBackup, BACKUP_CHECK_INTERVAL);
+    }
+
+    /**
+     * Remember a corrupted-file recovery and tell every open window about it
+     */
+    handleRecovery(notice) {
+        this.recoveryNotices = this.recoveryNotices.filter(n => n.type !== notice.type);
+        this.recoveryNotices.push(notice);
+        this.broadcast("data-recovered", notice);
+    }
+
+    /**
+     * Watch the list files for edits made outside the app, e.g. by hand or
+     * by a folder sync tool. SQLite databases aren't edited that way.
+     */
+    watchListFiles() {
+        this.fileWatcher = null;
+        if (this.storageBackend !== "json") return;
+
+        this.fileWatcher = new ListFileWatcher({
+            watchlist: this.watchlistPath,
+            readinglist: this.readingListPath,
+            favorites: this.favoritesPath
+        });
+        this.fileWatcher.on("change", type => this.handleExternalChange(type));
+        this.fileWatcher.start();
+    }
+
+    /**
+     * Check a list file that changed on disk. Additions and edits are
+     * merged straight away; if entries were removed the user decides.
+     * Invalid files are set aside and the list is kept as it was.
+     */
+    async handleExternalChange(type) {
+        // Reads keep reporting the change until it has been dealt with
+        if (this.pendingExternalChanges.has(type)) return;
+        this.pendingExternalChanges.add(type);
+
+        const manager = this.managers[type];
+        const pending = this.pendingExternalChanges;
+
+        try {
+            let items;
+            try {
+                items = await manager.readExternalChange();
+            } catch (error) {
+                await this.rejectExternalChange(manager, error);
+                return;
+            }
+            if (!items) return;
+
+            const changes = await manager.compareItems(items);
+            if (changes.removed.length === 0) {
+                await manager.applyExternalItems(items);
+                return;
+            }
+
+            const choice = await this.askAboutExternalChange(type, changes);
+            if (choice === "use") {
+                await manager.applyExternalItems(items);
+            } else if (choice === "merge") {
+                await manager.applyExternalItems([...items, ...changes.removed]);
+            } else {
+                const keptAs = await manager.rejectExternalChange();
+                if (keptAs) console.log(`Kept the app's ${type}; the edited file is at ${keptAs}`);
+            }
+        } catch (error) {
+            console.error(`Error applying external change to ${type}:`, error);
+        } finally {
+            pending.delete(type);
+        }
+    }
+
+    /**
+     * Ask whether an external edit that removes entries should be used,
+     * merged with the app's list or ignored
+     */
+    async askAboutExternalChange(type, changes) {
+        const fileName = `${type}.json`;
+        const removedTitles = changes.removed.slice(0, 5).map(item => `  • ${item.title || item.name}`);
+        if (changes.removed.length > 5) removedTitles.push(`  • and ${changes.removed.length - 5} more`);
+
+        const options = {
+            type: "question",
+            buttons: ["Use Edited File", "Merge", "Keep Current List"],
+            defaultId: 1,
+            cancelId: 2,
+            message: `${fileName} was changed outside AniToWatch`,
+            detail: `The edited file adds ${changes.added.length}, changes ${changes.updated.length} and removes ${changes.removed.length} entries:\n`
+                + `${removedTitles.join("\n")}\n\n`
+                + "Use Edited File applies it as it is; removed entries go to the trash. "
+                + "Merge applies the additions and changes but keeps the removed entries. "
+                + "Keep Current List ignores the edit and saves the edited file next to the list."
+        };
+
+        const { response } = await this.showMessageBox(options);
+        return ["use", "merge", "keep"][response] || "keep";
+    }
+
+    /**
+     * Put the list back after an invalid external edit and say why
+     */
+    async rejectExternalChange(manager, error) {
+        const keptAs = await manager.rejectExternalChange();
+        console.error(`Rejected external edit to ${manager.type}:`, error.message);
+
+        const options = {
+            type: "error",
+            message: `Your changes to ${manager.type}.json were not applied`,
+            detail: `${error.message}\n\nThe list was left as it was.`
+                + (keptAs ? ` The edited file was saved as ${keptAs} so you can fix it and save it again.` : "")
+        };
+        await this.showMessageBox(options);
+    }
+
+    /**
+     * Show a message box over the main window once there is one
+     */
+    showMessageBox(options) {
+        return this.mainWindow ? dialog.showMessageBox(this.mainWindow, options) : dialog.showMessageBox(options);
+    }
+
+    /**
+     * Send an event to all renderer windows
+     */
+    broadcast(channel, payload) {
+        BrowserWindow.getAllWindows().forEach(window => {
+            if (!window.isDestroyed()) {
+                window.webContents.send(channel, payload);
+            }
+        });
+    }
+
+    /**
+     * Wait until every queued list operation has been written to disk
+     */
+    async flushManagers() {
+        if (!this.managers) return;
+        await Promise.all(Object.values(this.managers).map(manager => manager.flush()));
+    }
+
+    /**
+     * Move the profile's lists, e.g. to another folder or storage backend.
+     * The managers finish what is already queued and hold everything after
+     * it, so nothing is written to the old lists during the move. IPC calls
+     * made meanwhile wait for the move and then reach the reopened lists.
+     */
+    async moveLists(move) {
+        let finish;
+        this.listsMoving = new Promise(resolve => { finish = resolve; });
+
+        const releases = await Promise.all(Object.values(this.managers).map(manager => manager.hold()));
+        let moved = false;
+        try {
+            const result = await move();
+            moved = true;
+            return result;
+        } finally {
+            // Operations held on the old lists fail instead of writing to them
+            releases.forEach(release => release({ retired: moved }));
+            this.listsMoving = null;
+            finish();
+        }
+    }
+
+    /**
+     * Copy list files that don't exist yet from one directory into another
+     */
+    copyListFiles(sourceDir, targetDir, files = LIST_FILES) {
+        fs.mkdirSync(targetDir, { recursive: true });
+
+        files.forEach(file => {
+            const source = path.join(sourceDir, file);
+            const target = path.join(targetDir, file);
+
+            if (!fs.existsSync(source)) return;
+
+            if (fs.existsSync(target)) {
+                console.log(`Skipping ${file}, it already exists in ${targetDir}`);
+                return;
+            }
+
+            fs.copyFileSync(source, target);
+            console.log(`Copied ${file} from ${sourceDir} to ${targetDir}`);
+        });
+    }
+
+    /**
+     * Copy the folders of non-default profiles that don't exist yet
+     */
+    copyProfileFolders(sourceDir, targetDir) {
+        const sourceProfiles = path.join(sourceDir, PROFILES_DIR);
+        if (!fs.existsSync(sourceProfiles)) return;
+
+        fs.readdirSync(sourceProfiles, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .forEach(entry => {
+                const target = path.join(targetDir, PROFILES_DIR, entry.name);
+                if (fs.existsSync(target)) {
+                    console.log(`Skipping profile folder ${entry.name}, it already exists in ${targetDir}`);
+                    return;
+                }
+
+                fs.cpSync(path.join(sourceProfiles, entry.name), target, { recursive: true });
+                console.log(`Copied profile folder ${entry.name} to ${targetDir}`);
+            });
+    }
+
+    /**
+     * One-time copy of data/*.json files from the app folder into userData
+     */
+    migrateLegacyData(dataDir) {
+        if (this.settings.get("legacyDataMigrated")) return;
+
+        try {
+            if (fs.existsSync(this.legacyDataDir) && path.resolve(this.legacyDataDir) !== path.resolve(dataDir)) {
+                this.copyListFiles(this.legacyDataDir, dataDir);
+            }
+            this.settings.update({ legacyDataMigrated: true });
+        } catch (error) {
+            // Leave the flag unset so the migration is retried on next launch
+            console.error("Error migrating legacy data files:", error);
+        }
+    }
+
+    /**
+     * Move the app to a new data directory, carrying current lists along
+     */
+    async changeDataDirectory(newDir) {
+        const targetDir = newDir || this.defaultDataDir;
+
+        await this.moveLists(() => {
+            // The database can't be copied while it is open
+            this.closeDatabase();
+
+            if (path.resolve(targetDir) !== path.resolve(this.dataDir)) {
+                this.copyListFiles(this.dataDir, targetDir, [...PROFILE_FILES, PROFILES_FILE]);
+                this.copyProfileFolders(this.dataDir, targetDir);
+            }
+
+            const isDefault = path.resolve(targetDir) === path.resolve(this.defaultDataDir);
+            this.settings.update({ dataDirectory: isDefault ? null : targetDir });
+            this.setDataDirectory(targetDir);
+        });
+
+        return this.getSettings();
+    }
+
+    /**
+     * Settings as exposed to the renderer
+     */
+    getSettings() {
+        return {
+            dataDirectory: this.dataDir,
+            defaultDataDirectory: this.defaultDataDir,
+            isCustomDataDirectory: !!this.settings.get("dataDirectory"),
+            backupRetention: this.profileSettings.get("backupRetention"),
+            backupEveryNWrites: this.profileSettings.get("backupEveryNWrites"),
+            trashRetentionDays: this.profileSettings.get("trashRetentionDays"),
+            storageBackend: this.storageBackend,
+            sqliteAvailable: isSqliteAvailable(),
+            storageError: this.storageError,
+            jikanCacheMaxMb: this.settings.get("jikanCacheMaxMb"),
+            jikanCache: this.jikanCache.stats(),
+            jikanBaseUrl: this.jikanBaseUrl,
+            defaultJikanBaseUrl: JIKAN_API_BASE,
+            jikanBaseUrlFromFlag: Boolean(this.jikanUrlOverride)
+        };
+    }
+
+    /**
+     * The base URL given with --jikan-base-url, or null
+     */
+    readJikanUrlFlag() {
+        const index = process.argv.findIndex(arg => arg === JIKAN_URL_FLAG || arg.startsWith(`${JIKAN_URL_FLAG}=`));
+        if (index === -1) return null;
+
+        const arg = process.argv[index];
+        const value = arg === JIKAN_URL_FLAG ? process.argv[index + 1] : arg.slice(JIKAN_URL_FLAG.length + 1);
+        try {
+            return normalizeBaseUrl(value);
+        } catch (error) {
+            console.error(`Ignoring ${JIKAN_URL_FLAG}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Switch to another Jikan instance once it answers like Jikan v4.
+     * An empty URL goes back to Jikan's own.
+     */
+    async setJikanBaseUrl(baseUrl) {
+        if (this.jikanUrlOverride) {
+            throw new Error(`The Jikan URL is set with ${JIKAN_URL_FLAG} for this run`);
+        }
+
+        const url = baseUrl ? normalizeBaseUrl(baseUrl) : JIKAN_API_BASE;
+        if (url !== JIKAN_API_BASE) {
+            const health = await checkJikanEndpoint(url);
+            if (!health.ok) {
+                const problems = health.checks.filter(check => !check.ok).map(check => `${check.path} ${check.message}`);
+                throw new Error(`${url} doesn't look like Jikan v4: ${problems.join("; ")}`);
+            }
+        }
+
+        this.settings.update({ jikanBaseUrl: url === JIKAN_API_BASE ? null : url });
+        this.jikanBaseUrl = url;
+        this.jikan.configure({ baseUrl: url });
+        this.jikanCache.configure({ source: url });
+        console.log(`Using Jikan at ${url}`);
+
+        return this.getSettings();
+    }
+
+    /**
+     * Validated values of the user settings present in changes. Throws
+     * before anything is saved if one of them is invalid.
+     */
+    parseSettingChanges(changes) {
+        const updates = {};
+
+        USER_SETTINGS.forEach(key => {
+            if (changes[key] === undefined) return;
+
+            const value = parseInt(changes[key], 10);
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`${key} must be a whole number of at least 1`);
+            }
+            updates[key] = value;
+        });
+
+        return updates;
+    }
+
+    /**
+     * Apply settings changed from the settings page
+     */
+    updateSettings(changes) {
+        const updates = this.parseSettingChanges(changes);
+
+        // The Jikan cache is shared by all profiles, so its limit is an app setting
+        if (changes.jikanCacheMaxMb !== undefined) {
+            const maxMb = parseInt(changes.jikanCacheMaxMb, 10);
+            if (!Number.isInteger(maxMb) || maxMb < 1) {
+                throw new Error("jikanCacheMaxMb must be a whole number of at least 1");
+            }
+            this.settings.update({ jikanCacheMaxMb: maxMb });
+            this.jikanCache.configure({ maxBytes: maxMb * 1024 * 1024 });
+        }
+
+        this.profileSettings.update(updates);
+        this.backupManager.configure({
+            retention: this.profileSettings.get("backupRetention"),
+            writesPerSnapshot: this.profileSettings.get("backupEveryNWrites")
+        });
+        this.trash.configure({ retentionDays: this.profileSettings.get("trashRetentionDays") });
+
+        return this.getSettings();
+    }
+
+    /**
+     * Initialize the application
+     */
+    init() {
+        app.whenReady().then(() => {
+            this.createMenu();
+            this.createWindow();
+            this.startBackupSchedule();
+        });
+        
+        // Quit when all windows are closed
+        app.on("window-all-closed", () => {
+            if (process.platform !== "darwin") app.quit();
+        });
+
+        // Recreate window on macOS when dock icon is clicked
+        app.on("activate", () => {
+            if (BrowserWindow.getAllWindows().length === 0) this.createWindow();
+        });
+
+        this.setupIPC();
+    }
+
+    /**
+     * Application menu, with the backup bundle commands under File
+     */
+    createMenu() {
+        const isMac = process.platform === "darwin";
+        const template = [
+            ...(isMac ? [{ role: "appMenu" }] : []),
+            {
+                label: "File",
+                submenu: [
+                    {
+                        label: "Export Backup Bundle...",
+                        click: () => this.runMenuCommand("The backup bundle couldn't be exported", () => this.exportBundle(), result => ({
+                            message: "Backup bundle saved",
+                            detail: `${result.entries} entries and ${result.covers} covers were saved to ${result.filePath}.`
+                                + (result.missingCovers > 0 ? ` ${result.missingCovers} covers couldn't be downloaded and were left out.` : "")
+                        }))
+                    },
+                    {
+                        label: "Import Backup Bundle...",
+                        click: () => this.runMenuCommand("The backup bundle couldn't be imported", () => this.importBundle(), result => {
+                            const added = Object.values(result.counts).reduce((sum, count) => sum + count.added, 0);
+                            return {
+                                message: "Backup bundle imported",
+                                detail: result.mode === "replace"
+                                    ? `Your lists now hold the bundle's ${added} entries.`
+                                    : `${added} new entries and ${result.activity} activity entries were added.`
+                            };
+                        })
+                    },
+                    { type: "separator" },
+                    { role: isMac ? "close" : "quit" }
+                ]
+            },
+            { role: "editMenu" },
+            { role: "viewMenu" },
+            { role: "windowMenu" }
+        ];
+
+        Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+    }
+
+    /**
+     * Run a menu command and report how it went in a message box, since
+     * there is no page to show a notification on
+     */
+    async runMenuCommand(failedMessage, command, describe) {
+        try {
+            const result = await command();
+            if (result) {
+                await this.showMessageBox({ type: "info", ...describe(result) });
+            }
+        } catch (error) {
+            console.error("Menu command failed:", error);
+            await this.showMessageBox({ type: "error", message: failedMessage, detail: error.message });
+        }
+    }
+
+    /**
+     * Create the main application window
+     */
+    createWindow() {
+        this.mainWindow = new BrowserWindow({
+            width: 1400,
+            height: 900,
+            minWidth: 1200,
+            minHeight: 700,
+            webPreferences: {
+                preload: path.join(__dirname, "preload.js"),
+                contextIsolation: true,
+                enableRemoteModule: false,
+                nodeIntegration: false,
+                webSecurity: true
+            },
+            title: "AniToWatch - Anime & Manga Tracker",
+            show: false
+        });
+
+        // Load the main interface, or the profile screen to enter a PIN
+        this.mainWindow.loadFile(path.join(__dirname, "src", this.locked ? "profiles.html" : "index.html"));
+        
+        // Show window when ready
+        this.mainWindow.once('ready-to-show', () => {
+            this.mainWindow.show();
+            this.mainWindow.focus();
+        });
+
+        // Handle external links (open in default browser)
+        this.mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+            shell.openExternal(url);
+            return { action: 'deny' };
+        });
+    }
+
+    /**
+     * Set up Inter-Process Communication (IPC) handlers
+     */
+    setupIPC() {
+        // Every data request goes to the active profile and needs it unlocked
+        const handle = (channel, handler) => {
+            ipcMain.handle(channel, async (event, ...args) => {
+                if (this.listsMoving) await this.listsMoving;
+                this.requireUnlocked();
+                return handler(event, ...args);
+            });
+        };
+
+        // Profiles work while locked so a PIN can be entered
+        ipcMain.handle("get-profiles", async () => {
+            return this.getProfiles();
+        });
+
+        ipcMain.handle("switch-profile", async (event, id, pin) => {
+            return await this.switchProfile(id, pin);
+        });
+
+        handle("create-profile", async (event, name, pin) => {
+            this.profiles.create(name, pin);
+            return this.getProfiles();
+        });
+
+        handle("rename-profile", async (event, id, name, pin) => {
+            return this.renameProfile(id, name, pin);
+        });
+
+        handle("set-profile-pin", async (event, id, currentPin, newPin) => {
+            return this.setProfilePin(id, currentPin, newPin);
+        });
+
+        handle("delete-profile", async (event, id, pin) => {
+            return this.deleteProfile(id, pin);
+        });
+
+        // Jikan responses are the same for every profile, so no unlock is
+        // needed. Errors lose their status over IPC, so they are returned as data
+        ipcMain.handle("jikan-get", async (event, requestPath) => {
+            if (typeof requestPath !== "string" || !requestPath.startsWith("/")) {
+                throw new Error("A Jikan path such as /anime/1 is required");
+            }
+
+            try {
+                return { data: await this.jikan.get(requestPath) };
+            } catch (error) {
+                return { error: { message: error.message, status: error.status || null, offline: Boolean(error.offline) } };
+            }
+        });
+
+        ipcMain.handle("get-jikan-status", async () => {
+            return { online: this.jikan.online };
+        });
+
+        handle("check-jikan-base-url", async (event, baseUrl) => {
+            return await checkJikanEndpoint(baseUrl ? normalizeBaseUrl(baseUrl) : this.jikanBaseUrl);
+        });
+
+        handle("set-jikan-base-url", async (event, baseUrl) => {
+            return await this.setJikanBaseUrl(baseUrl);
+        });
+
+        handle("clear-jikan-cache", async () => {
+            this.jikanCache.clear();
+            console.log("Cleared the Jikan cache");
+            return this.getSettings();
+        });
+
+        // Watchlist CRUD operations
+        handle("get-watchlist", async (event, options) => {
+            return await this.watchlistManager.getWatchlist(options);
+        });
+
+        handle("add-to-watchlist", async (event, anime) => {
+            return await this.watchlistManager.addToWatchlist(anime);
+        });
+
+        handle("remove-from-watchlist", async (event, id) => {
+            return await this.watchlistManager.removeFromWatchlist(id);
+        });
+
+        handle("update-watchlist", async (event, id, data) => {
+            return await this.watchlistManager.updateWatchlist(id, data);
+        });
+
+        // Reading List CRUD operations
+        handle("get-readinglist", async (event, options) => {
+            return await this.readingListManager.getReadingList(options);
+        });
+
+        handle("add-to-readinglist", async (event, manga) => {
+            return await this.readingListManager.addToReadingList(manga);
+        });
+
+        handle("remove-from-readinglist", async (event, id) => {
+            return await this.readingListManager.removeFromReadingList(id);
+        });
+
+        handle("update-readinglist", async (event, id, data) => {
+            return await this.readingListManager.updateReadingList(id, data);
+        });
+
+        // Favorites management
+        handle("get-favorites", async (event, options) => {
+            return await this.favoritesManager.getFavorites(options);
+        });
+
+        handle("add-to-favorites", async (event, character) => {
+            return await this.favoritesManager.addToFavorites(character);
+        });
+
+        handle("remove-from-favorites", async (event, id) => {
+            return await this.favoritesManager.removeFromFavorites(id);
+        });
+
+        // Settings
+        handle("get-settings", async () => {
+            return this.getSettings();
+        });
+
+        handle("choose-data-directory", async () => {
+            const result = await dialog.showOpenDialog(this.mainWindow, {
+                title: "Choose Data Folder",
+                defaultPath: this.dataDir,
+                properties: ["openDirectory", "createDirectory"]
+            });
+
+            if (result.canceled || result.filePaths.length === 0) {
+                return null;
+            }
+
+            return await this.changeDataDirectory(result.filePaths[0]);
+        });
+
+        handle("reset-data-directory", async () => {
+            return await this.changeDataDirectory(null);
+        });
+
+        handle("update-settings", async (event, changes) => {
+            return this.updateSettings(changes);
+        });
+
+        handle("migrate-storage", async (event, backend) => {
+            return await this.migrateStorage(backend);
+        });
+
+        // Backups
+        handle("list-backups", async () => {
+            return this.backupManager.listSnapshots();
+        });
+
+        handle("preview-backup", async (event, id) => {
+            return this.backupManager.previewSnapshot(id);
+        });
+
+        handle("create-backup", async () => {
+            return await this.backupManager.createSnapshot("manual");
+        });
+
+        handle("restore-backup", async (event, id) => {
+            return await this.backupManager.restoreSnapshot(id);
+        });
+
+        // Undo / redo of removals and edits
+        handle("undo-change", async (event, type) => {
+            return await this.history.undo(type);
+        });
+
+        handle("redo-change", async (event, type) => {
+            return await this.history.redo(type);
+        });
+
+        // Trash
+        handle("list-trash", async () => {
+            return this.trash.list();
+        });
+
+        handle("restore-from-trash", async (event, id) => {
+            return await this.restoreFromTrash(id);
+        });
+
+        handle("delete-from-trash", async (event, id) => {
+            this.trash.remove(id);
+            return this.trash.list();
+        });
+
+        handle("empty-trash", async () => {
+            this.trash.empty();
+            return this.trash.list();
         });
 
-        // Recreate window on macOS when dock icon is clicked
-        app.on("activate", () => {
-            if (BrowserWindow.getAllWindows().length === 0) this.createWindow();
+        // Activity log
+        handle("get-activity", async (event, filters) => {
+            return this.activity.query(filters);
         });
 
-        this.setupIPC();
-    }
+        // Imports
+        handle("preview-mal-import", async () => {
+            return await this.previewMalImport();
+        });
 
-    /**
-     * Create the main application window
-     */
-    createWindow() {
-        this.mainWindow = new BrowserWindow({
-            width: 1400,
-            height: 900,
-            minWidth: 1200,
-            minHeight: 700,
-            webPreferences: {
-                preload: path.join(__dirname, "preload.js"),
-                contextIsolation: true,
-                enableRemoteModule: false,
-                nodeIntegration: false,
-                webSecurity: true
-            },
-            title: "AniToWatch - Anime & Manga Tracker",
-            show: false
+        handle("commit-import", async (event, importId, conflictChoice) => {
+            return await this.commitImport(importId, conflictChoice);
         });
 
-        // Load the main interface
-        this.mainWindow.loadFile(path.join(__dirname, "src", "index.html"));
-        
-        // Show window when ready
-        this.mainWindow.once('ready-to-show', () => {
-            this.mainWindow.show();
-            this.mainWindow.focus();
+        handle("preview-anilist-import", async () => {
+            return await this.previewAniListImport();
         });
 
-        // Handle external links (open in default browser)
-        this.mainWindow.webContents.setWindowOpenHandler(({ url }) => {
-            shell.openExternal(url);
-            return { action: 'deny' };
+        handle("open-csv-import", async () => {
+            return await this.openCsvImport();
         });
-    }
 
-    /**
-     * Set up Inter-Process Communication (IPC) handlers
-     */
-    setupIPC() {
-        // Watchlist CRUD operations
-        ipcMain.handle("get-watchlist", async () => {
-            return await this.watchlistManager.getWatchlist();
+        handle("match-csv-import", async (event, mapping, defaultType) => {
+            return await this.matchCsvImport(mapping, defaultType);
         });
 
-        ipcMain.handle("add-to-watchlist", async (event, anime) => {
-            return await this.watchlistManager.addToWatchlist(anime);
+        handle("review-csv-import", async (event, choices) => {
+            return await this.reviewCsvImport(choices);
         });
 
-        ipcMain.handle("remove-from-watchlist", async (event, id) => {
-            return await this.watchlistManager.removeFromWatchlist(id);
+        handle("cancel-import", async () => {
+            this.pendingImport = null;
+            this.pendingCsv = null;
         });
 
-        ipcMain.handle("update-watchlist", async (event, id, data) => {
-            return await this.watchlistManager.updateWatchlist(id, data);
+        // Exports
+        handle("export-mal-xml", async (event, type) => {
+            return await this.exportMalXml(type);
         });
 
-        // Reading List CRUD operations
-        ipcMain.handle("get-readinglist", async () => {
-            return await this.readingListManager.getReadingList();
+        handle("export-anilist", async () => {
+            return await this.exportAniList();
         });
 
-        ipcMain.handle("add-to-readinglist", async (event, manga) => {
-            return await this.readingListManager.addToReadingList(manga);
+        handle("export-lists", async (event, format) => {
+            return await this.exportLists(format);
         });
 
-        ipcMain.handle("remove-from-readinglist", async (event, id) => {
-            return await this.readingListManager.removeFromReadingList(id);
+        // Backup bundles
+        handle("export-bundle", async () => {
+            return await this.exportBundle();
         });
 
-        // Favorites management
-        ipcMain.handle("get-favorites", async () => {
-            return await this.favoritesManager.getFavorites();
+        handle("import-bundle", async () => {
+            return await this.importBundle();
         });
 
-        ipcMain.handle("add-to-favorites", async (event, character) => {
-            return await this.favoritesManager.addToFavorites(character);
+        // Shared folder sync
+        handle("get-device-sync", async () => {
+            return this.deviceSync.getStatus();
         });
 
-        ipcMain.handle("remove-from-favorites", async (event, id) => {
-            return await this.favoritesManager.removeFromFavorites(id);
+        handle("choose-sync-folder", async () => {
+            const result = await dialog.showOpenDialog(this.mainWindow, {
+                title: "Choose Shared Sync Folder",
+                properties: ["openDirectory", "createDirectory"]
+            });
+
+            if (result.canceled || result.filePaths.length === 0) {
+                return null;
+            }
+            if (path.resolve(result.filePaths[0]) === path.resolve(this.profileDir)) {
+                throw new Error("Choose a folder outside the profile's own data folder");
+            }
+
+            return await this.deviceSync.join(result.filePaths[0]);
+        });
+
+        handle("leave-sync-folder", async () => {
+            return this.deviceSync.leave();
+        });
+
+        handle("run-device-sync", async () => {
+            return await this.deviceSync.sync();
+        });
+
+        handle("resolve-device-conflict", async (event, type, key, field, optionIndex) => {
+            return await this.deviceSync.resolveConflict(type, key, field, optionIndex);
+        });
+
+        // Adds made while offline
+        handle("get-offline-queue", async () => {
+            return this.offlineQueue.getStatus();
+        });
+
+        handle("queue-offline-add", async (event, type, malId, title) => {
+            return this.offlineQueue.enqueue(type, malId, title);
+        });
+
+        // MyAnimeList sync
+        handle("get-mal-sync", async () => {
+            return this.malSync.getStatus();
+        });
+
+        handle("update-mal-sync-settings", async (event, changes) => {
+            return this.malSync.configure(changes);
+        });
+
+        handle("connect-mal", async () => {
+            return await this.malSync.connect();
+        });
+
+        handle("disconnect-mal", async () => {
+            return this.malSync.disconnect();
+        });
+
+        handle("sync-mal", async (event, resolutions) => {
+            return await this.malSync.sync(resolutions);
+        });
+
+        // Corrupted file recovery notices
+        handle("get-recovery-notices", async () => {
+            return this.recoveryNotices;
+        });
+
+        handle("dismiss-recovery-notice", async (event, type) => {
+            this.recoveryNotices = this.recoveryNotices.filter(n => n.type !== type);
+            return this.recoveryNotices;
         });
     }
 
     // Data manager getters
     get watchlistManager() {
-        return new DataManager(this.watchlistPath, 'watchlist');
+        return this.managers.watchlist;
     }
 
     get readingListManager() {
-        return new DataManager(this.readingListPath, 'readinglist');
+        return this.managers.readinglist;
     }
 
     get favoritesManager() {
-        return new DataManager(this.favoritesPath, 'favorites');
+        return this.managers.favorites;
     }
 }
 
 /**
  * DATA MANAGER CLASS
- * Handles all JSON file-based data operations
+ * Handles all list operations on top of a storage backend (JsonStorage
+ * or SqliteStorage). Operations run one at a time through a promise
+ * queue so concurrent IPC requests can't interleave their changes.
+ * Re-emits the storage's 'saved', 'recovered' and 'external-change'
+ * events, and emits 'changed' with the item before and after every add,
+ * remove and update, and 'replaced' when the whole list is swapped out.
  */
-class DataManager {
-    constructor(filePath, type) {
-        this.filePath = filePath;
+class DataManager extends EventEmitter {
+    constructor(type, storage) {
+        super();
         this.type = type;
-        this.ensureDataDirectory();
+        this.storage = storage;
+        this.queue = Promise.resolve();
+        this.retired = false;
+
+        storage.on('saved', count => this.emit('saved', count));
+        storage.on('recovered', notice => this.emit('recovered', notice));
+        storage.on('external-change', () => this.emit('external-change', this.type));
     }
 
     /**
-     * Ensure data directory and JSON file exist
+     * Run an operation after all previously queued ones have finished
      */
-    ensureDataDirectory() {
-        const dataDir = path.dirname(this.filePath);
-        if (!fs.existsSync(dataDir)) {
-            fs.mkdirSync(dataDir, { recursive: true });
-        }
-        
-        // Create empty JSON file if it doesn't exist
-        if (!fs.existsSync(this.filePath)) {
-            this.saveData([]);
-        }
+    enqueue(operation) {
+        const result = this.queue.then(() => {
+            if (this.retired) throw new Error("The lists were moved while this change was waiting. Try it again.");
+            return operation();
+        });
+        // A failed operation must not block the ones queued after it
+        this.queue = result.catch(() => {});
+        return result;
     }
 
     /**
-     * Get data from JSON file
+     * Hold operations queued from now on until the returned release is
+     * called. Resolves once the operations queued before have completed.
+     * Releasing with retired set fails the held operations, for when the
+     * lists have moved elsewhere.
      */
-    async getWatchlist() {
-        try {
-            console.log(`Reading ${this.type} from: ${this.filePath}`);
-            
-            if (!fs.existsSync(this.filePath)) {
-                console.log(`File not found, creating empty ${this.type}`);
-                return [];
-            }
-            
-            const data = fs.readFileSync(this.filePath, "utf-8");
-            
-            if (!data.trim()) {
-                console.log(`Empty file, returning empty array for ${this.type}`);
-                return [];
-            }
-            
-            const parsedData = JSON.parse(data);
-            console.log(`Successfully loaded ${parsedData.length} items from ${this.type}`);
-            return parsedData;
-            
-        } catch (error) {
-            console.error(`Error reading ${this.type} from JSON file:`, error);
-            // If file is corrupted, reset it
-            this.saveData([]);
-            return [];
-        }
+    hold() {
+        let release;
+        const held = new Promise(resolve => {
+            release = ({ retired = false } = {}) => {
+                this.retired = retired;
+                resolve();
+            };
+        });
+
+        const drained = this.queue;
+        this.queue = this.queue.then(() => held);
+        return drained.then(() => release);
+    }
+
+    /**
+     * Resolve once every queued operation has completed
+     */
+    flush() {
+        return this.enqueue(() => {});
+    }
+
+    /**
+     * Get all items of the list, or with query options only the matching
+     * items in the order asked for (see SqliteStorage.query)
+     */
+    async getWatchlist(options = null) {
+        return this.enqueue(() => options ? this.storage.query(options) : this.storage.readAll());
+    }
+
+    async getReadingList(options = null) {
+        return this.getWatchlist(options);
+    }
+
+    async getFavorites(options = null) {
+        return this.getWatchlist(options);
+    }
+
+    /**
+     * Generate a unique item id
+     */
+    generateId() {
+        return crypto.randomUUID();
+    }
+
+    /**
+     * Find an item by its unique id, or by mal_id for callers that only
+     * know the MyAnimeList id. Returns null when nothing matches.
+     */
+    findItem(key) {
+        if (key === null || key === undefined || key === '') return null;
+
+        const byId = this.storage.findById(String(key));
+        if (byId) return byId;
+
+        const malId = Number(key);
+        if (!Number.isInteger(malId)) return null;
+        return this.storage.findByMalId(malId);
+    }
+
+    /**
+     * Entries without a MAL id are custom and never count as duplicates
+     */
+    isDuplicate(malId) {
+        if (malId === null || malId === undefined) return false;
+        return !!this.storage.findByMalId(malId);
     }
 
-    async getReadingList() {
-        return this.getWatchlist();
+    /**
+     * Report a change to one item. `before` is null for adds and `after`
+     * is null for removes. `origin` is 'user' for requests from the pages;
+     * changes replayed by the app use 'undo', 'redo' or 'trash', edits to
+     * the list file made outside the app use 'external', and imports use
+     * 'import', with 'enrich' for details looked up afterwards.
+     */
+    emitChange(action, before, after, origin = 'user') {
+        this.emit('changed', { type: this.type, action, before, after, origin });
+    }
+
+    requireTitle(title) {
+        if (!title || !String(title).trim()) {
+            throw new Error(`A title is required to add to ${this.type}`);
+        }
     }
 
-    async getFavorites() {
-        return this.getWatchlist();
+    /**
+     * Add an item unless one with the same mal_id exists. Returns the
+     * added item, or null for a duplicate.
+     */
+    addItem(item, title) {
+        if (this.isDuplicate(item.mal_id)) {
+            console.log(`"${title}" already exists in ${this.type}`);
+            return null;
+        }
+
+        this.storage.insert(item);
+        this.emitChange('add', null, item);
+        console.log(`Added "${title}" to ${this.type}`);
+        return item;
     }
 
     /**
-     * Add item to JSON file
+     * Add item to the list
      */
     async addToWatchlist(anime) {
+        return this.enqueue(() => this.applyAddToWatchlist(anime));
+    }
+
+    async applyAddToWatchlist(anime) {
         try {
-            let watchlist = await this.getWatchlist();
-            
+            this.requireTitle(anime.title);
+
             const animeItem = {
-                id: Date.now().toString(),
-                mal_id: anime.mal_id,
+                id: this.generateId(),
+                mal_id: anime.mal_id ?? null,
                 title: anime.title,
                 image: anime.images?.jpg?.image_url,
                 episodes: anime.episodes || 0,
@@ -217,19 +2071,12 @@ class DataManager {
                 status: 'planning',
                 rating: 0,
                 notes: '',
+                repeat: 0,
+                custom_lists: [],
                 added_date: new Date().toISOString()
             };
 
-            // Prevent duplicates
-            if (!watchlist.find(a => a.mal_id === anime.mal_id)) {
-                watchlist.push(animeItem);
-                await this.saveData(watchlist);
-                console.log(`Added "${anime.title}" to ${this.type}`);
-            } else {
-                console.log(`"${anime.title}" already exists in ${this.type}`);
-            }
-            
-            return watchlist;
+            return this.addItem(animeItem, anime.title);
         } catch (error) {
             console.error(`Error adding to ${this.type}:`, error);
             throw error;
@@ -237,12 +2084,16 @@ class DataManager {
     }
 
     async addToReadingList(manga) {
+        return this.enqueue(() => this.applyAddToReadingList(manga));
+    }
+
+    async applyAddToReadingList(manga) {
         try {
-            let list = await this.getReadingList();
-            
+            this.requireTitle(manga.title);
+
             const mangaItem = {
-                id: Date.now().toString(),
-                mal_id: manga.mal_id,
+                id: this.generateId(),
+                mal_id: manga.mal_id ?? null,
                 title: manga.title,
                 image: manga.images?.jpg?.image_url,
                 chapters: manga.chapters || 0,
@@ -251,18 +2102,12 @@ class DataManager {
                 status: 'planning',
                 rating: 0,
                 notes: '',
+                repeat: 0,
+                custom_lists: [],
                 added_date: new Date().toISOString()
             };
 
-            if (!list.find(m => m.mal_id === manga.mal_id)) {
-                list.push(mangaItem);
-                await this.saveData(list);
-                console.log(`Added "${manga.title}" to ${this.type}`);
-            } else {
-                console.log(`"${manga.title}" already exists in ${this.type}`);
-            }
-            
-            return list;
+            return this.addItem(mangaItem, manga.title);
         } catch (error) {
             console.error(`Error adding to ${this.type}:`, error);
             throw error;
@@ -270,12 +2115,16 @@ class DataManager {
     }
 
     async addToFavorites(character) {
+        return this.enqueue(() => this.applyAddToFavorites(character));
+    }
+
+    async applyAddToFavorites(character) {
         try {
-            let favorites = await this.getFavorites();
-            
+            this.requireTitle(character.name);
+
             const characterItem = {
-                id: Date.now().toString(),
-                mal_id: character.mal_id,
+                id: this.generateId(),
+                mal_id: character.mal_id ?? null,
                 name: character.name,
                 image: character.images?.jpg?.image_url,
                 anime: character.anime?.[0]?.anime?.title || 'Unknown',
@@ -283,15 +2132,7 @@ class DataManager {
                 added_date: new Date().toISOString()
             };
 
-            if (!favorites.find(c => c.mal_id === character.mal_id)) {
-                favorites.push(characterItem);
-                await this.saveData(favorites);
-                console.log(`Added "${character.name}" to ${this.type}`);
-            } else {
-                console.log(`"${character.name}" already exists in ${this.type}`);
-            }
-            
-            return favorites;
+            return this.addItem(characterItem, character.name);
         } catch (error) {
             console.error(`Error adding to ${this.type}:`, error);
             throw error;
@@ -299,21 +2140,26 @@ class DataManager {
     }
 
     /**
-     * Remove item from JSON file
+     * Remove item from the list. Resolves to the removed item, or null if
+     * it wasn't found.
      */
     async removeFromWatchlist(id) {
+        return this.enqueue(() => this.applyRemove(id));
+    }
+
+    async applyRemove(id) {
         try {
-            let watchlist = await this.getWatchlist();
-            const itemToRemove = watchlist.find(a => a.mal_id === id);
-            watchlist = watchlist.filter(a => a.mal_id !== id);
-            
-            await this.saveData(watchlist);
+            const itemToRemove = this.findItem(id);
             
             if (itemToRemove) {
-                console.log(`Removed "${itemToRemove.title}" from ${this.type}`);
+                this.storage.remove(itemToRemove.id);
+                this.emitChange('remove', itemToRemove, null);
+                console.log(`Removed "${titleOf(itemToRemove)}" from ${this.type}`);
+            } else {
+                console.log(`Item with ID ${id} not found in ${this.type}`);
             }
             
-            return watchlist;
+            return itemToRemove;
         } catch (error) {
             console.error(`Error removing from ${this.type}:`, error);
             throw error;
@@ -329,42 +2175,289 @@ class DataManager {
     }
 
     /**
-     * Update item in JSON file
+     * Update item in the list. Resolves to the updated item, or null if
+     * it wasn't found.
      */
     async updateWatchlist(id, updates) {
+        return this.enqueue(() => this.applyUpdate(id, updates));
+    }
+
+    async applyUpdate(id, updates) {
         try {
-            let watchlist = await this.getWatchlist();
-            const index = watchlist.findIndex(a => a.mal_id === id);
+            const oldItem = this.findItem(id);
             
-            if (index !== -1) {
-                const oldItem = { ...watchlist[index] };
-                watchlist[index] = { ...watchlist[index], ...updates };
-                await this.saveData(watchlist);
-                
-                console.log(`Updated "${oldItem.title}" in ${this.type}:`, updates);
-            } else {
+            if (!oldItem) {
                 console.log(`Item with ID ${id} not found in ${this.type}`);
+                return null;
             }
-            
-            return watchlist;
+
+            // The unique id is the item's identity and never changes
+            const newItem = { ...oldItem, ...updates, id: oldItem.id };
+            this.storage.update(newItem);
+            this.emitChange('update', oldItem, newItem);
+            console.log(`Updated "${titleOf(oldItem)}" in ${this.type}:`, updates);
+            return newItem;
         } catch (error) {
             console.error(`Error updating ${this.type}:`, error);
             throw error;
         }
     }
 
+    async updateReadingList(id, updates) {
+        return this.updateWatchlist(id, updates);
+    }
+
+    /**
+     * Put a removed item back with its original id, progress and notes.
+     * Resolves to false if it is already in the list.
+     */
+    async restoreItem(item, origin) {
+        return this.enqueue(() => {
+            if (this.storage.findById(item.id) || this.isDuplicate(item.mal_id)) return false;
+
+            this.storage.insert(item);
+            this.emitChange('add', null, item, origin);
+            return true;
+        });
+    }
+
     /**
-     * Save data to JSON file with proper formatting
+     * Overwrite an item with an earlier or later version of itself.
+     * `expected` is the version the caller last saw. Resolves to false if
+     * the item is no longer in the list or has changed since.
+     */
+    async replaceItem(expected, item, origin) {
+        return this.enqueue(() => {
+            const current = this.storage.findById(item.id);
+            if (!current || JSON.stringify(current) !== JSON.stringify(expected)) return false;
+
+            this.storage.update(item);
+            this.emitChange('update', current, item, origin);
+            return true;
+        });
+    }
+
+    /**
+     * Remove an item by its unique id. Resolves to false if it is gone,
+     * or if `expected` is given and the item no longer matches it.
+     */
+    async deleteItem(id, origin, expected = null) {
+        return this.enqueue(() => {
+            const current = this.storage.findById(id);
+            if (!current) return false;
+            if (expected && JSON.stringify(current) !== JSON.stringify(expected)) return false;
+
+            this.storage.remove(id);
+            this.emitChange('remove', current, null, origin);
+            return true;
+        });
+    }
+
+    /**
+     * Replace the whole list through the write queue
      */
     async saveData(data) {
-        try {
-            const jsonData = JSON.stringify(data, null, 2); // Pretty print with 2 spaces
-            fs.writeFileSync(this.filePath, jsonData, "utf-8");
-            console.log(`Successfully saved ${data.length} items to ${this.filePath}`);
-        } catch (error) {
-            console.error(`Error saving ${this.type} to JSON file:`, error);
-            throw error;
-        }
+        return this.enqueue(() => {
+            this.storage.replaceAll(data);
+            this.emit('replaced', this.type);
+        });
+    }
+
+    /**
+     * Current list with its schema version, for snapshots
+     */
+    async getSnapshot() {
+        return this.enqueue(() => ({ version: SCHEMA_VERSION, items: this.storage.readAll() }));
+    }
+
+    /**
+     * Replace the whole list with snapshot data, migrating it if it is older
+     */
+    async restoreData(data) {
+        return this.enqueue(() => {
+            const { items } = migrateEnvelope(toEnvelope(data, this.type), this.type);
+            this.storage.replaceAll(items);
+            this.emit('replaced', this.type);
+            return items;
+        });
+    }
+
+    /**
+     * Add and update many entries with a single write. Additions whose
+     * mal_id is already in the list are skipped.
+     */
+    async importItems(additions, updates = [], origin = 'import') {
+        return this.enqueue(() => {
+            const items = this.storage.readAll();
+            const indexById = new Map(items.map((item, index) => [item.id, index]));
+            const changes = [];
+
+            updates.forEach(({ id, fields }) => {
+                const index = indexById.get(id);
+                if (index === undefined) return;
+
+                const before = items[index];
+                items[index] = { ...before, ...fields, id: before.id };
+                changes.push(['update', before, items[index]]);
+            });
+
+            const malIds = new Set(items.map(item => item.mal_id).filter(Boolean));
+            additions.forEach(item => {
+                if (item.mal_id && malIds.has(item.mal_id)) return;
+                if (item.mal_id) malIds.add(item.mal_id);
+
+                items.push(item);
+                changes.push(['add', null, item]);
+            });
+
+            this.storage.replaceAll(items);
+            changes.forEach(([action, before, after]) => this.emitChange(action, before, after, origin));
+
+            const added = changes.filter(([action]) => action === 'add').length;
+            console.log(`Imported ${added} new and ${changes.length - added} updated items into ${this.type}`);
+            return { added, updated: changes.length - added };
+        });
+    }
+
+    /**
+     * Bring the list in line with the operation logs of every device
+     * syncing through a shared folder. Entries are matched by mal_id, or
+     * by id for custom entries. Entries no device has logged are left
+     * alone, and merged entries that aren't valid, such as ones with a
+     * cover that isn't an http(s) address, are skipped. Resolves to
+     * the merged entries, the conflicts found and the skipped entries.
+     */
+    async mergeOperations(ops) {
+        return this.enqueue(() => {
+            const merged = mergeOperations(ops);
+            const items = this.storage.readAll();
+            const indexByKey = new Map(items.map((item, index) => [keyOf(item), index]));
+            const ids = new Set(items.map(item => item.id));
+            const changes = [];
+            const skipped = [];
+
+            // Entries written by another device, in the form they'd be stored
+            const checked = (key, item) => {
+                const [normalized] = normalizeItems([item], this.type);
+                const problems = validateItems([normalized], this.type);
+                if (problems.length === 0) return normalized;
+
+                skipped.push({ key, title: item.title || item.name || key, problems });
+                return null;
+            };
+
+            merged.entries.forEach((entry, key) => {
+                const index = indexByKey.get(key);
+                const current = index === undefined ? null : items[index];
+
+                if (entry.removed) {
+                    if (!current) return;
+                    items[index] = null;
+                    changes.push(['remove', current, null]);
+                } else if (current) {
+                    const updated = checked(key, { ...current, ...entry.fields, id: current.id });
+                    if (!updated || JSON.stringify(updated) === JSON.stringify(current)) return;
+                    items[index] = updated;
+                    changes.push(['update', current, updated]);
+                } else if (!ids.has(entry.itemId)) {
+                    const added = checked(key, { ...entry.fields, id: entry.itemId });
+                    if (!added) return;
+                    items.push(added);
+                    ids.add(added.id);
+                    changes.push(['add', null, added]);
+                }
+            });
+
+            if (changes.length > 0) {
+                this.storage.replaceAll(items.filter(Boolean));
+                changes.forEach(([action, before, after]) => this.emitChange(action, before, after, 'device-sync'));
+                console.log(`Merged ${changes.length} changes from other devices into ${this.type}`);
+            }
+            if (skipped.length > 0) {
+                console.error(`Skipped ${skipped.length} invalid entries from other devices in ${this.type}:`, skipped.map(entry => entry.problems.join("; ")));
+            }
+            return { ...merged, skipped };
+        });
+    }
+
+    /**
+     * Fill in details looked up after an import, such as the cover image.
+     * Resolves to false if the entry is gone or nothing changed.
+     */
+    async enrichItem(id, fields) {
+        return this.enqueue(() => {
+            const before = this.storage.findById(id);
+            if (!before) return false;
+
+            const after = { ...before };
+            Object.entries(fields).forEach(([field, value]) => {
+                if (value !== undefined && value !== null) after[field] = value;
+            });
+            if (JSON.stringify(after) === JSON.stringify(before)) return false;
+
+            this.storage.update(after);
+            this.emitChange('update', before, after, 'enrich');
+            return true;
+        });
+    }
+
+    /**
+     * Validated items of a list file edited outside the app, or null if it
+     * hasn't changed. Only file storage can be edited this way.
+     */
+    async readExternalChange() {
+        if (!this.storage.readExternalChange) return null;
+        return this.enqueue(() => this.storage.readExternalChange());
+    }
+
+    /**
+     * Keep the list as it is and set the edited file aside
+     */
+    async rejectExternalChange() {
+        return this.enqueue(() => this.storage.rejectExternalChange());
+    }
+
+    /**
+     * How items differ from the stored list, matched by id
+     */
+    async compareItems(items) {
+        return this.enqueue(() => {
+            const current = this.storage.readAll();
+            const currentById = new Map(current.map(item => [item.id, item]));
+            const ids = new Set(items.map(item => item.id));
+
+            return {
+                added: items.filter(item => !currentById.has(item.id)),
+                removed: current.filter(item => !ids.has(item.id)),
+                updated: items.filter(item => currentById.has(item.id) && JSON.stringify(currentById.get(item.id)) !== JSON.stringify(item))
+            };
+        });
+    }
+
+    /**
+     * Replace the list with externally edited items. Every added, removed
+     * and changed entry is reported with an 'external' origin.
+     */
+    async applyExternalItems(items) {
+        return this.enqueue(() => {
+            const currentById = new Map(this.storage.readAll().map(item => [item.id, item]));
+            this.storage.acceptExternalChange(items);
+
+            items.forEach(item => {
+                const current = currentById.get(item.id);
+                currentById.delete(item.id);
+
+                if (!current) {
+                    this.emitChange('add', null, item, 'external');
+                } else if (JSON.stringify(current) !== JSON.stringify(item)) {
+                    this.emitChange('update', current, item, 'external');
+                }
+            });
+            currentById.forEach(item => this.emitChange('remove', item, null, 'external'));
+
+            console.log(`Applied external edit to ${this.type}: ${items.length} items`);
+            return items;
+        });
     }
 }
 
@@ -13,21 +13,118 @@ class ElectronAPI {
         // Expose watchlist operations to renderer
         contextBridge.exposeInMainWorld("electronAPI", {
             // Watchlist operations
-            getWatchlist: () => ipcRenderer.invoke("get-watchlist"),
+            getWatchlist: (options) => ipcRenderer.invoke("get-watchlist", options),
             addToWatchlist: (anime) => ipcRenderer.invoke("add-to-watchlist", anime),
             removeFromWatchlist: (id) => ipcRenderer.invoke("remove-from-watchlist", id),
             updateWatchlist: (id, data) => ipcRenderer.invoke("update-watchlist", id, data),
             
             // Reading list operations
-            getReadingList: () => ipcRenderer.invoke("get-readinglist"),
+            getReadingList: (options) => ipcRenderer.invoke("get-readinglist", options),
             addToReadingList: (manga) => ipcRenderer.invoke("add-to-readinglist", manga),
             removeFromReadingList: (id) => ipcRenderer.invoke("remove-from-readinglist", id),
+            updateReadingList: (id, data) => ipcRenderer.invoke("update-readinglist", id, data),
             
             // Favorites operations
-            getFavorites: () => ipcRenderer.invoke("get-favorites"),
+            getFavorites: (options) => ipcRenderer.invoke("get-favorites", options),
             addToFavorites: (character) => ipcRenderer.invoke("add-to-favorites", character),
             removeFromFavorites: (id) => ipcRenderer.invoke("remove-from-favorites", id),
             
+            // Profiles
+            getProfiles: () => ipcRenderer.invoke("get-profiles"),
+            switchProfile: (id, pin) => ipcRenderer.invoke("switch-profile", id, pin),
+            createProfile: (name, pin) => ipcRenderer.invoke("create-profile", name, pin),
+            renameProfile: (id, name, pin) => ipcRenderer.invoke("rename-profile", id, name, pin),
+            setProfilePin: (id, currentPin, newPin) => ipcRenderer.invoke("set-profile-pin", id, currentPin, newPin),
+            deleteProfile: (id, pin) => ipcRenderer.invoke("delete-profile", id, pin),
+
+            // Settings
+            getSettings: () => ipcRenderer.invoke("get-settings"),
+            chooseDataDirectory: () => ipcRenderer.invoke("choose-data-directory"),
+            resetDataDirectory: () => ipcRenderer.invoke("reset-data-directory"),
+            updateSettings: (changes) => ipcRenderer.invoke("update-settings", changes),
+            migrateStorage: (backend) => ipcRenderer.invoke("migrate-storage", backend),
+            
+            // Undo / redo
+            undoChange: (type) => ipcRenderer.invoke("undo-change", type),
+            redoChange: (type) => ipcRenderer.invoke("redo-change", type),
+
+            // Trash
+            listTrash: () => ipcRenderer.invoke("list-trash"),
+            restoreFromTrash: (id) => ipcRenderer.invoke("restore-from-trash", id),
+            deleteFromTrash: (id) => ipcRenderer.invoke("delete-from-trash", id),
+            emptyTrash: () => ipcRenderer.invoke("empty-trash"),
+
+            // Jikan server and response cache
+            clearJikanCache: () => ipcRenderer.invoke("clear-jikan-cache"),
+            jikanGet: (path) => ipcRenderer.invoke("jikan-get", path),
+            getJikanStatus: () => ipcRenderer.invoke("get-jikan-status"),
+            onJikanStatus: (callback) => ipcRenderer.on("jikan-status", (event, online) => callback(online)),
+            checkJikanBaseUrl: (baseUrl) => ipcRenderer.invoke("check-jikan-base-url", baseUrl),
+            setJikanBaseUrl: (baseUrl) => ipcRenderer.invoke("set-jikan-base-url", baseUrl),
+
+            // Activity log
+            getActivity: (filters) => ipcRenderer.invoke("get-activity", filters),
+
+            // Imports
+            previewMalImport: () => ipcRenderer.invoke("preview-mal-import"),
+            previewAniListImport: () => ipcRenderer.invoke("preview-anilist-import"),
+            commitImport: (id, conflictChoice) => ipcRenderer.invoke("commit-import", id, conflictChoice),
+            openCsvImport: () => ipcRenderer.invoke("open-csv-import"),
+            matchCsvImport: (mapping, defaultType) => ipcRenderer.invoke("match-csv-import", mapping, defaultType),
+            reviewCsvImport: (choices) => ipcRenderer.invoke("review-csv-import", choices),
+            onCsvMatchProgress: (callback) => ipcRenderer.on("csv-match-progress", (event, progress) => callback(progress)),
+            cancelImport: () => ipcRenderer.invoke("cancel-import"),
+            onEnrichmentProgress: (callback) => ipcRenderer.on("enrichment-progress", (event, progress) => callback(progress)),
+
+            // Exports
+            exportMalXml: (type) => ipcRenderer.invoke("export-mal-xml", type),
+            exportAniList: () => ipcRenderer.invoke("export-anilist"),
+            exportLists: (format) => ipcRenderer.invoke("export-lists", format),
+
+            // Backup bundles
+            exportBundle: () => ipcRenderer.invoke("export-bundle"),
+            importBundle: () => ipcRenderer.invoke("import-bundle"),
+
+            // Shared folder sync
+            getDeviceSync: () => ipcRenderer.invoke("get-device-sync"),
+            chooseSyncFolder: () => ipcRenderer.invoke("choose-sync-folder"),
+            leaveSyncFolder: () => ipcRenderer.invoke("leave-sync-folder"),
+            runDeviceSync: () => ipcRenderer.invoke("run-device-sync"),
+            resolveDeviceConflict: (type, key, field, optionIndex) => ipcRenderer.invoke("resolve-device-conflict", type, key, field, optionIndex),
+            onDeviceSyncStatus: (callback) => ipcRenderer.on("device-sync-status", (event, status) => callback(status)),
+
+            // Adds made while offline
+            getOfflineQueue: () => ipcRenderer.invoke("get-offline-queue"),
+            queueOfflineAdd: (type, malId, title) => ipcRenderer.invoke("queue-offline-add", type, malId, title),
+            onOfflineQueueStatus: (callback) => ipcRenderer.on("offline-queue-status", (event, status) => callback(status)),
+            onOfflineQueueResult: (callback) => ipcRenderer.on("offline-queue-result", (event, result) => callback(result)),
+
+            // MyAnimeList sync
+            getMalSync: () => ipcRenderer.invoke("get-mal-sync"),
+            updateMalSyncSettings: (changes) => ipcRenderer.invoke("update-mal-sync-settings", changes),
+            connectMal: () => ipcRenderer.invoke("connect-mal"),
+            disconnectMal: () => ipcRenderer.invoke("disconnect-mal"),
+            syncMal: (resolutions) => ipcRenderer.invoke("sync-mal", resolutions),
+            onMalSyncStatus: (callback) => ipcRenderer.on("mal-sync-status", (event, status) => callback(status)),
+
+            // Backups
+            listBackups: () => ipcRenderer.invoke("list-backups"),
+            previewBackup: (id) => ipcRenderer.invoke("preview-backup", id),
+            createBackup: () => ipcRenderer.invoke("create-backup"),
+            restoreBackup: (id) => ipcRenderer.invoke("restore-backup", id),
+            
+            // Corrupted file recovery
+            getRecoveryNotices: () => ipcRenderer.invoke("get-recovery-notices"),
+            dismissRecoveryNotice: (type) => ipcRenderer.invoke("dismiss-recovery-notice", type),
+            onDataRecovered: (callback) => ipcRenderer.on("data-recovered", (event, notice) => callback(notice)),
+
+            // Live list changes from any window; returns a function that unsubscribes
+            onListChanged: (callback) => {
+                const listener = (event, change) => callback(change);
+                ipcRenderer.on("list-changed", listener);
+                return () => ipcRenderer.removeListener("list-changed", listener);
+            },
+            
             // App information
             platform: process.platform,
             version: '1.0.0'
@@ -0,0 +1,159 @@
+const assert = require("assert/strict");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { JSDOM, ResourceLoader, VirtualConsole } = require("jsdom");
+const { createFixtureServer } = require("./jikan-fixture-server");
+const { JikanApi } = require("../lib/jikan-api");
+
+/**
+ * JIKAN FIXTURE CHECK
+ * Replays the fixtures in fixtures/jikan through the anime browser,
+ * search and detail pages and checks what they render. The pages run in
+ * jsdom with the same requests the app makes: through the main process'
+ * JikanApi, pointed at the fixture server. Exits with 1 on the first
+ * failed check.
+ *
+ *   node scripts/jikan-fixture-check.js
+ */
+
+const PAGES_DIR = path.join(__dirname, "..", "src");
+
+// How long a page gets to render before a check fails
+const RENDER_TIMEOUT = 5000;
+
+/**
+ * Loads the pages' own scripts and nothing else, so stylesheets and the
+ * icon font from the CDN aren't fetched
+ */
+class ScriptLoader extends ResourceLoader {
+    fetch(url, options) {
+        if (options.element?.localName !== "script" || !url.startsWith("file:")) return null;
+        return super.fetch(url, options);
+    }
+}
+
+/**
+ * The part of preload.js the pages use, answered the way main.js does
+ */
+function createBridge(api) {
+    return {
+        jikanGet: async (requestPath) => {
+            try {
+                return { data: await api.get(requestPath) };
+            } catch (error) {
+                return { error: { message: error.message, status: error.status || null, offline: Boolean(error.offline) } };
+            }
+        },
+        getJikanStatus: async () => ({ online: api.online }),
+        onJikanStatus: () => {},
+        getProfiles: async () => ({ profiles: [], activeProfileId: null, locked: false }),
+        getOfflineQueue: async () => ({ actions: [] }),
+        onOfflineQueueStatus: () => {},
+        onOfflineQueueResult: () => {}
+    };
+}
+
+/**
+ * Open a page with a query string, collecting the errors it logs
+ */
+async function openPage(bridge, page, query = "") {
+    const file = path.join(PAGES_DIR, page);
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("error", (...args) => errors.push(args.join(" ")));
+    virtualConsole.on("jsdomError", error => errors.push(error.message));
+
+    const dom = await JSDOM.fromFile(file, {
+        url: `${pathToFileURL(file).href}${query}`,
+        runScripts: "dangerously",
+        resources: new ScriptLoader(),
+        virtualConsole,
+        beforeParse(window) {
+            window.electronAPI = bridge;
+        }
+    });
+    return { document: dom.window.document, errors, close: () => dom.window.close() };
+}
+
+/**
+ * Wait until the page shows what the test looks for
+ */
+async function rendered(document, selector) {
+    const startedAt = Date.now();
+    while (!document.querySelector(selector)) {
+        if (Date.now() - startedAt > RENDER_TIMEOUT) {
+            throw new Error(`${selector} wasn't rendered within ${RENDER_TIMEOUT} ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+const texts = (document, selector) => [...document.querySelectorAll(selector)].map(element => element.textContent.trim());
+
+async function main() {
+    const server = createFixtureServer();
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const api = new JikanApi({ baseUrl: `http://127.0.0.1:${server.address().port}/v4`, backoff: 0 });
+    const bridge = createBridge(api);
+    const steps = [];
+    const check = (name, test) => steps.push([name, test]);
+
+    check("the anime browser lists the first page and the genres", async () => {
+        const { document, errors, close } = await openPage(bridge, "anime.html");
+        await rendered(document, "#animeGrid .anime-card");
+        assert.deepEqual(texts(document, "#animeGrid .anime-card-title"), ["Cowboy Bebop", "Trigun", "Monster"]);
+        assert.equal(document.getElementById("loadMore").style.display, "block");
+
+        const genres = texts(document, "#genreFilter option");
+        assert.ok(genres.includes("Action"));
+        assert.ok(!genres.includes("Hentai"));
+        assert.deepEqual(errors, []);
+        close();
+    });
+
+    check("search shows anime, manga and characters for a query", async () => {
+        const { document, errors, close } = await openPage(bridge, "search.html", "?q=bebop");
+        await rendered(document, "#searchResults .character-card");
+        assert.deepEqual(texts(document, "#searchResults .anime-card-title"), ["Cowboy Bebop", "Cowboy Bebop: Tengoku no Tobira"]);
+        assert.deepEqual(texts(document, "#searchResults .manga-card-title"), ["Cowboy Bebop"]);
+        assert.deepEqual(texts(document, "#searchResults .character-card-name"), ["Spike Spiegel"]);
+        assert.match(document.getElementById("resultCount").textContent, /4 results found/);
+        assert.deepEqual(errors, []);
+        close();
+    });
+
+    check("the detail page renders an anime's full entry", async () => {
+        const { document, errors, close } = await openPage(bridge, "detail.html", "?mal_id=1&type=anime");
+        await rendered(document, "#detailContent .detail-title");
+        assert.equal(document.querySelector(".detail-title").textContent, "Cowboy Bebop");
+        assert.deepEqual(texts(document, ".relation-title"), ["Cowboy Bebop: Tengoku no Tobira"]);
+        assert.match(document.getElementById("detailContent").textContent, /Studios:\s*Sunrise/);
+        assert.equal(document.getElementById("errorState").style.display, "none");
+        assert.deepEqual(errors, []);
+        close();
+    });
+
+    check("the detail page shows its error when Jikan has no entry", async () => {
+        const { document, close } = await openPage(bridge, "detail.html", "?mal_id=999999&type=anime");
+        await rendered(document, "#errorState[style*='block']");
+        assert.equal(document.querySelector("#errorState h3").textContent, "Failed to load details. Please try again later.");
+        close();
+    });
+
+    let failed = false;
+    for (const [name, test] of steps) {
+        try {
+            await test();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            console.error(`not ok - ${name}\n`, error);
+            failed = true;
+            break;
+        }
+    }
+
+    server.close();
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
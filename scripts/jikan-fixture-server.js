@@ -0,0 +1,109 @@
+const http = require("http");
+const path = require("path");
+const { JIKAN_API_BASE } = require("../lib/jikan-api");
+const { readFixture, writeFixture, missingFixtureBody } = require("../lib/jikan-fixtures");
+
+/**
+ * JIKAN FIXTURE SERVER
+ * Serves recorded Jikan responses, so the browsers, search, detail page
+ * and homepage render the same way every time without a network, e.g.
+ * on a CI machine. Start the app against it with --jikan-base-url.
+ *
+ *   node scripts/jikan-fixture-server.js [--port 4200] [--fixtures dir] [--record] [--upstream url]
+ *   npm start -- --jikan-base-url=http://127.0.0.1:4200/v4
+ *
+ * Replaying, a request without a fixture answers 404 and is logged.
+ * With --record, requests without a fixture are passed on to Jikan, or
+ * --upstream, and the answers are saved as fixtures; browse the pages a
+ * test needs once to record them. Rate limited and server errors are
+ * passed back without being saved.
+ */
+
+const DEFAULT_PORT = 4200;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "fixtures", "jikan");
+
+// The app's base URL ends in /v4, as Jikan's does
+const BASE_PATH = "/v4";
+
+// Recording stays below Jikan's limit of 3 requests a second
+const RECORD_INTERVAL = 400;
+
+function createFixtureServer({ directory = DEFAULT_FIXTURES_DIR, record = false, upstream = JIKAN_API_BASE } = {}) {
+    let queue = Promise.resolve();
+    let nextRequestAt = 0;
+
+    const send = (response, status, body) => {
+        response.writeHead(status, { "Content-Type": "application/json" });
+        response.end(JSON.stringify(body));
+    };
+
+    /**
+     * Fetch a request from upstream, one at a time, and save the answer
+     */
+    const recordFixture = (requestPath) => {
+        const result = queue.then(async () => {
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, nextRequestAt - Date.now())));
+            nextRequestAt = Date.now() + RECORD_INTERVAL;
+
+            const upstreamResponse = await fetch(`${upstream}${requestPath}`);
+            const body = await upstreamResponse.json();
+            const status = upstreamResponse.status;
+
+            if (status !== 429 && status < 500) {
+                writeFixture(directory, requestPath, status, body);
+                console.log(`Recorded ${requestPath} (${status})`);
+            }
+            return { status, body };
+        });
+
+        // One failed request must not stop the ones queued after it
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const route = async (request, response) => {
+        const url = new URL(request.url, `http://${request.headers.host}`);
+        if (request.method !== "GET" || !url.pathname.startsWith(BASE_PATH)) {
+            return send(response, 404, { status: 404, type: "NotFound", message: "Fixtures are served under /v4", error: null });
+        }
+
+        const requestPath = `${url.pathname.slice(BASE_PATH.length) || "/"}${url.search}`;
+        const fixture = readFixture(directory, requestPath);
+        if (fixture) {
+            return send(response, fixture.status, fixture.body);
+        }
+
+        if (!record) {
+            console.log(`No fixture for ${requestPath}`);
+            return send(response, 404, missingFixtureBody(requestPath));
+        }
+
+        const { status, body } = await recordFixture(requestPath);
+        send(response, status, body);
+    };
+
+    return http.createServer((request, response) => {
+        route(request, response).catch(error => {
+            console.error(`Error answering ${request.url}:`, error);
+            send(response, 502, { status: 502, type: "UpstreamError", message: error.message, error: null });
+        });
+    });
+}
+
+if (require.main === module) {
+    const option = (name) => {
+        const index = process.argv.indexOf(name);
+        return index === -1 ? null : process.argv[index + 1];
+    };
+    const port = parseInt(option("--port"), 10) || DEFAULT_PORT;
+    const directory = path.resolve(option("--fixtures") || DEFAULT_FIXTURES_DIR);
+    const record = process.argv.includes("--record");
+    const upstream = option("--upstream") || JIKAN_API_BASE;
+
+    createFixtureServer({ directory, record, upstream }).listen(port, "127.0.0.1", () => {
+        console.log(`Jikan fixture server ${record ? `recording from ${upstream}` : "replaying"} at http://127.0.0.1:${port}${BASE_PATH}`);
+        console.log(`Fixtures: ${directory}`);
+    });
+}
+
+module.exports = { createFixtureServer };
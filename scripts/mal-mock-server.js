@@ -0,0 +1,197 @@
+const http = require("http");
+const crypto = require("crypto");
+
+/**
+ * MAL MOCK SERVER
+ * A local stand-in for the parts of the MyAnimeList API the sync uses,
+ * for trying sync out and testing it without a MyAnimeList account.
+ * Point the sync's server setting at it. Sign-ins are approved at once
+ * and lists start empty and live in memory.
+ *
+ *   node scripts/mal-mock-server.js [--port 4100]
+ *
+ * GET /__mock/state returns the lists; PUT /__mock/state replaces them,
+ * e.g. to set up a test. POST /__mock/expire-tokens makes every access
+ * token invalid, to exercise refreshing.
+ */
+
+const DEFAULT_PORT = 4100;
+const TOKEN_LIFETIME = 3600;
+
+function createState() {
+    return {
+        user: { id: 1, name: "mock_user" },
+        lists: { anime: {}, manga: {} }
+    };
+}
+
+/**
+ * A list entry as MAL returns it from the list endpoints
+ */
+function toListEntry(kind, malId, entry) {
+    const node = { id: Number(malId), title: entry.title || `${kind} ${malId}` };
+    node[kind === "anime" ? "num_episodes" : "num_chapters"] = entry.total || 0;
+    return { node, list_status: entry.list_status };
+}
+
+// Form fields MAL accepts for a list entry, with how to read each
+const LIST_FORM_FIELDS = {
+    anime: { status: String, score: Number, num_watched_episodes: Number, num_times_rewatched: Number, comments: String, start_date: String, finish_date: String },
+    manga: { status: String, score: Number, num_chapters_read: Number, num_times_reread: Number, comments: String, start_date: String, finish_date: String }
+};
+
+// The same fields as list_status has them; MAL names episodes differently there
+const LIST_STATUS_NAMES = { num_watched_episodes: "num_episodes_watched" };
+
+function createMockServer({ state = createState() } = {}) {
+    const codes = new Map();
+    const accessTokens = new Set();
+    const refreshTokens = new Set();
+
+    const issueTokens = () => {
+        const tokens = {
+            token_type: "Bearer",
+            expires_in: TOKEN_LIFETIME,
+            access_token: crypto.randomBytes(16).toString("hex"),
+            refresh_token: crypto.randomBytes(16).toString("hex")
+        };
+        accessTokens.add(tokens.access_token);
+        refreshTokens.add(tokens.refresh_token);
+        return tokens;
+    };
+
+    const send = (response, status, body = null, headers = {}) => {
+        response.writeHead(status, { ...(body === null ? {} : { "Content-Type": "application/json" }), ...headers });
+        response.end(body === null ? undefined : JSON.stringify(body));
+    };
+
+    const handleToken = (response, form) => {
+        if (form.get("grant_type") === "authorization_code") {
+            const code = codes.get(form.get("code"));
+            codes.delete(form.get("code"));
+            if (!code || code.clientId !== form.get("client_id") || code.challenge !== form.get("code_verifier")) {
+                return send(response, 400, { error: "invalid_grant", message: "The code or code verifier is wrong" });
+            }
+            return send(response, 200, issueTokens());
+        }
+
+        if (form.get("grant_type") === "refresh_token") {
+            if (!refreshTokens.delete(form.get("refresh_token"))) {
+                return send(response, 400, { error: "invalid_grant", message: "The refresh token is invalid" });
+            }
+            return send(response, 200, issueTokens());
+        }
+
+        send(response, 400, { error: "unsupported_grant_type" });
+    };
+
+    const handleList = (response, url, kind) => {
+        const limit = Math.min(parseInt(url.searchParams.get("limit"), 10) || 100, 1000);
+        const offset = parseInt(url.searchParams.get("offset"), 10) || 0;
+        const entries = Object.entries(state.lists[kind]);
+        const page = { data: entries.slice(offset, offset + limit).map(([malId, entry]) => toListEntry(kind, malId, entry)), paging: {} };
+
+        if (offset + limit < entries.length) {
+            const next = new URL(url);
+            next.searchParams.set("offset", offset + limit);
+            page.paging.next = next.toString();
+        }
+        send(response, 200, page);
+    };
+
+    const handleUpdate = (response, kind, malId, form) => {
+        const entry = state.lists[kind][malId] || { list_status: { status: kind === "anime" ? "plan_to_watch" : "plan_to_read", score: 0 } };
+
+        Object.entries(LIST_FORM_FIELDS[kind]).forEach(([field, read]) => {
+            if (form.has(field)) entry.list_status[LIST_STATUS_NAMES[field] || field] = read(form.get(field));
+        });
+        entry.list_status.updated_at = new Date().toISOString();
+
+        state.lists[kind][malId] = entry;
+        send(response, 200, entry.list_status);
+    };
+
+    const route = (request, response, body) => {
+        const url = new URL(request.url, `http://${request.headers.host}`);
+        const form = new URLSearchParams(body);
+
+        if (url.pathname === "/__mock/state") {
+            if (request.method === "PUT") {
+                Object.assign(state, JSON.parse(body));
+            }
+            return send(response, 200, state);
+        }
+        if (url.pathname === "/__mock/expire-tokens" && request.method === "POST") {
+            accessTokens.clear();
+            return send(response, 200, {});
+        }
+
+        if (url.pathname === "/v1/oauth2/authorize" && request.method === "GET") {
+            const code = crypto.randomBytes(8).toString("hex");
+            codes.set(code, { clientId: url.searchParams.get("client_id"), challenge: url.searchParams.get("code_challenge") });
+
+            const redirect = new URL(url.searchParams.get("redirect_uri"));
+            redirect.searchParams.set("code", code);
+            redirect.searchParams.set("state", url.searchParams.get("state"));
+            return send(response, 302, null, { Location: redirect.toString() });
+        }
+        if (url.pathname === "/v1/oauth2/token" && request.method === "POST") {
+            return handleToken(response, form);
+        }
+
+        const token = (request.headers.authorization || "").replace(/^Bearer /, "");
+        if (!url.pathname.startsWith("/v2/")) {
+            return send(response, 404, { error: "not_found" });
+        }
+        if (!accessTokens.has(token)) {
+            return send(response, 401, { error: "invalid_token" });
+        }
+
+        let match;
+        if (url.pathname === "/v2/users/@me" && request.method === "GET") {
+            return send(response, 200, state.user);
+        }
+        if ((match = url.pathname.match(/^\/v2\/users\/@me\/(anime|manga)list$/)) && request.method === "GET") {
+            return handleList(response, url, match[1]);
+        }
+        if ((match = url.pathname.match(/^\/v2\/(anime|manga)\/(\d+)\/my_list_status$/))) {
+            const [, kind, malId] = match;
+            if (request.method === "PATCH" || request.method === "PUT") {
+                return handleUpdate(response, kind, malId, form);
+            }
+            if (request.method === "DELETE") {
+                if (!state.lists[kind][malId]) return send(response, 404, { error: "not_found" });
+                delete state.lists[kind][malId];
+                return send(response, 200, null);
+            }
+        }
+
+        send(response, 404, { error: "not_found" });
+    };
+
+    const server = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", chunk => { body += chunk; });
+        request.on("end", () => {
+            try {
+                route(request, response, body);
+            } catch (error) {
+                send(response, 400, { error: "bad_request", message: error.message });
+            }
+        });
+    });
+
+    server.state = state;
+    return server;
+}
+
+if (require.main === module) {
+    const portIndex = process.argv.indexOf("--port");
+    const port = portIndex === -1 ? DEFAULT_PORT : parseInt(process.argv[portIndex + 1], 10);
+
+    createMockServer().listen(port, "127.0.0.1", () => {
+        console.log(`MyAnimeList mock server running at http://127.0.0.1:${port}`);
+    });
+}
+
+module.exports = { createMockServer };
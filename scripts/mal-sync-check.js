@@ -0,0 +1,153 @@
+const assert = require("assert/strict");
+const { createMockServer } = require("./mal-mock-server");
+const { MalClient } = require("../lib/mal-client");
+const { MalSync, planSync, toRemote } = require("../lib/mal-sync");
+
+/**
+ * MAL SYNC CHECK
+ * Runs the sync against the mock server and checks what ends up on both
+ * sides: signing in, refreshing revoked tokens, pulling and pushing,
+ * keeping MAL's on-hold status, conflicts settled by the user and syncs
+ * asked for while one is running. The lists are kept in memory, so no
+ * profile is touched. Exits with 1 on the first failed check.
+ *
+ *   node scripts/mal-sync-check.js
+ */
+
+/**
+ * One list in memory, with the parts of DataManager the sync uses
+ */
+class MemoryList {
+    constructor(activity) {
+        this.items = [];
+        this.activity = activity;
+    }
+
+    async getWatchlist() {
+        return this.items.map(item => ({ ...item }));
+    }
+
+    async importItems(additions, updates = []) {
+        updates.forEach(({ id, fields }) => Object.assign(this.find(id), fields));
+        this.items.push(...additions);
+    }
+
+    async deleteItem(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        return true;
+    }
+
+    /**
+     * A change made on this computer
+     */
+    edit(malId, fields) {
+        const item = this.items.find(entry => entry.mal_id === malId);
+        Object.assign(item, fields);
+        this.activity.push({ itemId: item.id, timestamp: new Date().toISOString(), origin: "user" });
+    }
+
+    find(id) {
+        return this.items.find(item => item.id === id);
+    }
+}
+
+/**
+ * Follow the sign-in page's redirect instead of showing it
+ */
+async function authorize(url) {
+    const response = await fetch(url, { redirect: "manual" });
+    return response.headers.get("location");
+}
+
+async function main() {
+    const server = createMockServer();
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const remote = server.state.lists.anime;
+    const steps = [];
+    const check = (name, test) => steps.push([name, test]);
+
+    remote[1] = { title: "Paused Show", total: 12, list_status: { status: "on_hold", score: 7, num_episodes_watched: 3, updated_at: "2024-01-01T00:00:00Z" } };
+    remote[2] = { title: "Current Show", total: 24, list_status: { status: "watching", score: 0, num_episodes_watched: 10, updated_at: "2024-01-01T00:00:00Z" } };
+
+    const activity = [];
+    const watchlist = new MemoryList(activity);
+    const values = { clientId: "sync-check", baseUrl, policy: "ask", autoSync: false, base: { watchlist: {}, readinglist: {} } };
+    const sync = new MalSync({
+        store: { get: key => values[key], update: changes => Object.assign(values, changes) },
+        managers: { watchlist, readinglist: new MemoryList(activity) },
+        activity: { readAll: () => activity },
+        authorize,
+        redirectUri: "http://127.0.0.1/mal-callback",
+        secrets: { encrypt: text => text, decrypt: text => text }
+    });
+
+    check("planSync pulls new MAL entries and toRemote maps them back", async () => {
+        const client = new MalClient({ clientId: "sync-check", baseUrl });
+        const authorization = client.startAuthorization("http://127.0.0.1/mal-callback");
+        await client.finishAuthorization(authorization, await authorize(authorization.url));
+
+        const plan = planSync("watchlist", [], await client.getList("anime"), {});
+        assert.deepEqual(plan.addLocal.map(({ malId }) => malId), [1, 2]);
+        assert.equal(plan.addLocal[0].fields.status, "watching");
+        assert.equal(toRemote("watchlist", plan.addLocal[1].fields).status, "watching");
+    });
+
+    check("connecting pulls both entries", async () => {
+        await sync.connect();
+        assert.deepEqual(watchlist.items.map(item => [item.mal_id, item.status, item.episodes_watched]), [[1, "watching", 3], [2, "watching", 10]]);
+    });
+
+    check("an edit here keeps the entry on hold on MAL", async () => {
+        watchlist.edit(1, { episodes_watched: 4 });
+        const result = await sync.sync();
+        assert.equal(result.pushed, 1);
+        assert.equal(remote[1].list_status.status, "on_hold");
+        assert.equal(remote[1].list_status.num_episodes_watched, 4);
+    });
+
+    check("changing the status here replaces on hold", async () => {
+        watchlist.edit(1, { status: "completed", episodes_watched: 12 });
+        await sync.sync();
+        assert.equal(remote[1].list_status.status, "completed");
+    });
+
+    check("revoked tokens are refreshed", async () => {
+        await fetch(`${baseUrl}/__mock/expire-tokens`, { method: "POST" });
+        const result = await sync.sync();
+        assert.equal(result.conflicts.length, 0);
+    });
+
+    check("a change on both sides is a conflict", async () => {
+        watchlist.edit(2, { episodes_watched: 11 });
+        remote[2].list_status.num_episodes_watched = 15;
+        remote[2].list_status.updated_at = new Date().toISOString();
+        const result = await sync.sync();
+        assert.deepEqual(result.conflicts.map(conflict => conflict.key), ["watchlist:2"]);
+    });
+
+    check("a resolution given while a sync runs is used by the next run", async () => {
+        const running = sync.sync();
+        const resolved = await sync.sync({ "watchlist:2": "local" });
+        await running;
+        assert.equal(resolved.conflicts.length, 0);
+        assert.equal(remote[2].list_status.num_episodes_watched, 11);
+    });
+
+    let failed = false;
+    for (const [name, test] of steps) {
+        try {
+            await test();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            console.error(`not ok - ${name}\n`, error);
+            failed = true;
+            break;
+        }
+    }
+
+    server.close();
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
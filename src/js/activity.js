@@ -0,0 +1,270 @@
+/**
+ * ACTIVITY MANAGER CONTROLLER
+ * Shows the activity log as a timeline grouped by day, filterable by
+ * list, kind of change and title. activity.html?item=<id> shows the
+ * history of a single entry.
+ */
+class ActivityManager {
+    constructor() {
+        this.entries = [];
+        this.itemId = new URLSearchParams(window.location.search).get('item');
+
+        this.init();
+    }
+
+    /**
+     * Initialize the activity manager
+     */
+    async init() {
+        await this.loadActivity();
+        this.applyFilters();
+        this.bindEvents();
+    }
+
+    /**
+     * Load activity entries from the main process, newest first
+     */
+    async loadActivity() {
+        try {
+            if (window.electronAPI) {
+                this.entries = await window.electronAPI.getActivity(this.itemId ? { itemId: this.itemId } : {});
+            }
+        } catch (error) {
+            console.error('Error loading activity:', error);
+            this.entries = [];
+        }
+    }
+
+    /**
+     * Apply the filter controls and re-render
+     */
+    applyFilters() {
+        const type = document.getElementById('typeFilter').value;
+        const kind = document.getElementById('kindFilter').value;
+        const search = document.getElementById('titleFilter').value.trim().toLowerCase();
+
+        const filtered = this.entries.filter(entry => {
+            if (type && entry.type !== type) return false;
+            if (search && !String(entry.title || '').toLowerCase().includes(search)) return false;
+            return !kind || this.matchesKind(entry, kind);
+        });
+
+        this.renderTimeline(filtered);
+    }
+
+    /**
+     * Whether an entry is the kind of change picked in the filter
+     */
+    matchesKind(entry, kind) {
+        if (kind === 'add' || kind === 'remove') return entry.action === kind;
+
+        const changes = entry.changes || {};
+        if (kind === 'progress') return 'episodes_watched' in changes || 'chapters_read' in changes;
+        return kind in changes;
+    }
+
+    /**
+     * Render entries grouped under a heading per day
+     */
+    renderTimeline(entries) {
+        const container = document.getElementById('activityTimeline');
+        const emptyState = document.getElementById('emptyActivity');
+
+        this.renderItemFilter();
+
+        if (entries.length === 0) {
+            container.style.display = 'none';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        container.style.display = 'block';
+        emptyState.style.display = 'none';
+
+        const days = [];
+        entries.forEach(entry => {
+            const label = this.formatDay(entry.timestamp);
+            const day = days[days.length - 1];
+            if (day && day.label === label) {
+                day.entries.push(entry);
+            } else {
+                days.push({ label, entries: [entry] });
+            }
+        });
+
+        container.innerHTML = days.map(day => `
+            <div class="activity-day">
+                <h3 class="activity-day-title">${day.label}</h3>
+                ${day.entries.map(entry => this.renderEntry(entry)).join('')}
+            </div>
+        `).join('');
+    }
+
+    renderEntry(entry) {
+        return `
+            <div class="activity-entry">
+                <div class="activity-entry-icon activity-${entry.action}">
+                    <i class="fas ${this.iconFor(entry)}"></i>
+                </div>
+                <div class="activity-entry-content">
+                    <div class="activity-entry-text">${this.describe(entry)}</div>
+                    <div class="activity-entry-meta">
+                        <span class="status-badge list-type-${this.escapeHtml(entry.type)}">${this.escapeHtml(this.formatType(entry.type))}</span>
+                        ${this.formatOrigin(entry.origin)}
+                    </div>
+                </div>
+                <div class="activity-entry-time">${new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Banner shown when viewing the history of a single entry
+     */
+    renderItemFilter() {
+        const banner = document.getElementById('itemFilter');
+
+        if (!this.itemId) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const title = this.entries.length > 0 ? this.entries[0].title : 'this entry';
+        banner.innerHTML = `
+            <span><i class="fas fa-filter"></i> History of <strong>${this.escapeHtml(title)}</strong></span>
+            <button class="btn btn-secondary btn-small" onclick="activityManager.clearItemFilter()">
+                <i class="fas fa-times"></i> Show All Activity
+            </button>
+        `;
+        banner.style.display = 'flex';
+    }
+
+    async clearItemFilter() {
+        this.itemId = null;
+        history.replaceState(null, '', 'activity.html');
+        await this.loadActivity();
+        this.applyFilters();
+    }
+
+    /**
+     * One-line description, e.g. "episodes 3 → 7 of Frieren"
+     */
+    describe(entry) {
+        const title = `<strong>${this.escapeHtml(entry.title)}</strong>`;
+        const listName = this.formatType(entry.type).toLowerCase();
+
+        if (entry.action === 'add') {
+            const verbs = { user: 'Added', external: 'Added', import: 'Imported', sync: 'Added', 'device-sync': 'Added' };
+            const verb = verbs[entry.origin] || 'Restored';
+            return `${verb} ${title} to ${listName}`;
+        }
+        if (entry.action === 'remove') {
+            return `Removed ${title} from ${listName}`;
+        }
+
+        const changes = Object.entries(entry.changes || {}).map(([field, change]) => this.escapeHtml(this.describeChange(field, change)));
+        return `${changes.join(', ')} of ${title}`;
+    }
+
+    describeChange(field, { from, to }) {
+        switch (field) {
+            case 'episodes_watched':
+                return `episodes ${from ?? 0} → ${to ?? 0}`;
+            case 'chapters_read':
+                return `chapters ${from ?? 0} → ${to ?? 0}`;
+            case 'status':
+                return `status ${this.formatStatus(from)} → ${this.formatStatus(to)}`;
+            case 'rating':
+                return `rating ${from || '-'} → ${to || '-'}`;
+            case 'repeat':
+                return `repeats ${from ?? 0} → ${to ?? 0}`;
+            case 'notes':
+                return 'notes edited';
+            default:
+                return `${field.replace(/_/g, ' ')} changed`;
+        }
+    }
+
+    iconFor(entry) {
+        if (entry.action === 'add') return 'fa-plus';
+        if (entry.action === 'remove') return 'fa-trash';
+
+        const changes = entry.changes || {};
+        if ('episodes_watched' in changes || 'chapters_read' in changes) return 'fa-forward';
+        if ('rating' in changes) return 'fa-star';
+        return 'fa-pen';
+    }
+
+    /**
+     * Format day heading: Today, Yesterday, a weekday or a date
+     */
+    formatDay(isoDate) {
+        const date = new Date(isoDate);
+        const startOfDay = d => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+        const daysAgo = Math.round((startOfDay(new Date()) - startOfDay(date)) / (24 * 60 * 60 * 1000));
+
+        if (daysAgo === 0) return 'Today';
+        if (daysAgo === 1) return 'Yesterday';
+        if (daysAgo < 7) return date.toLocaleDateString([], { weekday: 'long' });
+        return date.toLocaleDateString([], { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    /**
+     * Format list type for display
+     */
+    formatType(type) {
+        const typeMap = {
+            'watchlist': 'Watchlist',
+            'readinglist': 'Reading List',
+            'favorites': 'Favorites'
+        };
+        return typeMap[type] || type;
+    }
+
+    /**
+     * Format status for display
+     */
+    formatStatus(status) {
+        const statusMap = {
+            'planning': 'Planning',
+            'watching': 'Watching',
+            'reading': 'Reading',
+            'completed': 'Completed',
+            'dropped': 'Dropped'
+        };
+        return statusMap[status] || status || '-';
+    }
+
+    /**
+     * Mark changes the app replayed rather than ones made directly
+     */
+    formatOrigin(origin) {
+        const originMap = {
+            'undo': 'Undo',
+            'redo': 'Redo',
+            'trash': 'From trash',
+            'external': 'Edited file',
+            'import': 'Import',
+            'sync': 'MyAnimeList',
+            'device-sync': 'Other computer'
+        };
+        return originMap[origin] ? `<span>${originMap[origin]}</span>` : '';
+    }
+
+    /**
+     * Titles and changed values are recorded from the lists, which can be
+     * filled by imports and other computers, so escape them
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Bind events
+     */
+    bindEvents() {
+        // Event bindings are handled through inline onclick handlers
+    }
+}
@@ -7,9 +7,6 @@ class AnimeBrowser {
         this.currentPage = 1;
         this.hasMore = true;
         this.currentFilters = {};
-        this.jikanApiBase = 'https://api.jikan.moe/v4';
-        this.cache = new Map();
-        this.cacheTimeout = 300000; // 5 minutes
         
         this.init();
     }
@@ -27,24 +24,8 @@ class AnimeBrowser {
      * Load anime genres from Jikan API
      */
     async loadGenres() {
-        const cacheKey = 'anime_genres';
-        const cached = this.cache.get(cacheKey);
-        
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            this.populateGenreFilter(cached.data);
-            return;
-        }
-
         try {
-            const response = await fetch(`${this.jikanApiBase}/genres/anime`);
-            const data = await response.json();
-            
-            // Cache genres
-            this.cache.set(cacheKey, {
-                data: data.data,
-                timestamp: Date.now()
-            });
-            
+            const data = await jikan.get('/genres/anime');
             this.populateGenreFilter(data.data);
         } catch (error) {
             console.error('Error loading genres:', error);
@@ -84,7 +65,7 @@ class AnimeBrowser {
             }
             
             // Build API URL with current filters
-            let url = `${this.jikanApiBase}/anime?page=${this.currentPage}&limit=24`;
+            let url = `/anime?page=${this.currentPage}&limit=24`;
             
             // Add search query if present
             if (this.currentFilters.search) {
@@ -124,8 +105,7 @@ class AnimeBrowser {
                 }
             }
 
-            const response = await fetch(url);
-            const data = await response.json();
+            const data = await jikan.get(url);
             
             if (data.data && data.data.length > 0) {
                 // Filter out adult content
@@ -157,7 +137,7 @@ class AnimeBrowser {
             }
         } catch (error) {
             console.error('Error loading anime:', error);
-            grid.innerHTML = '<div class="error">Failed to load anime. Please try again later.</div>';
+            grid.innerHTML = `<div class="error">${error.offline ? error.message : 'Failed to load anime. Please try again later.'}</div>`;
         }
     }
 
@@ -216,8 +196,7 @@ class AnimeBrowser {
      */
     async addToWatchlist(malId) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/anime/${malId}`);
-            const data = await response.json();
+            const data = await jikan.get(`/anime/${malId}`);
             const anime = data.data;
             
             if (window.electronAPI) {
@@ -227,6 +206,10 @@ class AnimeBrowser {
                 this.showNotification('Watchlist feature requires desktop app');
             }
         } catch (error) {
+            if (error.offline && await offlineStatus.queueAdd('watchlist', malId)) {
+                this.showNotification("You're offline. It will be added to your watchlist when you're back online");
+                return;
+            }
             console.error('Error adding to watchlist:', error);
             this.showNotification('Failed to add to watchlist');
         }
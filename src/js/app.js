@@ -4,17 +4,10 @@
  */
 class AniToWatchApp {
     constructor() {
-        // Jikan API base URL - Primary data source
-        this.jikanApiBase = 'https://api.jikan.moe/v4';
-        
         // Content filtering for safety
         this.blockedGenres = ['Hentai', 'Erotica'];
         this.blockedRatings = ['Rx', 'R+'];
         
-        // Cache for faster loading
-        this.cache = new Map();
-        this.cacheTimeout = 300000; // 5 minutes
-        
         this.init();
     }
 
@@ -46,29 +39,15 @@ class AniToWatchApp {
         const container = document.getElementById('trendingAnime');
         if (!container) return;
 
-        const cacheKey = 'trending_anime';
-        const cached = this.getCachedData(cacheKey);
-        
-        if (cached) {
-            this.displayTrendingAnime(cached);
-            return;
-        }
-
         try {
             // Fetch from Jikan API
-            const response = await fetch(`${this.jikanApiBase}/top/anime?limit=8`);
-            if (!response.ok) throw new Error('Jikan API request failed');
-            
-            const data = await response.json();
+            const data = await jikan.get('/top/anime?limit=8');
             const safeAnime = (data.data || []).filter(item => this.isSafeContent(item));
-            
-            // Cache the results
-            this.setCachedData(cacheKey, safeAnime);
             this.displayTrendingAnime(safeAnime);
             
         } catch (error) {
             console.error('Error loading trending anime:', error);
-            container.innerHTML = '<div class="error">Failed to load trending anime</div>';
+            container.innerHTML = `<div class="error">${error.offline ? error.message : 'Failed to load trending anime'}</div>`;
         }
     }
 
@@ -91,23 +70,10 @@ class AniToWatchApp {
         const container = document.getElementById('recentAnime');
         if (!container) return;
 
-        const cacheKey = 'recent_anime';
-        const cached = this.getCachedData(cacheKey);
-        
-        if (cached) {
-            container.innerHTML = cached.map(anime => 
-                this.createAnimeCard(anime, 'recent')
-            ).join('');
-            this.bindCardEvents();
-            return;
-        }
-
         try {
-            const response = await fetch(`${this.jikanApiBase}/seasons/now?limit=12`);
-            const data = await response.json();
+            const data = await jikan.get('/seasons/now?limit=12');
             
             const safeAnime = (data.data || []).filter(item => this.isSafeContent(item));
-            this.setCachedData(cacheKey, safeAnime);
             
             container.innerHTML = safeAnime.map(anime => 
                 this.createAnimeCard(anime, 'recent')
@@ -116,6 +82,7 @@ class AniToWatchApp {
             this.bindCardEvents();
         } catch (error) {
             console.error('Recent anime load error:', error);
+            if (error.offline) container.innerHTML = `<div class="error">${error.message}</div>`;
         }
     }
 
@@ -126,23 +93,10 @@ class AniToWatchApp {
         const container = document.getElementById('popularManga');
         if (!container) return;
 
-        const cacheKey = 'popular_manga';
-        const cached = this.getCachedData(cacheKey);
-        
-        if (cached) {
-            container.innerHTML = cached.map(manga => 
-                this.createMangaCard(manga)
-            ).join('');
-            this.bindMangaCardEvents();
-            return;
-        }
-
         try {
-            const response = await fetch(`${this.jikanApiBase}/top/manga?limit=12`);
-            const data = await response.json();
+            const data = await jikan.get('/top/manga?limit=12');
             
             const safeManga = (data.data || []).filter(item => this.isSafeContent(item));
-            this.setCachedData(cacheKey, safeManga);
             
             container.innerHTML = safeManga.map(manga => 
                 this.createMangaCard(manga)
@@ -151,6 +105,7 @@ class AniToWatchApp {
             this.bindMangaCardEvents();
         } catch (error) {
             console.error('Popular manga load error:', error);
+            if (error.offline) container.innerHTML = `<div class="error">${error.message}</div>`;
         }
     }
 
@@ -161,27 +116,16 @@ class AniToWatchApp {
         const container = document.getElementById('scheduleContainer');
         if (!container) return;
 
-        const cacheKey = 'schedule';
-        const cached = this.getCachedData(cacheKey);
-        
-        if (cached) {
-            container.innerHTML = this.createScheduleHTML(cached);
-            this.bindScheduleEvents();
-            return;
-        }
-
         try {
-            const response = await fetch(`${this.jikanApiBase}/schedules`);
-            const data = await response.json();
+            const data = await jikan.get('/schedules');
             
             const safeSchedule = (data.data || []).filter(item => this.isSafeContent(item));
             const grouped = this.groupScheduleByDay(safeSchedule);
-            
-            this.setCachedData(cacheKey, grouped);
             container.innerHTML = this.createScheduleHTML(grouped);
             this.bindScheduleEvents();
         } catch (error) {
             console.error('Schedule load error:', error);
+            if (error.offline) container.innerHTML = `<div class="error">${error.message}</div>`;
         }
     }
 
@@ -277,8 +221,7 @@ class AniToWatchApp {
      */
     async addAnimeToWatchlist(malId) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/anime/${malId}`);
-            const data = await response.json();
+            const data = await jikan.get(`/anime/${malId}`);
             const anime = data.data;
             
             if (window.electronAPI) {
@@ -288,6 +231,10 @@ class AniToWatchApp {
                 this.showNotification('Watchlist feature requires desktop app');
             }
         } catch (error) {
+            if (error.offline && await offlineStatus.queueAdd('watchlist', malId)) {
+                this.showNotification("You're offline. It will be added to your watchlist when you're back online");
+                return;
+            }
             console.error('Error adding to watchlist:', error);
             this.showNotification('Failed to add to watchlist');
         }
@@ -298,8 +245,7 @@ class AniToWatchApp {
      */
     async addMangaToReadingList(malId) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/manga/${malId}`);
-            const data = await response.json();
+            const data = await jikan.get(`/manga/${malId}`);
             const manga = data.data;
             
             if (window.electronAPI) {
@@ -309,6 +255,10 @@ class AniToWatchApp {
                 this.showNotification('Reading list feature requires desktop app');
             }
         } catch (error) {
+            if (error.offline && await offlineStatus.queueAdd('readinglist', malId)) {
+                this.showNotification("You're offline. It will be added to your reading list when you're back online");
+                return;
+            }
             console.error('Error adding to reading list:', error);
             this.showNotification('Failed to add to reading list');
         }
@@ -362,24 +312,6 @@ class AniToWatchApp {
         });
     }
 
-    /**
-     * Cache management methods
-     */
-    getCachedData(key) {
-        const cached = this.cache.get(key);
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached.data;
-        }
-        return null;
-    }
-
-    setCachedData(key, data) {
-        this.cache.set(key, {
-            data: data,
-            timestamp: Date.now()
-        });
-    }
-
     /**
      * Utility methods
      */
@@ -0,0 +1,228 @@
+/**
+ * BACKUPS MANAGER CONTROLLER
+ * Lists list snapshots, previews their contents and restores them
+ */
+class BackupsManager {
+    constructor() {
+        this.backups = [];
+
+        this.init();
+    }
+
+    /**
+     * Initialize the backups manager
+     */
+    async init() {
+        await this.loadBackups();
+        this.renderBackups();
+        this.bindEvents();
+    }
+
+    /**
+     * Load backup manifests from the main process
+     */
+    async loadBackups() {
+        try {
+            if (window.electronAPI) {
+                this.backups = await window.electronAPI.listBackups();
+            }
+        } catch (error) {
+            console.error('Error loading backups:', error);
+            this.backups = [];
+        }
+    }
+
+    /**
+     * Render backups to the page
+     */
+    renderBackups() {
+        const container = document.getElementById('backupList');
+        const emptyState = document.getElementById('emptyBackups');
+
+        if (this.backups.length === 0) {
+            container.style.display = 'none';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        container.style.display = 'flex';
+        emptyState.style.display = 'none';
+
+        container.innerHTML = this.backups.map(backup => `
+            <div class="backup-item">
+                <div class="backup-item-icon">
+                    <i class="fas fa-box-archive"></i>
+                </div>
+                <div class="backup-item-content">
+                    <h3 class="backup-item-title">${this.formatDate(backup.createdAt)}</h3>
+                    <div class="backup-item-meta">
+                        <span class="status-badge backup-reason-${backup.reason}">${this.formatReason(backup.reason)}</span>
+                        <span>${backup.counts.watchlist || 0} anime</span>
+                        <span>${backup.counts.readinglist || 0} manga</span>
+                        <span>${backup.counts.favorites || 0} characters</span>
+                    </div>
+                </div>
+                <div class="backup-item-actions">
+                    <button class="btn btn-secondary btn-small" onclick="backupsManager.previewBackup('${backup.id}')">
+                        <i class="fas fa-eye"></i> Preview
+                    </button>
+                    <button class="btn btn-primary btn-small" onclick="backupsManager.restoreBackup('${backup.id}')">
+                        <i class="fas fa-rotate-left"></i> Restore
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show what a backup contains
+     */
+    async previewBackup(id) {
+        try {
+            const preview = await window.electronAPI.previewBackup(id);
+            const sections = [
+                { type: 'watchlist', label: 'Watchlist', icon: 'fa-bookmark' },
+                { type: 'readinglist', label: 'Reading List', icon: 'fa-list' },
+                { type: 'favorites', label: 'Favorites', icon: 'fa-heart' }
+            ];
+
+            document.getElementById('previewContent').innerHTML = `
+                <div class="info-list">
+                    <div class="info-item"><strong>Created:</strong> <span>${this.formatDate(preview.createdAt)}</span></div>
+                    <div class="info-item"><strong>Type:</strong> <span>${this.formatReason(preview.reason)}</span></div>
+                </div>
+                ${sections.map(section => {
+                    const list = preview.lists[section.type] || { count: 0, titles: [] };
+                    return `
+                        <div class="backup-preview-section">
+                            <h4><i class="fas ${section.icon}"></i> ${section.label} (${list.count})</h4>
+                            ${list.titles.length > 0 ? `
+                                <ul>
+                                    ${list.titles.map(title => `<li>${this.escapeHtml(title)}</li>`).join('')}
+                                    ${list.count > list.titles.length ? `<li class="backup-preview-more">and ${list.count - list.titles.length} more...</li>` : ''}
+                                </ul>
+                            ` : '<p class="backup-preview-more">Empty</p>'}
+                        </div>
+                    `;
+                }).join('')}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="backupsManager.closePreview()">Close</button>
+                    <button type="button" class="btn btn-primary" onclick="backupsManager.restoreBackup('${preview.id}')">
+                        <i class="fas fa-rotate-left"></i> Restore This Backup
+                    </button>
+                </div>
+            `;
+
+            document.getElementById('previewModal').style.display = 'flex';
+        } catch (error) {
+            console.error('Error previewing backup:', error);
+            this.showNotification('Failed to load backup preview');
+        }
+    }
+
+    /**
+     * Close preview modal
+     */
+    closePreview() {
+        document.getElementById('previewModal').style.display = 'none';
+    }
+
+    /**
+     * Restore all lists from a backup
+     */
+    async restoreBackup(id) {
+        const backup = this.backups.find(b => b.id === id);
+        const label = backup ? this.formatDate(backup.createdAt) : id;
+
+        if (!confirm(`Restore the backup from ${label}? Your current lists will be replaced. A backup of them is taken first.`)) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.restoreBackup(id);
+            this.closePreview();
+            await this.loadBackups();
+            this.renderBackups();
+            this.showNotification('Backup restored');
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showNotification('Failed to restore backup');
+        }
+    }
+
+    /**
+     * Take a manual snapshot now
+     */
+    async createBackup() {
+        if (!window.electronAPI) {
+            this.showNotification('Backups require the desktop app');
+            return;
+        }
+
+        try {
+            await window.electronAPI.createBackup();
+            await this.loadBackups();
+            this.renderBackups();
+            this.showNotification('Backup created');
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            this.showNotification('Failed to create backup');
+        }
+    }
+
+    /**
+     * Format backup date for display
+     */
+    formatDate(isoDate) {
+        return new Date(isoDate).toLocaleString();
+    }
+
+    /**
+     * Format backup reason for display
+     */
+    formatReason(reason) {
+        const reasonMap = {
+            'auto': 'Automatic',
+            'daily': 'Daily',
+            'manual': 'Manual',
+            'pre-restore': 'Before Restore',
+            'pre-migration': 'Before Storage Switch',
+            'pre-import': 'Before Import'
+        };
+        return reasonMap[reason] || reason;
+    }
+
+    /**
+     * Titles in a backup are whatever the lists held when it was taken
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed; top: 20px; right: 20px; background: var(--primary);
+            color: white; padding: 15px 20px; border-radius: 5px; z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    /**
+     * Bind events
+     */
+    bindEvents() {
+        // Event bindings are handled through inline onclick handlers
+    }
+}
@@ -7,9 +7,6 @@ class CharacterManager {
         this.currentPage = 1;
         this.hasMore = true;
         this.currentFilters = {};
-        this.jikanApiBase = 'https://api.jikan.moe/v4';
-        this.cache = new Map();
-        this.cacheTimeout = 300000; // 5 minutes
         this.favoriteCharacters = new Set();
         
         this.init();
@@ -19,6 +16,7 @@ class CharacterManager {
      * Initialize the characters manager
      */
     async init() {
+        this.bindListEvents();
         await this.loadFavoriteCharacters();
         await this.loadCharacters();
         this.bindEvents();
@@ -72,15 +70,14 @@ class CharacterManager {
                 grid.innerHTML = '<div class="loading"><div class="loading-spinner"></div><p>Loading characters...</p></div>';
             }
             
-            let url = `${this.jikanApiBase}/characters?page=${this.currentPage}&limit=20&order_by=favorites&sort=desc`;
+            let url = `/characters?page=${this.currentPage}&limit=20&order_by=favorites&sort=desc`;
             
             // Add search filter if present
             if (this.currentFilters.search) {
-                url = `${this.jikanApiBase}/characters?q=${encodeURIComponent(this.currentFilters.search)}&page=${this.currentPage}&limit=20`;
+                url = `/characters?q=${encodeURIComponent(this.currentFilters.search)}&page=${this.currentPage}&limit=20`;
             }
 
-            const response = await fetch(url);
-            const data = await response.json();
+            const data = await jikan.get(url);
             
             if (data.data && data.data.length > 0) {
                 const safeCharacters = data.data.filter(char => this.isSafeCharacter(char));
@@ -168,8 +165,7 @@ class CharacterManager {
                 this.showNotification('Removed from favorites');
             } else {
                 // Add to favorites - fetch character data first
-                const response = await fetch(`${this.jikanApiBase}/characters/${characterId}`);
-                const data = await response.json();
+                const data = await jikan.get(`/characters/${characterId}`);
                 const character = data.data;
                 
                 this.favoriteCharacters.add(characterId);
@@ -187,6 +183,29 @@ class CharacterManager {
         }
     }
 
+    /**
+     * Keep the favorite buttons current when favorites change elsewhere
+     */
+    bindListEvents() {
+        ListChanges.subscribe('favorites', async change => {
+            if (change.action === 'replace') {
+                await this.loadFavoriteCharacters();
+                document.querySelectorAll('[data-character-id]').forEach(card => {
+                    this.updateFavoriteButton(Number(card.dataset.characterId));
+                });
+                return;
+            }
+
+            const malId = (change.after || change.before).mal_id;
+            if (change.action === 'remove') {
+                this.favoriteCharacters.delete(malId);
+            } else {
+                this.favoriteCharacters.add(malId);
+            }
+            this.updateFavoriteButton(malId);
+        });
+    }
+
     /**
      * Update favorite button appearance
      */
@@ -203,8 +222,7 @@ class CharacterManager {
      */
     async viewCharacterDetails(characterId) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/characters/${characterId}/full`);
-            const data = await response.json();
+            const data = await jikan.get(`/characters/${characterId}/full`);
             
             this.showCharacterModal(data.data);
         } catch (error) {
@@ -218,8 +236,7 @@ class CharacterManager {
      */
     async viewVoiceActors(characterId, characterName) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/characters/${characterId}/voices`);
-            const data = await response.json();
+            const data = await jikan.get(`/characters/${characterId}/voices`);
             
             this.showVoiceActorsModal(characterName, data.data);
         } catch (error) {
@@ -345,8 +362,7 @@ class CharacterManager {
      */
     async viewVoiceActorDetails(voiceActorId, voiceActorName) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/people/${voiceActorId}/full`);
-            const data = await response.json();
+            const data = await jikan.get(`/people/${voiceActorId}/full`);
             
             this.showVoiceActorModal(voiceActorName, data.data);
         } catch (error) {
@@ -7,7 +7,6 @@ class DetailManager {
         this.malId = null;
         this.type = null;
         this.data = null;
-        this.jikanApiBase = 'https://api.jikan.moe/v4';
         
         this.init();
     }
@@ -33,16 +32,13 @@ class DetailManager {
      */
     async loadDetails() {
         try {
-            const response = await fetch(`${this.jikanApiBase}/${this.type}/${this.malId}/full`);
-            if (!response.ok) throw new Error('Failed to fetch details');
-            
-            const result = await response.json();
+            const result = await jikan.get(`/${this.type}/${this.malId}/full`);
             this.data = result.data;
             
             this.renderDetails();
         } catch (error) {
             console.error('Error loading details:', error);
-            this.showError('Failed to load details. Please try again later.');
+            this.showError(error.offline ? error.message : 'Failed to load details. Please try again later.');
         }
     }
 
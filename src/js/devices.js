@@ -0,0 +1,268 @@
+/**
+ * DEVICES MANAGER CONTROLLER
+ * Sets up syncing the active profile through a shared folder and shows
+ * the computers taking part. Edits that couldn't be merged on their own,
+ * such as two computers giving an entry different ratings, are listed
+ * with every computer's value to pick the one to keep. Entries another
+ * computer logged in a form that isn't valid are listed as skipped.
+ */
+class DevicesManager {
+    constructor() {
+        this.status = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the devices manager
+     */
+    async init() {
+        if (!window.electronAPI) {
+            document.querySelectorAll('.devices-requires-app').forEach(button => {
+                button.disabled = true;
+                button.title = 'Syncing requires the desktop app';
+            });
+            document.getElementById('devicesFolder').textContent = 'Not available in the browser';
+            return;
+        }
+
+        window.electronAPI.onDeviceSyncStatus(status => this.render(status));
+        try {
+            this.render(await window.electronAPI.getDeviceSync());
+        } catch (error) {
+            console.error('Error loading sync status:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+
+        this.bindEvents();
+    }
+
+    render(status) {
+        this.status = status;
+
+        document.getElementById('devicesFolder').textContent = status.folder || 'Not syncing';
+        document.getElementById('devicesName').textContent = status.deviceName;
+        document.getElementById('devicesLastSync').textContent = status.syncing
+            ? 'Merging...'
+            : status.lastSyncAt ? new Date(status.lastSyncAt).toLocaleString() : 'Never';
+
+        const error = document.getElementById('devicesError');
+        error.textContent = status.lastError || '';
+        error.style.display = status.lastError ? 'block' : 'none';
+
+        document.getElementById('leaveFolderBtn').style.display = status.folder ? '' : 'none';
+        document.getElementById('syncDevicesBtn').disabled = !status.folder || status.syncing;
+
+        this.renderDevices();
+        this.renderConflicts();
+        this.renderSkipped();
+    }
+
+    renderDevices() {
+        const list = document.getElementById('devicesList');
+        const devices = this.status.devices || [];
+
+        if (devices.length === 0) {
+            list.innerHTML = '<div class="info-item"><span>No computers have synced through this folder yet</span></div>';
+            return;
+        }
+
+        list.innerHTML = devices.map(device => `
+            <div class="info-item">
+                <strong>${this.escapeHtml(device.name)}${device.self ? ' (this computer)' : ''}:</strong>
+                <span>last change ${new Date(device.lastChange).toLocaleString()}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * One row per conflicting field, with a button per value
+     */
+    renderConflicts() {
+        const container = document.getElementById('devicesConflicts');
+        const conflicts = this.status.conflicts || [];
+
+        if (conflicts.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h4><i class="fas fa-code-compare"></i> ${conflicts.length} ${conflicts.length === 1 ? 'change' : 'changes'} to settle</h4>
+            <p class="settings-description">
+                These entries were changed on more than one computer at once. The most recent
+                change is shown in your lists until you pick the value to keep.
+            </p>
+            ${conflicts.map((conflict, conflictIndex) => `
+                <div class="import-section">
+                    <h5>${this.escapeHtml(conflict.title)} <span class="csv-match-list">${this.formatType(conflict.type)} &middot; ${this.escapeHtml(this.formatField(conflict.field))}</span></h5>
+                    ${conflict.options.map((option, index) => `
+                        <div class="device-conflict-option">
+                            <span>
+                                ${this.formatValue(conflict.field, option.value)}
+                                <small>${this.escapeHtml(option.deviceName)}, ${new Date(option.time).toLocaleString()}</small>
+                            </span>
+                            <button class="btn btn-secondary" onclick="devicesManager.resolveConflict(${conflictIndex}, ${index})">
+                                <i class="fas fa-check"></i> Keep
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+        `;
+        container.style.display = 'block';
+    }
+
+    /**
+     * Entries from other computers that were left out of the lists
+     */
+    renderSkipped() {
+        const container = document.getElementById('devicesSkipped');
+        const skipped = this.status.skipped || [];
+
+        if (skipped.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h4><i class="fas fa-triangle-exclamation"></i> ${skipped.length} ${skipped.length === 1 ? 'entry' : 'entries'} skipped</h4>
+            <p class="settings-description">
+                Another computer logged these entries with values this app can't use, so your
+                lists don't include them. Editing them on that computer fixes them here.
+            </p>
+            <ul>
+                ${skipped.map(entry => `
+                    <li>
+                        <strong>${this.escapeHtml(entry.title)}</strong> <span class="csv-match-list">${this.formatType(entry.type)}</span>:
+                        ${this.escapeHtml(entry.problems.join('; '))}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        container.style.display = 'block';
+    }
+
+    async chooseFolder() {
+        try {
+            const status = await window.electronAPI.chooseSyncFolder();
+            if (status) {
+                this.render(status);
+                this.showNotification('Syncing through the shared folder');
+            }
+        } catch (error) {
+            console.error('Error choosing sync folder:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    async leaveFolder() {
+        if (!confirm('Stop syncing this profile? Your lists and the shared folder stay as they are.')) return;
+
+        try {
+            this.render(await window.electronAPI.leaveSyncFolder());
+            this.showNotification('Stopped syncing');
+        } catch (error) {
+            console.error('Error leaving sync folder:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    async syncNow() {
+        try {
+            this.render(await window.electronAPI.runDeviceSync());
+            this.showNotification('Merged changes from the shared folder');
+        } catch (error) {
+            console.error('Error merging from sync folder:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    async resolveConflict(conflictIndex, optionIndex) {
+        const { type, key, field } = this.status.conflicts[conflictIndex];
+
+        try {
+            this.render(await window.electronAPI.resolveDeviceConflict(type, key, field, optionIndex));
+        } catch (error) {
+            console.error('Error settling sync conflict:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    formatField(field) {
+        const fieldMap = {
+            '_removed': 'Removed',
+            'status': 'Status',
+            'episodes_watched': 'Episodes',
+            'chapters_read': 'Chapters',
+            'rating': 'Rating',
+            'notes': 'Notes',
+            'start_date': 'Started',
+            'finish_date': 'Finished',
+            'custom_lists': 'Custom lists'
+        };
+        return fieldMap[field] || field;
+    }
+
+    formatValue(field, value) {
+        if (field === '_removed') return value ? 'Remove the entry' : 'Keep the entry';
+        if (value === null || value === '') return '<em>none</em>';
+        if (Array.isArray(value)) return this.escapeHtml(value.join(', ') || 'none');
+        return this.escapeHtml(String(value));
+    }
+
+    /**
+     * Format list type for display
+     */
+    formatType(type) {
+        const typeMap = {
+            'watchlist': 'Watchlist',
+            'readinglist': 'Reading List',
+            'favorites': 'Favorites'
+        };
+        return typeMap[type] || type;
+    }
+
+    /**
+     * Titles, notes and computer names come from the shared folder, so escape them
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * The main process error without Electron's IPC prefix
+     */
+    errorMessage(error) {
+        return error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed; top: 20px; right: 20px; background: var(--primary);
+            color: white; padding: 15px 20px; border-radius: 5px; z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    /**
+     * Bind events
+     */
+    bindEvents() {
+        // Event bindings are handled through inline onclick handlers
+    }
+}
@@ -5,6 +5,7 @@
 class FavoritesManager {
     constructor() {
         this.favorites = [];
+        this.undoToast = new UndoToast('favorites', result => this.handleUndo(result));
         
         this.init();
     }
@@ -13,6 +14,7 @@ class FavoritesManager {
      * Initialize the favorites manager
      */
     async init() {
+        this.bindListEvents();
         await this.loadFavorites();
         this.renderFavorites();
         this.bindEvents();
@@ -71,23 +73,23 @@ class FavoritesManager {
         return `
             <div class="character-card" data-character-id="${character.mal_id}" style="margin: 10px;">
                 <div class="character-card-image">
-                    <img src="${imageUrl}" alt="${character.name}" loading="lazy">
+                    <img src="${this.escapeHtml(imageUrl)}" alt="${this.escapeHtml(character.name)}" loading="lazy">
                     <button class="favorite-btn favorited" 
                             onclick="favoritesManager.removeFavorite(${character.mal_id})">
                         <i class="fas fa-heart"></i>
                     </button>
                     <div class="character-card-badge">
-                        ❤️ ${favoriteCount}
+                        ❤️ ${this.escapeHtml(favoriteCount)}
                     </div>
                 </div>
                 <div class="character-card-content">
-                    <h3 class="character-card-name">${character.name}</h3>
-                    <p class="character-card-anime">${character.anime || 'Unknown Anime'}</p>
+                    <h3 class="character-card-name">${this.escapeHtml(character.name)}</h3>
+                    <p class="character-card-anime">${this.escapeHtml(character.anime || 'Unknown Anime')}</p>
                     <div class="character-card-actions">
                         <button class="btn btn-primary btn-small" onclick="favoritesManager.viewCharacterDetails(${character.mal_id})">
                             <i class="fas fa-info-circle"></i> Details
                         </button>
-                        <button class="btn btn-secondary btn-small" onclick="favoritesManager.viewVoiceActors(${character.mal_id}, '${character.name.replace(/'/g, "\\'")}')">
+                        <button class="btn btn-secondary btn-small" onclick="favoritesManager.viewVoiceActors(${character.mal_id}, '${this.escapeHtml(character.name.replace(/\\/g, '\\\\').replace(/'/g, "\\'"))}')">
                             <i class="fas fa-microphone"></i> Voice Actors
                         </button>
                     </div>
@@ -100,10 +102,13 @@ class FavoritesManager {
      * Remove character from favorites
      */
     async removeFavorite(characterId) {
-        if (!confirm('Are you sure you want to remove this character from your favorites?')) {
+        // Removals can be undone in the desktop app, so only confirm in the browser
+        if (!window.electronAPI && !confirm('Are you sure you want to remove this character from your favorites?')) {
             return;
         }
 
+        const character = this.favorites.find(fav => fav.mal_id === characterId);
+
         try {
             if (window.electronAPI) {
                 await window.electronAPI.removeFromFavorites(characterId);
@@ -119,7 +124,7 @@ class FavoritesManager {
             this.favorites = this.favorites.filter(fav => fav.mal_id !== characterId);
             this.renderFavorites();
 
-            this.showNotification('Removed from favorites');
+            this.undoToast.show(`Removed "${character?.name}" from favorites`);
 
         } catch (error) {
             console.error('Error removing favorite:', error);
@@ -127,13 +132,26 @@ class FavoritesManager {
         }
     }
 
+    /**
+     * Keep favorites current when they change in another window or page
+     */
+    bindListEvents() {
+        ListChanges.subscribe('favorites', async change => {
+            if (change.action === 'replace') {
+                await this.loadFavorites();
+            } else {
+                this.favorites = ListChanges.apply(this.favorites, change);
+            }
+            this.renderFavorites();
+        });
+    }
+
     /**
      * View character details
      */
     async viewCharacterDetails(characterId) {
         try {
-            const response = await fetch(`https://api.jikan.moe/v4/characters/${characterId}/full`);
-            const data = await response.json();
+            const data = await jikan.get(`/characters/${characterId}/full`);
             
             this.showCharacterModal(data.data);
         } catch (error) {
@@ -147,8 +165,7 @@ class FavoritesManager {
      */
     async viewVoiceActors(characterId, characterName) {
         try {
-            const response = await fetch(`https://api.jikan.moe/v4/characters/${characterId}/voices`);
-            const data = await response.json();
+            const data = await jikan.get(`/characters/${characterId}/voices`);
             
             this.showVoiceActorsModal(characterName, data.data);
         } catch (error) {
@@ -231,7 +248,7 @@ class FavoritesManager {
         modal.innerHTML = `
             <div class="modal-content" style="max-width: 700px;">
                 <div class="modal-header">
-                    <h3>Voice Actors for ${characterName}</h3>
+                    <h3>Voice Actors for ${this.escapeHtml(characterName)}</h3>
                     <button class="modal-close" onclick="this.parentElement.parentElement.parentElement.remove()">
                         <i class="fas fa-times"></i>
                     </button>
@@ -273,8 +290,7 @@ class FavoritesManager {
      */
     async viewVoiceActorDetails(voiceActorId, voiceActorName) {
         try {
-            const response = await fetch(`https://api.jikan.moe/v4/people/${voiceActorId}/full`);
-            const data = await response.json();
+            const data = await jikan.get(`/people/${voiceActorId}/full`);
             
             this.showVoiceActorModal(voiceActorName, data.data);
         } catch (error) {
@@ -358,6 +374,26 @@ class FavoritesManager {
         document.getElementById('totalFavorites').textContent = `${totalFavorites} favorite characters`;
     }
 
+    /**
+     * Reload after an undo or redo that touched favorites
+     */
+    async handleUndo(result) {
+        if (result.type !== 'favorites') return;
+
+        await this.loadFavorites();
+        this.renderFavorites();
+    }
+
+    /**
+     * Character names and covers can come from imported files, so escape
+     * them before they go into the cards
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Show notification
      */
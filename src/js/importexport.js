@@ -0,0 +1,559 @@
+/**
+ * IMPORT EXPORT MANAGER CONTROLLER
+ * Imports lists from other trackers and exports them again. An import is
+ * previewed first: the report lists new entries, duplicates and
+ * conflicts, and nothing is written until it is confirmed. CSV imports
+ * add two steps before that, choosing the columns and confirming titles
+ * that matched more than one entry on Jikan.
+ */
+class ImportExportManager {
+    constructor() {
+        this.review = null;
+        this.csv = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the import/export manager
+     */
+    async init() {
+        if (!window.electronAPI) {
+            document.querySelectorAll('.import-requires-app').forEach(button => {
+                button.disabled = true;
+                button.title = 'Importing and exporting require the desktop app';
+            });
+        } else {
+            window.electronAPI.onEnrichmentProgress(progress => this.renderEnrichment(progress));
+            window.electronAPI.onCsvMatchProgress(progress => this.renderMatchProgress(progress));
+        }
+
+        this.bindEvents();
+    }
+
+    /**
+     * Pick a MyAnimeList export and show what importing it would do
+     */
+    async previewMalImport() {
+        await this.previewImport(() => window.electronAPI.previewMalImport(), 'MyAnimeList export');
+    }
+
+    /**
+     * Pick an AniList export and show what importing it would do
+     */
+    async previewAniListImport() {
+        await this.previewImport(() => window.electronAPI.previewAniListImport(), 'AniList export');
+    }
+
+    async previewImport(preview, description) {
+        try {
+            const review = await preview();
+            if (review) {
+                this.csv = null;
+                this.renderCsvStep('');
+                this.review = review;
+                this.renderReview();
+            }
+        } catch (error) {
+            console.error(`Error reading ${description}:`, error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Render the import report with a section per list
+     */
+    renderReview() {
+        const container = document.getElementById('importReview');
+        const review = this.review;
+
+        if (!review) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const totalConflicts = review.lists.reduce((sum, list) => sum + list.conflicts.length, 0);
+        const totalAdded = review.lists.reduce((sum, list) => sum + list.added, 0);
+
+        container.innerHTML = `
+            <h4><i class="fas fa-magnifying-glass"></i> Review Import: ${this.escapeHtml(review.source)}</h4>
+            ${review.lists.map(list => this.renderListReview(list)).join('')}
+            ${review.warnings.length > 0 ? `
+                <div class="import-section">
+                    <h5>Notes</h5>
+                    ${this.renderLimitedList(review.warnings)}
+                </div>
+            ` : ''}
+            <form onsubmit="importExportManager.commitImport(); return false;">
+                ${totalConflicts > 0 ? `
+                    <div class="form-group">
+                        <label for="conflictChoice">For entries that differ from your list:</label>
+                        <select id="conflictChoice" class="form-select">
+                            <option value="keep">Keep what is in my list</option>
+                            <option value="replace">Use the imported values</option>
+                        </select>
+                    </div>
+                ` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="importExportManager.cancelImport()">Cancel</button>
+                    <button type="submit" class="btn btn-primary" ${totalAdded + totalConflicts === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-check"></i> Import
+                    </button>
+                </div>
+            </form>
+        `;
+        container.style.display = 'block';
+        container.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    renderListReview(list) {
+        return `
+            <div class="import-section">
+                <h5>${this.formatType(list.type)}</h5>
+                <div class="import-counts">
+                    <span class="status-badge status-watching">${list.added} new</span>
+                    <span class="status-badge status-planning">${list.duplicates} already in your list</span>
+                    <span class="status-badge status-dropped">${list.conflicts.length} differ from your list</span>
+                    ${list.invalid.length > 0 ? `<span class="status-badge status-dropped">${list.invalid.length} skipped</span>` : ''}
+                </div>
+                ${list.conflicts.length > 0 ? `
+                    <ul class="import-conflicts">
+                        ${list.conflicts.map(conflict => `
+                            <li><strong>${this.escapeHtml(conflict.title)}</strong>: ${this.escapeHtml(this.describeChanges(conflict.changes))}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${list.invalid.length > 0 ? this.renderLimitedList(list.invalid) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * A bulleted list that shows the first few lines and counts the rest
+     */
+    renderLimitedList(lines, limit = 10) {
+        return `
+            <ul class="import-notes">
+                ${lines.slice(0, limit).map(line => `<li>${this.escapeHtml(line)}</li>`).join('')}
+                ${lines.length > limit ? `<li class="backup-preview-more">and ${lines.length - limit} more</li>` : ''}
+            </ul>
+        `;
+    }
+
+    /**
+     * e.g. "status watching → completed, episodes 3 → 12"
+     */
+    describeChanges(changes) {
+        const labels = {
+            episodes_watched: 'episodes',
+            chapters_read: 'chapters',
+            start_date: 'started',
+            finish_date: 'finished',
+            repeat: 'repeats',
+            custom_lists: 'custom lists'
+        };
+        const format = value => Array.isArray(value) ? value.join(' + ') || 'none' : value ?? '-';
+
+        return Object.entries(changes).map(([field, { from, to }]) => {
+            if (field === 'notes') return 'notes differ';
+            return `${labels[field] || field} ${format(from)} → ${format(to)}`;
+        }).join(', ');
+    }
+
+    /**
+     * Write the reviewed import
+     */
+    async commitImport() {
+        const choice = document.getElementById('conflictChoice');
+
+        try {
+            const counts = await window.electronAPI.commitImport(this.review.id, choice ? choice.value : 'keep');
+            const added = Object.values(counts).reduce((sum, count) => sum + count.added, 0);
+            const updated = Object.values(counts).reduce((sum, count) => sum + count.updated, 0);
+
+            this.review = null;
+            this.renderReview();
+            this.showNotification(`Imported ${added} new entries${updated > 0 ? ` and updated ${updated}` : ''}`);
+        } catch (error) {
+            console.error('Error importing:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    async cancelImport() {
+        this.review = null;
+        this.renderReview();
+        this.csv = null;
+        this.renderCsvStep('');
+
+        try {
+            await window.electronAPI.cancelImport();
+        } catch (error) {
+            console.error('Error cancelling import:', error);
+        }
+    }
+
+    /**
+     * Save the watchlist or reading list as a MyAnimeList XML file
+     */
+    async exportMalXml(type) {
+        try {
+            const result = await window.electronAPI.exportMalXml(type);
+            if (!result) return;
+
+            const skipped = result.skipped > 0 ? ` (${result.skipped} custom entries left out)` : '';
+            this.showNotification(`Exported ${result.exported} entries${skipped}`);
+        } catch (error) {
+            console.error('Error exporting to MyAnimeList XML:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Pick a CSV file and show the column mapping step
+     */
+    async openCsvImport() {
+        try {
+            const preview = await window.electronAPI.openCsvImport();
+            if (preview) {
+                this.review = null;
+                this.renderReview();
+                this.csv = preview;
+                this.renderMapping();
+            }
+        } catch (error) {
+            console.error('Error reading CSV file:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * A column picker per field, filled in from the recognized headers,
+     * above the first rows of the file
+     */
+    renderMapping() {
+        const csv = this.csv;
+        const columnOptions = selected => `
+            <option value="-1">Not in this file</option>
+            ${csv.headers.map((header, index) => `
+                <option value="${index}" ${index === selected ? 'selected' : ''}>${this.escapeHtml(header || `Column ${index + 1}`)}</option>
+            `).join('')}
+        `;
+
+        this.renderCsvStep(`
+            <h4><i class="fas fa-table-columns"></i> Match Columns: ${this.escapeHtml(csv.source)}</h4>
+            <p class="settings-description">
+                ${csv.rowCount} rows. Choose the column that holds each field; fields that are not in the
+                file keep their defaults.
+            </p>
+            <form onsubmit="importExportManager.matchCsvImport(); return false;">
+                <div class="csv-mapping">
+                    ${csv.fields.map(field => `
+                        <div class="form-group">
+                            <label for="csvField-${field.key}">${this.escapeHtml(field.label)}:</label>
+                            <select id="csvField-${field.key}" class="form-select">${columnOptions(csv.mapping[field.key])}</select>
+                        </div>
+                    `).join('')}
+                    <div class="form-group">
+                        <label for="csvDefaultList">Rows without a list go to:</label>
+                        <select id="csvDefaultList" class="form-select">
+                            <option value="watchlist">Watchlist</option>
+                            <option value="readinglist">Reading List</option>
+                            <option value="favorites">Favorites</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="import-section">
+                    <h5>First rows</h5>
+                    <div class="csv-preview">
+                        <table>
+                            <thead><tr>${csv.headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr></thead>
+                            <tbody>
+                                ${csv.sample.map(row => `
+                                    <tr>${csv.headers.map((header, index) => `<td>${this.escapeHtml(row[index] || '')}</td>`).join('')}</tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="importExportManager.cancelImport()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-arrow-right"></i> Continue
+                    </button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Send the chosen columns and wait for the Jikan title search
+     */
+    async matchCsvImport() {
+        const mapping = {};
+        this.csv.fields.forEach(field => {
+            mapping[field.key] = parseInt(document.getElementById(`csvField-${field.key}`).value, 10);
+        });
+        const defaultType = document.getElementById('csvDefaultList').value;
+
+        if (mapping.title < 0 && mapping.mal_id < 0) {
+            this.showNotification('Choose the column with the title or the MyAnimeList ID');
+            return;
+        }
+
+        this.renderCsvStep(`
+            <h4><i class="fas fa-magnifying-glass"></i> Matching Titles: ${this.escapeHtml(this.csv.source)}</h4>
+            <div id="csvMatchProgress" class="import-status">
+                <div class="loading-spinner"></div>
+                <span>Reading rows...</span>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="importExportManager.cancelImport()">Cancel</button>
+            </div>
+        `);
+
+        try {
+            const result = await window.electronAPI.matchCsvImport(mapping, defaultType);
+            // Cancelled while searching
+            if (!result || !this.csv) return;
+
+            if (result.matches.length > 0) {
+                this.csv.matches = result.matches;
+                this.renderMatches(result.matched);
+            } else {
+                await this.reviewCsvImport();
+            }
+        } catch (error) {
+            console.error('Error matching CSV rows:', error);
+            this.showNotification(this.errorMessage(error));
+            if (this.csv) this.renderMapping();
+        }
+    }
+
+    renderMatchProgress(progress) {
+        const status = document.getElementById('csvMatchProgress');
+        if (!status) return;
+
+        status.querySelector('span').textContent = `Searching Jikan for titles without an ID: ${progress.done} of ${progress.total}`;
+    }
+
+    /**
+     * Rows whose title matched several entries, or none, each with its
+     * candidates. The most relevant candidate is picked by default.
+     */
+    renderMatches(matched) {
+        const csv = this.csv;
+
+        this.renderCsvStep(`
+            <h4><i class="fas fa-circle-question"></i> Confirm Matches: ${this.escapeHtml(csv.source)}</h4>
+            <p class="settings-description">
+                ${matched > 0 ? `${matched} titles were matched on their own. ` : ''}
+                Pick the entry each of these rows refers to.
+            </p>
+            <form onsubmit="importExportManager.reviewCsvImport(); return false;">
+                ${csv.matches.map(match => `
+                    <div class="import-section csv-match">
+                        <h5>Row ${match.row}: ${this.escapeHtml(match.title)} <span class="csv-match-list">${this.formatType(match.type)}</span></h5>
+                        ${match.error ? `<p class="settings-description settings-error">Jikan couldn't be searched: ${this.escapeHtml(match.error)}</p>` : ''}
+                        ${match.candidates.length === 0 && !match.error ? '<p class="settings-description">No matches found on Jikan.</p>' : ''}
+                        ${match.candidates.map((candidate, index) => `
+                            <label class="csv-candidate">
+                                <input type="radio" name="csvMatch-${match.row}" value="${candidate.mal_id}" ${index === 0 ? 'checked' : ''}>
+                                ${candidate.image ? `<img src="${this.escapeHtml(candidate.image)}" alt="">` : ''}
+                                <span>
+                                    <strong>${this.escapeHtml(candidate.title)}</strong>
+                                    <small>${this.escapeHtml(candidate.details)}</small>
+                                </span>
+                            </label>
+                        `).join('')}
+                        <label class="csv-candidate">
+                            <input type="radio" name="csvMatch-${match.row}" value="custom" ${match.candidates.length === 0 ? 'checked' : ''}>
+                            <span>Add as a custom entry</span>
+                        </label>
+                        <label class="csv-candidate">
+                            <input type="radio" name="csvMatch-${match.row}" value="skip">
+                            <span>Skip this row</span>
+                        </label>
+                    </div>
+                `).join('')}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="importExportManager.cancelImport()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-arrow-right"></i> Continue
+                    </button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Send the confirmed matches and show the usual import report
+     */
+    async reviewCsvImport() {
+        const choices = {};
+        (this.csv.matches || []).forEach(match => {
+            const picked = document.querySelector(`input[name="csvMatch-${match.row}"]:checked`);
+            choices[match.row] = picked ? picked.value : 'custom';
+        });
+
+        try {
+            this.review = await window.electronAPI.reviewCsvImport(choices);
+            this.csv = null;
+            this.renderCsvStep('');
+            this.renderReview();
+        } catch (error) {
+            console.error('Error reviewing CSV import:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Show one step of a CSV import, or hide the card when html is empty
+     */
+    renderCsvStep(html) {
+        const container = document.getElementById('csvImport');
+
+        container.innerHTML = html;
+        container.style.display = html ? 'block' : 'none';
+        if (html) container.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Save the watchlist and reading list as AniList-style JSON
+     */
+    async exportAniList() {
+        try {
+            const result = await window.electronAPI.exportAniList();
+            if (!result) return;
+
+            const skipped = result.skipped > 0 ? ` (${result.skipped} custom entries left out)` : '';
+            this.showNotification(`Exported ${result.exported} entries${skipped}`);
+        } catch (error) {
+            console.error('Error exporting to AniList JSON:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Save every list to one CSV or JSON file
+     */
+    async exportLists(format) {
+        try {
+            const result = await window.electronAPI.exportLists(format);
+            if (!result) return;
+
+            const total = Object.values(result.counts).reduce((sum, count) => sum + count, 0);
+            this.showNotification(`Exported ${total} entries to ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error(`Error exporting to ${format}:`, error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Save the whole profile to a .anitowatch bundle
+     */
+    async exportBundle() {
+        try {
+            const result = await window.electronAPI.exportBundle();
+            if (!result) return;
+
+            const missing = result.missingCovers > 0 ? ` (${result.missingCovers} covers couldn't be downloaded)` : '';
+            this.showNotification(`Saved ${result.entries} entries and ${result.covers} covers${missing}`);
+        } catch (error) {
+            console.error('Error exporting backup bundle:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Load a .anitowatch bundle; the main process asks whether to merge or replace
+     */
+    async importBundle() {
+        try {
+            const result = await window.electronAPI.importBundle();
+            if (!result) return;
+
+            const added = Object.values(result.counts).reduce((sum, count) => sum + count.added, 0);
+            this.showNotification(result.mode === 'replace'
+                ? `Replaced your lists with ${added} entries from the bundle`
+                : `Merged ${added} new entries from the bundle`);
+        } catch (error) {
+            console.error('Error importing backup bundle:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Progress of the background Jikan lookups that follow an import
+     */
+    renderEnrichment(progress) {
+        const status = document.getElementById('enrichmentStatus');
+
+        if (progress.done >= progress.total) {
+            status.style.display = 'none';
+            return;
+        }
+
+        status.innerHTML = `
+            <div class="loading-spinner"></div>
+            <span>Looking up titles and covers on Jikan: ${progress.done} of ${progress.total}</span>
+        `;
+        status.style.display = 'flex';
+    }
+
+    /**
+     * Format list type for display
+     */
+    formatType(type) {
+        const typeMap = {
+            'watchlist': 'Watchlist',
+            'readinglist': 'Reading List',
+            'favorites': 'Favorites'
+        };
+        return typeMap[type] || type;
+    }
+
+    /**
+     * Titles and notes come from the imported file, and cover URLs from
+     * Jikan, so escape them for text and quoted attributes alike
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * The main process error without Electron's IPC prefix
+     */
+    errorMessage(error) {
+        return error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed; top: 20px; right: 20px; background: var(--primary);
+            color: white; padding: 15px 20px; border-radius: 5px; z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    /**
+     * Bind events
+     */
+    bindEvents() {
+        // Event bindings are handled through inline onclick handlers
+    }
+}
@@ -0,0 +1,63 @@
+// Jikan's own instance, used when the pages run outside the app
+const JIKAN_API_BASE = 'https://api.jikan.moe/v4';
+
+/**
+ * JIKAN CLIENT
+ * Shared by every page that loads data from Jikan. In the app, requests
+ * go to the main process, which keeps one rate limit for every window and
+ * for imports, answers from its disk cache, retries busy and failed
+ * responses, and follows whether Jikan can be reached.
+ *
+ * Offline, cached responses are still returned and other requests fail
+ * with an error whose `offline` is true.
+ */
+class JikanClient {
+    constructor() {
+        this.online = true;
+        this.statusListeners = [];
+
+        if (window.electronAPI) {
+            window.electronAPI.onJikanStatus(online => this.setOnline(online));
+            window.electronAPI.getJikanStatus()
+                .then(status => this.setOnline(status.online))
+                .catch(error => console.warn('Error loading the Jikan status:', error));
+        }
+    }
+
+    /**
+     * Call a listener with true or false whenever Jikan becomes reachable or not
+     */
+    onStatusChange(listener) {
+        this.statusListeners.push(listener);
+    }
+
+    setOnline(online) {
+        if (online === this.online) return;
+        this.online = online;
+        this.statusListeners.forEach(listener => listener(online));
+    }
+
+    /**
+     * The data of a Jikan endpoint, e.g. get('/anime/1'). Rejects with an
+     * error carrying the status if Jikan doesn't answer with success.
+     */
+    async get(path) {
+        if (!window.electronAPI) {
+            const response = await fetch(`${JIKAN_API_BASE}${path}`);
+            if (!response.ok) {
+                const error = new Error(`Jikan responded with ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.json();
+        }
+
+        const { data, error } = await window.electronAPI.jikanGet(path);
+        if (error) {
+            throw Object.assign(new Error(error.message), { status: error.status, offline: error.offline });
+        }
+        return data;
+    }
+}
+
+const jikan = new JikanClient();
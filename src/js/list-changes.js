@@ -0,0 +1,40 @@
+/**
+ * LIST CHANGES HELPER
+ * Shared by the watchlist, reading list, favorites and characters pages.
+ * The main process sends a list-changed event after every write, from
+ * any window or page, so a page can keep its copy of a list current
+ * without reloading it.
+ */
+class ListChanges {
+    /**
+     * Call onChange for every change to one list. A 'replace' change means
+     * the whole list was swapped (backup restore, profile switch) and has
+     * to be loaded again. Returns a function that unsubscribes.
+     */
+    static subscribe(type, onChange) {
+        if (!window.electronAPI || !window.electronAPI.onListChanged) return () => {};
+
+        return window.electronAPI.onListChanged(change => {
+            if (change.type === type) onChange(change);
+        });
+    }
+
+    /**
+     * A copy of items with an add, remove or update applied. Applying a
+     * change the page already made itself leaves the list as it is.
+     */
+    static apply(items, change) {
+        if (change.action === 'remove') {
+            return items.filter(item => item.id !== change.id);
+        }
+
+        const index = items.findIndex(item => item.id === change.id);
+        if (index === -1) {
+            return [...items, change.after];
+        }
+
+        const updated = [...items];
+        updated[index] = change.after;
+        return updated;
+    }
+}
@@ -7,9 +7,6 @@ class MangaBrowser {
         this.currentPage = 1;
         this.hasMore = true;
         this.currentFilters = {};
-        this.jikanApiBase = 'https://api.jikan.moe/v4';
-        this.cache = new Map();
-        this.cacheTimeout = 300000; // 5 minutes
         
         this.init();
     }
@@ -27,24 +24,8 @@ class MangaBrowser {
      * Load manga genres from Jikan API
      */
     async loadGenres() {
-        const cacheKey = 'manga_genres';
-        const cached = this.cache.get(cacheKey);
-        
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            this.populateGenreFilter(cached.data);
-            return;
-        }
-
         try {
-            const response = await fetch(`${this.jikanApiBase}/genres/manga`);
-            const data = await response.json();
-            
-            // Cache genres
-            this.cache.set(cacheKey, {
-                data: data.data,
-                timestamp: Date.now()
-            });
-            
+            const data = await jikan.get('/genres/manga');
             this.populateGenreFilter(data.data);
         } catch (error) {
             console.error('Error loading manga genres:', error);
@@ -83,7 +64,7 @@ class MangaBrowser {
             }
             
             // Build API URL with current filters
-            let url = `${this.jikanApiBase}/manga?page=${this.currentPage}&limit=24`;
+            let url = `/manga?page=${this.currentPage}&limit=24`;
             
             // Add search query if present
             if (this.currentFilters.search) {
@@ -123,8 +104,7 @@ class MangaBrowser {
                 }
             }
 
-            const response = await fetch(url);
-            const data = await response.json();
+            const data = await jikan.get(url);
             
             if (data.data && data.data.length > 0) {
                 // Filter out adult content
@@ -151,7 +131,7 @@ class MangaBrowser {
             }
         } catch (error) {
             console.error('Error loading manga:', error);
-            grid.innerHTML = '<div class="error">Failed to load manga. Please try again later.</div>';
+            grid.innerHTML = `<div class="error">${error.offline ? error.message : 'Failed to load manga. Please try again later.'}</div>`;
         }
     }
 
@@ -205,8 +185,7 @@ class MangaBrowser {
      */
     async addToReadingList(malId) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/manga/${malId}`);
-            const data = await response.json();
+            const data = await jikan.get(`/manga/${malId}`);
             const manga = data.data;
             
             if (window.electronAPI) {
@@ -216,6 +195,10 @@ class MangaBrowser {
                 this.showNotification('Reading list feature requires desktop app');
             }
         } catch (error) {
+            if (error.offline && await offlineStatus.queueAdd('readinglist', malId)) {
+                this.showNotification("You're offline. It will be added to your reading list when you're back online");
+                return;
+            }
             console.error('Error adding to reading list:', error);
             this.showNotification('Failed to add to reading list');
         }
@@ -0,0 +1,108 @@
+/**
+ * OFFLINE STATUS CONTROLLER
+ * Shows a badge in the header while Jikan can't be reached or adds are
+ * waiting for it. Adds that need an entry's details are queued in the
+ * main process while offline, which tries them again as soon as Jikan
+ * answers.
+ */
+class OfflineStatus {
+    constructor() {
+        this.queued = [];
+
+        this.init();
+    }
+
+    /**
+     * Follow the connection and the queue, and render the badge
+     */
+    async init() {
+        jikan.onStatusChange(() => this.render());
+
+        if (window.electronAPI) {
+            window.electronAPI.onOfflineQueueStatus(status => {
+                this.queued = status.actions;
+                this.render();
+            });
+            window.electronAPI.onOfflineQueueResult(result => this.showResult(result));
+
+            try {
+                this.queued = (await window.electronAPI.getOfflineQueue()).actions;
+            } catch (error) {
+                console.error('Error loading offline queue:', error);
+            }
+        }
+
+        this.render();
+    }
+
+    /**
+     * Queue adding an entry to the watchlist or reading list until Jikan can
+     * be reached. Resolves to false if it couldn't be queued.
+     */
+    async queueAdd(type, malId, title = null) {
+        if (!window.electronAPI) return false;
+
+        try {
+            this.queued = (await window.electronAPI.queueOfflineAdd(type, malId, title)).actions;
+            this.render();
+            return true;
+        } catch (error) {
+            console.error('Error queueing add:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add, update or remove the badge in front of the header search box
+     */
+    render() {
+        const container = document.querySelector('.header-actions');
+        if (!container) return;
+
+        let badge = container.querySelector('.offline-badge');
+        if (jikan.online && this.queued.length === 0) {
+            if (badge) badge.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'offline-badge';
+            container.prepend(badge);
+        }
+
+        const waiting = this.queued.length > 0 ? ` · ${this.queued.length} waiting` : '';
+        badge.innerHTML = `<i class="fas ${jikan.online ? 'fa-clock' : 'fa-plane'}"></i> <span></span>`;
+        badge.querySelector('span').textContent = `${jikan.online ? 'Adding' : 'Offline'}${waiting}`;
+        badge.title = this.queued.length > 0
+            ? `Waiting to add: ${this.queued.map(action => action.title || `#${action.malId}`).join(', ')}`
+            : 'Showing saved copies of pages until Jikan can be reached';
+    }
+
+    showResult(result) {
+        const list = result.type === 'readinglist' ? 'reading list' : 'watchlist';
+        this.showNotification(result.error
+            ? `Couldn't add "${result.title}" to your ${list}: ${result.error}`
+            : `Added "${result.title}" to your ${list}`);
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed; top: 20px; right: 20px; background: var(--primary);
+            color: white; padding: 15px 20px; border-radius: 5px; z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+}
+
+const offlineStatus = new OfflineStatus();
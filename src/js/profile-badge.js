@@ -0,0 +1,50 @@
+/**
+ * PROFILE BADGE CONTROLLER
+ * Shows the active profile in the header of every page and sends the
+ * user to the profile screen while the profile is locked
+ */
+class ProfileBadge {
+    constructor() {
+        this.init();
+    }
+
+    /**
+     * Load the active profile and render the badge
+     */
+    async init() {
+        if (!window.electronAPI) return;
+
+        try {
+            const state = await window.electronAPI.getProfiles();
+
+            if (state.locked && !window.location.pathname.endsWith('profiles.html')) {
+                window.location.href = 'profiles.html';
+                return;
+            }
+
+            this.render(state);
+        } catch (error) {
+            console.error('Error loading profile:', error);
+        }
+    }
+
+    /**
+     * Add the badge in front of the header search box
+     */
+    render(state) {
+        const profile = state.profiles.find(p => p.id === state.activeProfileId);
+        const container = document.querySelector('.header-actions');
+        if (!profile || !container) return;
+
+        const badge = document.createElement('a');
+        badge.href = 'profiles.html';
+        badge.className = 'profile-badge';
+        badge.title = 'Switch profile';
+        badge.innerHTML = `<i class="fas ${state.locked ? 'fa-lock' : 'fa-user'}"></i> <span></span>`;
+        badge.querySelector('span').textContent = profile.name;
+
+        container.prepend(badge);
+    }
+}
+
+const profileBadge = new ProfileBadge();
@@ -0,0 +1,372 @@
+/**
+ * PROFILES MANAGER CONTROLLER
+ * Lists profiles and creates, renames, deletes and switches between them.
+ * While the active profile is locked this page doubles as the lock screen.
+ */
+class ProfilesManager {
+    constructor() {
+        this.state = { activeProfileId: null, locked: false, profiles: [] };
+
+        this.init();
+    }
+
+    /**
+     * Initialize the profiles manager
+     */
+    async init() {
+        await this.loadProfiles();
+        this.renderProfiles();
+        this.bindEvents();
+    }
+
+    /**
+     * Load profiles from the main process
+     */
+    async loadProfiles() {
+        try {
+            if (window.electronAPI) {
+                this.state = await window.electronAPI.getProfiles();
+            }
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+    }
+
+    /**
+     * Render the profile cards, and the lock screen if the profile is locked
+     */
+    renderProfiles() {
+        const container = document.getElementById('profileList');
+        const active = this.getProfile(this.state.activeProfileId);
+        const locked = this.state.locked;
+
+        document.getElementById('lockScreen').style.display = locked ? 'block' : 'none';
+        document.getElementById('newProfileCard').style.display = locked || !window.electronAPI ? 'none' : 'block';
+        if (locked && active) {
+            document.getElementById('lockedProfileName').textContent = active.name;
+            document.getElementById('unlockPin').focus();
+        }
+
+        if (!window.electronAPI) {
+            container.innerHTML = '<p class="settings-description">Profiles are only available in the desktop app.</p>';
+            return;
+        }
+
+        container.innerHTML = this.state.profiles.map(profile => {
+            const isActive = profile.id === this.state.activeProfileId;
+            return `
+                <div class="profile-card ${isActive ? 'active' : ''}">
+                    <div class="profile-card-icon">
+                        <i class="fas ${profile.hasPin ? 'fa-user-lock' : 'fa-user'}"></i>
+                    </div>
+                    <div class="profile-card-content">
+                        <h3 class="profile-card-name">${this.escapeHtml(profile.name)}</h3>
+                        <div class="profile-card-meta">
+                            ${isActive ? '<span class="status-badge status-watching">Active</span>' : ''}
+                            ${profile.hasPin ? '<span><i class="fas fa-lock"></i> PIN protected</span>' : ''}
+                            <span>Created ${this.formatDate(profile.createdAt)}</span>
+                        </div>
+                    </div>
+                    <div class="profile-card-actions">
+                        ${isActive ? '' : `
+                            <button class="btn btn-primary btn-small" onclick="profilesManager.switchTo('${profile.id}')">
+                                <i class="fas fa-right-to-bracket"></i> Switch
+                            </button>
+                        `}
+                        ${locked ? '' : `
+                            <button class="btn btn-secondary btn-small" onclick="profilesManager.showRenameForm('${profile.id}')">
+                                <i class="fas fa-pen"></i> Rename
+                            </button>
+                            <button class="btn btn-secondary btn-small" onclick="profilesManager.showPinForm('${profile.id}')">
+                                <i class="fas fa-key"></i> ${profile.hasPin ? 'Change PIN' : 'Set PIN'}
+                            </button>
+                            ${isActive || profile.isDefault ? '' : `
+                                <button class="btn btn-danger btn-small" onclick="profilesManager.deleteProfile('${profile.id}')">
+                                    <i class="fas fa-trash"></i> Delete
+                                </button>
+                            `}
+                        `}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Unlock the active profile from the lock screen
+     */
+    async unlock() {
+        const pin = document.getElementById('unlockPin').value;
+
+        try {
+            await window.electronAPI.switchProfile(this.state.activeProfileId, pin);
+            window.location.href = 'index.html';
+        } catch (error) {
+            console.error('Error unlocking profile:', error);
+            document.getElementById('unlockPin').value = '';
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Switch to a profile, asking for its PIN first if it has one
+     */
+    async switchTo(id) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+
+        if (profile.hasPin) {
+            this.showModal(`Switch to ${this.escapeHtml(profile.name)}`, `
+                <form onsubmit="profilesManager.confirmSwitch('${id}'); return false;">
+                    <div class="form-group">
+                        <label for="switchPin">PIN:</label>
+                        <input type="password" id="switchPin" class="form-input" inputmode="numeric" autocomplete="off" required>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="profilesManager.closeModal()">Cancel</button>
+                        <button type="submit" class="btn btn-primary">Switch</button>
+                    </div>
+                </form>
+            `);
+            document.getElementById('switchPin').focus();
+            return;
+        }
+
+        await this.confirmSwitch(id);
+    }
+
+    async confirmSwitch(id) {
+        const pinInput = document.getElementById('switchPin');
+
+        try {
+            await window.electronAPI.switchProfile(id, pinInput ? pinInput.value : null);
+            window.location.href = 'index.html';
+        } catch (error) {
+            console.error('Error switching profile:', error);
+            if (pinInput) pinInput.value = '';
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Create a profile from the New Profile form
+     */
+    async createProfile() {
+        const nameInput = document.getElementById('newProfileName');
+        const pinInput = document.getElementById('newProfilePin');
+
+        try {
+            this.state = await window.electronAPI.createProfile(nameInput.value, pinInput.value || null);
+            this.renderProfiles();
+            this.showNotification(`Created profile "${nameInput.value.trim()}"`);
+            nameInput.value = '';
+            pinInput.value = '';
+        } catch (error) {
+            console.error('Error creating profile:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    showRenameForm(id) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+
+        this.showModal('Rename Profile', `
+            <form onsubmit="profilesManager.renameProfile('${id}'); return false;">
+                <div class="form-group">
+                    <label for="renameProfileName">Name:</label>
+                    <input type="text" id="renameProfileName" class="form-input" value="${this.escapeHtml(profile.name)}" required>
+                </div>
+                ${profile.hasPin ? `
+                    <div class="form-group">
+                        <label for="renamePin">PIN:</label>
+                        <input type="password" id="renamePin" class="form-input" inputmode="numeric" autocomplete="off" required>
+                    </div>
+                ` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="profilesManager.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `);
+        document.getElementById('renameProfileName').select();
+    }
+
+    async renameProfile(id) {
+        const pinInput = document.getElementById('renamePin');
+
+        try {
+            this.state = await window.electronAPI.renameProfile(id, document.getElementById('renameProfileName').value, pinInput ? pinInput.value : null);
+            this.closeModal();
+            this.renderProfiles();
+            this.showNotification('Profile renamed');
+        } catch (error) {
+            console.error('Error renaming profile:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Form to set, change or remove a PIN. Changing or removing one needs
+     * the current PIN.
+     */
+    showPinForm(id) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+
+        this.showModal(`${profile.hasPin ? 'Change' : 'Set'} PIN for ${this.escapeHtml(profile.name)}`, `
+            <form onsubmit="profilesManager.savePin('${id}'); return false;">
+                ${profile.hasPin ? `
+                    <div class="form-group">
+                        <label for="currentPin">Current PIN:</label>
+                        <input type="password" id="currentPin" class="form-input" inputmode="numeric" autocomplete="off" required>
+                    </div>
+                ` : ''}
+                <div class="form-group">
+                    <label for="newPin">New PIN (4 to 12 digits${profile.hasPin ? ', leave empty to remove the PIN' : ''}):</label>
+                    <input type="password" id="newPin" class="form-input" inputmode="numeric" autocomplete="off" ${profile.hasPin ? '' : 'required'}>
+                </div>
+                <div class="form-group">
+                    <label for="confirmPin">Confirm New PIN:</label>
+                    <input type="password" id="confirmPin" class="form-input" inputmode="numeric" autocomplete="off">
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="profilesManager.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `);
+        document.getElementById(profile.hasPin ? 'currentPin' : 'newPin').focus();
+    }
+
+    async savePin(id) {
+        const currentInput = document.getElementById('currentPin');
+        const newPin = document.getElementById('newPin').value;
+
+        if (newPin !== document.getElementById('confirmPin').value) {
+            this.showNotification("The new PINs don't match");
+            return;
+        }
+
+        try {
+            this.state = await window.electronAPI.setProfilePin(id, currentInput ? currentInput.value : null, newPin || null);
+            this.closeModal();
+            this.renderProfiles();
+            this.showNotification(newPin ? 'PIN saved' : 'PIN removed');
+        } catch (error) {
+            console.error('Error saving PIN:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    /**
+     * Delete a profile and all of its lists, asking for its PIN if it has one
+     */
+    async deleteProfile(id) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+
+        if (profile.hasPin) {
+            this.showModal(`Delete ${this.escapeHtml(profile.name)}`, `
+                <form onsubmit="profilesManager.confirmDelete('${id}'); return false;">
+                    <p class="settings-description">
+                        This deletes the profile's watchlist, reading list, favorites and settings. It can't be undone.
+                    </p>
+                    <div class="form-group">
+                        <label for="deletePin">PIN:</label>
+                        <input type="password" id="deletePin" class="form-input" inputmode="numeric" autocomplete="off" required>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="profilesManager.closeModal()">Cancel</button>
+                        <button type="submit" class="btn btn-danger">Delete Profile</button>
+                    </div>
+                </form>
+            `);
+            document.getElementById('deletePin').focus();
+            return;
+        }
+
+        if (!confirm(`Delete "${profile.name}" with all of its lists and settings? This can't be undone.`)) {
+            return;
+        }
+
+        await this.confirmDelete(id);
+    }
+
+    async confirmDelete(id) {
+        const pinInput = document.getElementById('deletePin');
+
+        try {
+            this.state = await window.electronAPI.deleteProfile(id, pinInput ? pinInput.value : null);
+            this.closeModal();
+            this.renderProfiles();
+            this.showNotification('Profile deleted');
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    getProfile(id) {
+        return this.state.profiles.find(profile => profile.id === id);
+    }
+
+    showModal(title, content) {
+        document.getElementById('profileModalTitle').innerHTML = title;
+        document.getElementById('profileModalContent').innerHTML = content;
+        document.getElementById('profileModal').style.display = 'flex';
+    }
+
+    closeModal() {
+        document.getElementById('profileModal').style.display = 'none';
+        document.getElementById('profileModalContent').innerHTML = '';
+    }
+
+    /**
+     * Profile names are typed by the user, so escape them before rendering
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * The main process error without Electron's IPC prefix
+     */
+    errorMessage(error) {
+        return error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(isoDate) {
+        return new Date(isoDate).toLocaleDateString();
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed; top: 20px; right: 20px; background: var(--primary);
+            color: white; padding: 15px 20px; border-radius: 5px; z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    /**
+     * Bind events
+     */
+    bindEvents() {
+        // Event bindings are handled through inline onclick handlers
+    }
+}
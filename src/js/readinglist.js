@@ -8,6 +8,8 @@ class ReadingListManager {
         this.filteredList = [];
         this.currentFilter = 'all';
         this.currentSort = 'added';
+        this.queryCount = 0;
+        this.undoToast = new UndoToast('readinglist', result => this.handleUndo(result));
         
         this.init();
     }
@@ -16,7 +18,10 @@ class ReadingListManager {
      * Initialize the reading list manager
      */
     async init() {
+        this.bindRecoveryEvents();
+        this.bindListEvents();
         await this.loadReadingList();
+        await this.loadRecoveryNotice();
         this.updateStats();
         this.renderReadingList();
         this.bindEvents();
@@ -34,7 +39,7 @@ class ReadingListManager {
                 const saved = localStorage.getItem('anitowatch-readinglist');
                 this.readingList = saved ? JSON.parse(saved) : [];
             }
-            this.applyFiltersAndSort();
+            await this.applyFiltersAndSort();
         } catch (error) {
             console.error('Error loading reading list:', error);
             this.readingList = [];
@@ -60,9 +65,25 @@ class ReadingListManager {
     }
 
     /**
-     * Apply both filters and sorting
+     * Apply both filters and sorting. In the app the main process does
+     * this, so a list kept in SQLite can use its indexes.
      */
-    applyFiltersAndSort() {
+    async applyFiltersAndSort() {
+        if (window.electronAPI) {
+            const request = ++this.queryCount;
+            try {
+                const filteredList = await window.electronAPI.getReadingList(this.getQuery());
+                // A newer filter, sort or change was applied meanwhile
+                if (request !== this.queryCount) return;
+                this.filteredList = filteredList;
+            } catch (error) {
+                console.error('Error filtering reading list:', error);
+                return;
+            }
+            this.renderReadingList();
+            return;
+        }
+
         // Apply status filter
         if (this.currentFilter === 'all') {
             this.filteredList = [...this.readingList];
@@ -90,6 +111,18 @@ class ReadingListManager {
         this.renderReadingList();
     }
 
+    /**
+     * The current filter and sort as query options for the main process
+     */
+    getQuery() {
+        const sortBy = { title: 'title', score: 'score', chapters: 'total' }[this.currentSort] || 'added_date';
+        return {
+            status: this.currentFilter === 'all' ? null : this.currentFilter,
+            sortBy,
+            order: sortBy === 'title' ? 'asc' : 'desc'
+        };
+    }
+
     /**
      * Render reading list to the page
      */
@@ -109,26 +142,33 @@ class ReadingListManager {
         container.innerHTML = this.filteredList.map(manga => `
             <div class="readinglist-item">
                 <div class="readinglist-item-image">
-                    <img src="${manga.image}" alt="${manga.title}" loading="lazy">
+                    ${manga.image ? `<img src="${this.escapeHtml(manga.image)}" alt="${this.escapeHtml(manga.title)}" loading="lazy">` : `
+                        <div class="item-image-placeholder"><i class="fas fa-book"></i></div>
+                    `}
                 </div>
                 <div class="readinglist-item-content">
-                    <h3 class="readinglist-item-title">${manga.title}</h3>
+                    <h3 class="readinglist-item-title">${this.escapeHtml(manga.title)}</h3>
                     <div class="readinglist-item-meta">
-                        <span class="status-badge status-${manga.status}">${this.formatStatus(manga.status)}</span>
-                        <span>${manga.chapters_read || 0}/${manga.chapters || '?'} chapters</span>
-                        <span>⭐ ${manga.score || 'N/A'}</span>
-                        <span>Your rating: ${manga.rating || 'Not rated'}</span>
+                        <span class="status-badge status-${this.escapeHtml(manga.status)}">${this.escapeHtml(this.formatStatus(manga.status))}</span>
+                        <span>${this.escapeHtml(manga.chapters_read || 0)}/${this.escapeHtml(manga.chapters || '?')} chapters</span>
+                        <span>⭐ ${this.escapeHtml(manga.score || 'N/A')}</span>
+                        <span>Your rating: ${this.escapeHtml(manga.rating || 'Not rated')}</span>
                     </div>
-                    ${manga.notes ? `<p class="readinglist-item-notes">${manga.notes}</p>` : ''}
+                    ${manga.notes ? `<p class="readinglist-item-notes">${this.escapeHtml(manga.notes)}</p>` : ''}
                 </div>
                 <div class="readinglist-item-actions">
-                    <button class="btn btn-primary btn-small" onclick="readingListManager.viewManga(${manga.mal_id})">
-                        <i class="fas fa-info-circle"></i> Details
+                    ${manga.mal_id ? `
+                        <button class="btn btn-primary btn-small" onclick="readingListManager.viewManga(${manga.mal_id})">
+                            <i class="fas fa-info-circle"></i> Details
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-secondary btn-small" onclick="location.href='activity.html?item=${this.escapeHtml(manga.id)}'">
+                        <i class="fas fa-clock-rotate-left"></i> History
                     </button>
-                    <button class="btn btn-secondary btn-small" onclick="readingListManager.editManga(${manga.mal_id})">
+                    <button class="btn btn-secondary btn-small" onclick="readingListManager.editManga('${this.escapeHtml(manga.id)}')">
                         <i class="fas fa-edit"></i> Edit
                     </button>
-                    <button class="btn btn-danger btn-small" onclick="readingListManager.removeManga(${manga.mal_id})">
+                    <button class="btn btn-danger btn-small" onclick="readingListManager.removeManga('${this.escapeHtml(manga.id)}')">
                         <i class="fas fa-trash"></i> Remove
                     </button>
                 </div>
@@ -146,15 +186,16 @@ class ReadingListManager {
     /**
      * Edit manga progress
      */
-    editManga(malId) {
-        const manga = this.readingList.find(m => m.mal_id === malId);
+    editManga(id) {
+        const manga = this.readingList.find(m => m.id === id);
         if (!manga) return;
 
         const modal = document.getElementById('editModal');
         const formContent = document.getElementById('editFormContent');
+        document.getElementById('editModalTitle').textContent = 'Edit Manga Progress';
 
         formContent.innerHTML = `
-            <form onsubmit="readingListManager.saveEdit(${malId}); return false;">
+            <form onsubmit="readingListManager.saveEdit('${this.escapeHtml(id)}'); return false;">
                 <div class="form-group">
                     <label>Status:</label>
                     <select id="editStatus" class="form-select">
@@ -167,19 +208,19 @@ class ReadingListManager {
                 
                 <div class="form-group">
                     <label>Chapters Read:</label>
-                    <input type="number" id="editChapters" value="${manga.chapters_read || 0}" 
-                           min="0" max="${manga.chapters || 9999}">
+                    <input type="number" id="editChapters" value="${this.escapeHtml(manga.chapters_read || 0)}" 
+                           min="0" max="${this.escapeHtml(manga.chapters || 9999)}">
                 </div>
                 
                 <div class="form-group">
                     <label>Your Rating (1-10):</label>
-                    <input type="number" id="editRating" value="${manga.rating || 0}" 
+                    <input type="number" id="editRating" value="${this.escapeHtml(manga.rating || 0)}" 
                            min="0" max="10" step="0.5">
                 </div>
                 
                 <div class="form-group">
                     <label>Notes:</label>
-                    <textarea id="editNotes" rows="3">${manga.notes || ''}</textarea>
+                    <textarea id="editNotes" rows="3">${this.escapeHtml(manga.notes || '')}</textarea>
                 </div>
                 
                 <div class="form-actions">
@@ -195,18 +236,24 @@ class ReadingListManager {
     /**
      * Save edited manga progress
      */
-    async saveEdit(malId) {
+    async saveEdit(id) {
         const status = document.getElementById('editStatus').value;
         const chapters = parseInt(document.getElementById('editChapters').value) || 0;
         const rating = parseFloat(document.getElementById('editRating').value) || 0;
         const notes = document.getElementById('editNotes').value;
 
         try {
-            // Note: Update functionality would need to be added to main process
-            // For now, we'll update locally
+            if (window.electronAPI) {
+                await window.electronAPI.updateReadingList(id, {
+                    status,
+                    chapters_read: chapters,
+                    rating,
+                    notes
+                });
+            }
 
             // Update local data
-            const mangaIndex = this.readingList.findIndex(m => m.mal_id === malId);
+            const mangaIndex = this.readingList.findIndex(m => m.id === id);
             if (mangaIndex !== -1) {
                 this.readingList[mangaIndex] = {
                     ...this.readingList[mangaIndex],
@@ -221,6 +268,7 @@ class ReadingListManager {
             this.closeEditModal();
             this.applyFiltersAndSort();
             this.updateStats();
+            this.undoToast.show(`Updated "${this.readingList.find(m => m.id === id)?.title}"`);
 
         } catch (error) {
             console.error('Error updating manga:', error);
@@ -228,6 +276,79 @@ class ReadingListManager {
         }
     }
 
+    /**
+     * Show the form for a manga that isn't on MyAnimeList
+     */
+    showCustomEntryForm() {
+        const modal = document.getElementById('editModal');
+        const formContent = document.getElementById('editFormContent');
+        document.getElementById('editModalTitle').textContent = 'Add Custom Manga';
+
+        formContent.innerHTML = `
+            <form onsubmit="readingListManager.addCustomEntry(); return false;">
+                <div class="form-group">
+                    <label>Title:</label>
+                    <input type="text" id="customTitle" class="form-input" required>
+                </div>
+                
+                <div class="form-group">
+                    <label>Total Chapters (0 if unknown):</label>
+                    <input type="number" id="customChapters" class="form-input" value="0" min="0">
+                </div>
+                
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">Add to Reading List</button>
+                    <button type="button" class="btn btn-secondary" onclick="readingListManager.closeEditModal()">Cancel</button>
+                </div>
+            </form>
+        `;
+
+        modal.style.display = 'block';
+        document.getElementById('customTitle').focus();
+    }
+
+    /**
+     * Add a custom manga without a MAL id
+     */
+    async addCustomEntry() {
+        const title = document.getElementById('customTitle').value.trim();
+        const chapters = parseInt(document.getElementById('customChapters').value) || 0;
+
+        if (!title) return;
+
+        try {
+            if (window.electronAPI) {
+                const item = await window.electronAPI.addToReadingList({ title, chapters });
+                if (item) {
+                    this.readingList = ListChanges.apply(this.readingList, { action: 'add', id: item.id, after: item });
+                }
+            } else {
+                this.readingList.push({
+                    id: crypto.randomUUID(),
+                    mal_id: null,
+                    title,
+                    chapters,
+                    score: 0,
+                    chapters_read: 0,
+                    status: 'planning',
+                    rating: 0,
+                    notes: '',
+                    added_date: new Date().toISOString()
+                });
+                await this.saveReadingList();
+            }
+
+            this.closeEditModal();
+            this.applyFiltersAndSort();
+            this.updateStats();
+            this.showNotification(`Added "${title}" to reading list!`);
+
+        } catch (error) {
+            console.error('Error adding custom manga:', error);
+            this.showNotification('Failed to add manga. Please try again.');
+        }
+    }
+
     /**
      * Close edit modal
      */
@@ -238,21 +359,25 @@ class ReadingListManager {
     /**
      * Remove manga from reading list
      */
-    async removeManga(malId) {
-        if (!confirm('Are you sure you want to remove this manga from your reading list?')) {
+    async removeManga(id) {
+        // Removals can be undone in the desktop app, so only confirm in the browser
+        if (!window.electronAPI && !confirm('Are you sure you want to remove this manga from your reading list?')) {
             return;
         }
 
+        const manga = this.readingList.find(m => m.id === id);
+
         try {
             if (window.electronAPI) {
-                await window.electronAPI.removeFromReadingList(malId);
+                await window.electronAPI.removeFromReadingList(id);
             }
 
-            this.readingList = this.readingList.filter(m => m.mal_id !== malId);
+            this.readingList = this.readingList.filter(m => m.id !== id);
             await this.saveReadingList();
 
             this.applyFiltersAndSort();
             this.updateStats();
+            this.undoToast.show(`Removed "${manga?.title}" from reading list`);
 
         } catch (error) {
             console.error('Error removing manga:', error);
@@ -275,6 +400,90 @@ class ReadingListManager {
         }
     }
 
+    /**
+     * Listen for corrupted-file recoveries reported by the main process
+     */
+    bindRecoveryEvents() {
+        if (!window.electronAPI) return;
+
+        window.electronAPI.onDataRecovered(notice => {
+            if (notice.type === 'readinglist') {
+                this.renderRecoveryBanner(notice);
+            }
+        });
+    }
+
+    /**
+     * Keep the reading list current when it changes in another window or page
+     */
+    bindListEvents() {
+        ListChanges.subscribe('readinglist', async change => {
+            if (change.action === 'replace') {
+                await this.loadReadingList();
+            } else {
+                this.readingList = ListChanges.apply(this.readingList, change);
+                this.applyFiltersAndSort();
+            }
+            this.updateStats();
+        });
+    }
+
+    /**
+     * Show a recovery that happened before this page was opened
+     */
+    async loadRecoveryNotice() {
+        if (!window.electronAPI) return;
+
+        try {
+            const notices = await window.electronAPI.getRecoveryNotices();
+            const notice = notices.find(n => n.type === 'readinglist');
+            if (notice) {
+                this.renderRecoveryBanner(notice);
+            }
+        } catch (error) {
+            console.error('Error loading recovery notices:', error);
+        }
+    }
+
+    /**
+     * Render the recovery banner above the reading list
+     */
+    renderRecoveryBanner(notice) {
+        const banner = document.getElementById('recoveryBanner');
+        const message = notice.recovered
+            ? `Your reading list file was damaged. ${notice.itemCount} manga were restored from the most recent backup.`
+            : 'Your reading list file was damaged and no backup was available, so the list was started fresh.';
+
+        banner.innerHTML = `
+            <i class="fas fa-exclamation-triangle"></i>
+            <div class="recovery-banner-text">
+                <strong>${message}</strong>
+                <span class="recovery-corrupt-path"></span>
+            </div>
+            <button class="btn btn-secondary btn-small" onclick="readingListManager.dismissRecoveryNotice()">
+                <i class="fas fa-times"></i> Dismiss
+            </button>
+        `;
+        // File paths can contain characters that aren't safe as HTML
+        banner.querySelector('.recovery-corrupt-path').textContent = `The damaged file was kept as ${notice.corruptPath}`;
+        banner.style.display = 'flex';
+    }
+
+    /**
+     * Hide the recovery banner for good
+     */
+    async dismissRecoveryNotice() {
+        document.getElementById('recoveryBanner').style.display = 'none';
+
+        try {
+            if (window.electronAPI) {
+                await window.electronAPI.dismissRecoveryNotice('readinglist');
+            }
+        } catch (error) {
+            console.error('Error dismissing recovery notice:', error);
+        }
+    }
+
     /**
      * Update reading list statistics
      */
@@ -301,6 +510,26 @@ class ReadingListManager {
         return statusMap[status] || status;
     }
 
+    /**
+     * Reload after an undo or redo that touched this list
+     */
+    async handleUndo(result) {
+        if (result.type !== 'readinglist') return;
+
+        await this.loadReadingList();
+        this.updateStats();
+    }
+
+    /**
+     * Titles, notes and cover addresses can come from imported files and
+     * other devices, so escape them for text and quoted attributes
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Show notification
      */
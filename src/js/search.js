@@ -8,9 +8,6 @@ class SearchManager {
         this.currentPage = 1;
         this.currentType = 'all';
         this.hasMore = true;
-        this.jikanApiBase = 'https://api.jikan.moe/v4';
-        this.cache = new Map();
-        this.cacheTimeout = 300000; // 5 minutes
         
         this.init();
     }
@@ -69,28 +66,25 @@ class SearchManager {
 
             // Search anime if needed
             if (this.currentType === 'all' || this.currentType === 'anime') {
-                const animeResponse = await fetch(
-                    `${this.jikanApiBase}/anime?q=${encodeURIComponent(this.currentQuery)}&page=${this.currentPage}&limit=12`
+                const animeData = await jikan.get(
+                    `/anime?q=${encodeURIComponent(this.currentQuery)}&page=${this.currentPage}&limit=12`
                 );
-                const animeData = await animeResponse.json();
                 animeResults = (animeData.data || []).filter(item => this.isSafeContent(item));
             }
 
             // Search manga if needed
             if (this.currentType === 'all' || this.currentType === 'manga') {
-                const mangaResponse = await fetch(
-                    `${this.jikanApiBase}/manga?q=${encodeURIComponent(this.currentQuery)}&page=${this.currentPage}&limit=12`
+                const mangaData = await jikan.get(
+                    `/manga?q=${encodeURIComponent(this.currentQuery)}&page=${this.currentPage}&limit=12`
                 );
-                const mangaData = await mangaResponse.json();
                 mangaResults = (mangaData.data || []).filter(item => this.isSafeContent(item));
             }
 
             // Search characters if needed
             if (this.currentType === 'all' || this.currentType === 'characters') {
-                const characterResponse = await fetch(
-                    `${this.jikanApiBase}/characters?q=${encodeURIComponent(this.currentQuery)}&page=${this.currentPage}&limit=12`
+                const characterData = await jikan.get(
+                    `/characters?q=${encodeURIComponent(this.currentQuery)}&page=${this.currentPage}&limit=12`
                 );
-                const characterData = await characterResponse.json();
                 characterResults = characterData.data || [];
             }
 
@@ -99,7 +93,7 @@ class SearchManager {
 
         } catch (error) {
             console.error('Search error:', error);
-            this.showNoResults('Search failed. Please try again.');
+            this.showNoResults(error.offline ? error.message : 'Search failed. Please try again.');
         }
     }
 
@@ -308,8 +302,7 @@ class SearchManager {
      */
     async showCharacterModal(characterId) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/characters/${characterId}`);
-            const data = await response.json();
+            const data = await jikan.get(`/characters/${characterId}`);
             const character = data.data;
             
             const modal = document.createElement('div');
@@ -362,8 +355,7 @@ class SearchManager {
      */
     async addToWatchlist(malId) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/anime/${malId}`);
-            const data = await response.json();
+            const data = await jikan.get(`/anime/${malId}`);
             const anime = data.data;
             
             if (window.electronAPI) {
@@ -373,6 +365,10 @@ class SearchManager {
                 this.showNotification('Watchlist feature requires desktop app');
             }
         } catch (error) {
+            if (error.offline && await offlineStatus.queueAdd('watchlist', malId)) {
+                this.showNotification("You're offline. It will be added to your watchlist when you're back online");
+                return;
+            }
             console.error('Error adding to watchlist:', error);
             this.showNotification('Failed to add to watchlist');
         }
@@ -383,8 +379,7 @@ class SearchManager {
      */
     async addToReadingList(malId) {
         try {
-            const response = await fetch(`${this.jikanApiBase}/manga/${malId}`);
-            const data = await response.json();
+            const data = await jikan.get(`/manga/${malId}`);
             const manga = data.data;
             
             if (window.electronAPI) {
@@ -394,6 +389,10 @@ class SearchManager {
                 this.showNotification('Reading list feature requires desktop app');
             }
         } catch (error) {
+            if (error.offline && await offlineStatus.queueAdd('readinglist', malId)) {
+                this.showNotification("You're offline. It will be added to your reading list when you're back online");
+                return;
+            }
             console.error('Error adding to reading list:', error);
             this.showNotification('Failed to add to reading list');
         }
@@ -0,0 +1,349 @@
+/**
+ * SETTINGS MANAGER CONTROLLER
+ * Handles application settings such as the data folder location
+ */
+class SettingsManager {
+    constructor() {
+        this.settings = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the settings manager
+     */
+    async init() {
+        await this.loadSettings();
+        this.renderSettings();
+        this.bindEvents();
+    }
+
+    /**
+     * Load settings from the main process
+     */
+    async loadSettings() {
+        try {
+            if (window.electronAPI) {
+                this.settings = await window.electronAPI.getSettings();
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.settings = null;
+        }
+    }
+
+    /**
+     * Render settings to the page
+     */
+    renderSettings() {
+        const dataDirectory = document.getElementById('dataDirectory');
+        const dataDirectoryType = document.getElementById('dataDirectoryType');
+        const resetButton = document.getElementById('resetDataDirectoryBtn');
+
+        if (!this.settings) {
+            dataDirectory.textContent = 'Settings require the desktop app';
+            dataDirectoryType.textContent = '-';
+            resetButton.style.display = 'none';
+            document.getElementById('migrateStorageBtn').style.display = 'none';
+            return;
+        }
+
+        dataDirectory.textContent = this.settings.dataDirectory;
+        dataDirectory.title = this.settings.dataDirectory;
+        dataDirectoryType.textContent = this.settings.isCustomDataDirectory ? 'Custom folder' : 'Default (app data)';
+        resetButton.style.display = this.settings.isCustomDataDirectory ? 'inline-flex' : 'none';
+
+        document.getElementById('backupEveryNWrites').value = this.settings.backupEveryNWrites;
+        document.getElementById('backupRetention').value = this.settings.backupRetention;
+        document.getElementById('trashRetentionDays').value = this.settings.trashRetentionDays;
+        this.renderJikanServer();
+        document.getElementById('jikanCacheMaxMb').value = this.settings.jikanCacheMaxMb;
+
+        const cache = this.settings.jikanCache;
+        document.getElementById('jikanCacheUsage').textContent =
+            `${cache.entries} (${(cache.bytes / 1024 / 1024).toFixed(1)} MB of ${this.settings.jikanCacheMaxMb} MB)`;
+
+        this.renderStorage();
+    }
+
+    /**
+     * Show the active storage backend and what it can be switched to
+     */
+    renderStorage() {
+        const isSqlite = this.settings.storageBackend === 'sqlite';
+        const migrateButton = document.getElementById('migrateStorageBtn');
+        const storageError = document.getElementById('storageError');
+
+        document.getElementById('storageBackend').textContent = isSqlite ? 'SQLite database' : 'JSON files';
+        document.getElementById('migrateStorageLabel').textContent = isSqlite ? 'Switch to JSON Files' : 'Switch to SQLite';
+
+        // SQLite needs the optional native module; JSON is always available
+        migrateButton.disabled = !isSqlite && !this.settings.sqliteAvailable;
+        migrateButton.title = migrateButton.disabled ? 'SQLite support is not installed in this build' : '';
+
+        storageError.textContent = this.settings.storageError || '';
+        storageError.style.display = this.settings.storageError ? 'block' : 'none';
+    }
+
+    /**
+     * Copy all lists into the other storage backend and switch to it
+     */
+    async migrateStorage() {
+        if (!this.settings) return;
+
+        const target = this.settings.storageBackend === 'sqlite' ? 'json' : 'sqlite';
+        const label = target === 'sqlite' ? 'a SQLite database' : 'JSON files';
+
+        if (!confirm(`Move all lists to ${label}? A backup is taken first and the current copy is kept.`)) {
+            return;
+        }
+
+        try {
+            this.settings = await window.electronAPI.migrateStorage(target);
+            this.renderSettings();
+            this.showNotification(`Lists are now stored in ${label}`);
+        } catch (error) {
+            console.error('Error migrating storage:', error);
+            this.showNotification('Failed to switch storage');
+        }
+    }
+
+    /**
+     * Save backup frequency and retention
+     */
+    async saveBackupSettings() {
+        if (!window.electronAPI) {
+            this.showNotification('Settings require the desktop app');
+            return;
+        }
+
+        const backupEveryNWrites = parseInt(document.getElementById('backupEveryNWrites').value);
+        const backupRetention = parseInt(document.getElementById('backupRetention').value);
+
+        if (!(backupEveryNWrites >= 1) || !(backupRetention >= 1)) {
+            this.showNotification('Backup values must be at least 1');
+            return;
+        }
+
+        try {
+            this.settings = await window.electronAPI.updateSettings({ backupEveryNWrites, backupRetention });
+            this.renderSettings();
+            this.showNotification('Backup settings saved');
+        } catch (error) {
+            console.error('Error saving backup settings:', error);
+            this.showNotification('Failed to save backup settings');
+        }
+    }
+
+    /**
+     * Save how long removed entries stay in the trash
+     */
+    async saveTrashSettings() {
+        if (!window.electronAPI) {
+            this.showNotification('Settings require the desktop app');
+            return;
+        }
+
+        const trashRetentionDays = parseInt(document.getElementById('trashRetentionDays').value);
+
+        if (!(trashRetentionDays >= 1)) {
+            this.showNotification('Trash retention must be at least 1 day');
+            return;
+        }
+
+        try {
+            this.settings = await window.electronAPI.updateSettings({ trashRetentionDays });
+            this.renderSettings();
+            this.showNotification('Trash settings saved');
+        } catch (error) {
+            console.error('Error saving trash settings:', error);
+            this.showNotification('Failed to save trash settings');
+        }
+    }
+
+    /**
+     * Show the Jikan instance in use; the command line flag locks it for the run
+     */
+    renderJikanServer() {
+        const isDefault = this.settings.jikanBaseUrl === this.settings.defaultJikanBaseUrl;
+        const input = document.getElementById('jikanBaseUrl');
+
+        document.getElementById('jikanBaseUrlCurrent').textContent =
+            `${this.settings.jikanBaseUrl}${isDefault ? ' (Jikan)' : ''}`;
+        document.getElementById('jikanBaseUrlFlag').style.display = this.settings.jikanBaseUrlFromFlag ? 'block' : 'none';
+        input.value = isDefault ? '' : this.settings.jikanBaseUrl;
+        input.disabled = this.settings.jikanBaseUrlFromFlag;
+        document.querySelectorAll('.jikan-url-action').forEach(button => {
+            button.disabled = this.settings.jikanBaseUrlFromFlag;
+        });
+    }
+
+    /**
+     * Check that the entered URL, or the one in use, answers like Jikan v4
+     */
+    async checkJikanBaseUrl() {
+        if (!window.electronAPI) {
+            this.showNotification('Settings require the desktop app');
+            return;
+        }
+
+        const result = document.getElementById('jikanCheckResult');
+        result.classList.remove('settings-error');
+        result.textContent = 'Checking...';
+        result.style.display = 'block';
+
+        try {
+            const health = await window.electronAPI.checkJikanBaseUrl(document.getElementById('jikanBaseUrl').value.trim());
+            const problems = health.checks.filter(check => !check.ok);
+            result.textContent = health.ok
+                ? 'Answers like Jikan v4'
+                : problems.map(check => `${check.path} ${check.message}`).join('; ');
+            result.classList.toggle('settings-error', !health.ok);
+        } catch (error) {
+            console.error('Error checking Jikan URL:', error);
+            result.textContent = this.errorMessage(error);
+            result.classList.add('settings-error');
+        }
+    }
+
+    /**
+     * Use the entered Jikan instance once it passes the check
+     */
+    async saveJikanBaseUrl() {
+        if (!window.electronAPI) {
+            this.showNotification('Settings require the desktop app');
+            return;
+        }
+
+        try {
+            this.settings = await window.electronAPI.setJikanBaseUrl(document.getElementById('jikanBaseUrl').value.trim());
+            this.renderSettings();
+            document.getElementById('jikanCheckResult').style.display = 'none';
+            this.showNotification(`Using Jikan at ${this.settings.jikanBaseUrl}`);
+        } catch (error) {
+            console.error('Error saving Jikan URL:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    async resetJikanBaseUrl() {
+        document.getElementById('jikanBaseUrl').value = '';
+        await this.saveJikanBaseUrl();
+    }
+
+    /**
+     * Save how large the Jikan cache may grow
+     */
+    async saveCacheSettings() {
+        if (!window.electronAPI) {
+            this.showNotification('Settings require the desktop app');
+            return;
+        }
+
+        const jikanCacheMaxMb = parseInt(document.getElementById('jikanCacheMaxMb').value);
+
+        if (!(jikanCacheMaxMb >= 1)) {
+            this.showNotification('The cache size must be at least 1 MB');
+            return;
+        }
+
+        try {
+            this.settings = await window.electronAPI.updateSettings({ jikanCacheMaxMb });
+            this.renderSettings();
+            this.showNotification('Cache settings saved');
+        } catch (error) {
+            console.error('Error saving cache settings:', error);
+            this.showNotification('Failed to save cache settings');
+        }
+    }
+
+    /**
+     * Remove every cached Jikan response
+     */
+    async clearCache() {
+        if (!window.electronAPI) return;
+
+        try {
+            this.settings = await window.electronAPI.clearJikanCache();
+            this.renderSettings();
+            this.showNotification('Cache cleared');
+        } catch (error) {
+            console.error('Error clearing cache:', error);
+            this.showNotification('Failed to clear cache');
+        }
+    }
+
+    /**
+     * Let the user pick a new data folder
+     */
+    async chooseDataDirectory() {
+        if (!window.electronAPI) {
+            this.showNotification('Settings require the desktop app');
+            return;
+        }
+
+        try {
+            const settings = await window.electronAPI.chooseDataDirectory();
+            if (!settings) return;
+
+            this.settings = settings;
+            this.renderSettings();
+            this.showNotification('Data folder updated');
+        } catch (error) {
+            console.error('Error changing data folder:', error);
+            this.showNotification('Failed to change data folder');
+        }
+    }
+
+    /**
+     * Switch back to the default data folder
+     */
+    async resetDataDirectory() {
+        if (!window.electronAPI) return;
+
+        if (!confirm('Switch back to the default data folder? Your lists will be copied there if it has none yet.')) {
+            return;
+        }
+
+        try {
+            this.settings = await window.electronAPI.resetDataDirectory();
+            this.renderSettings();
+            this.showNotification('Using the default data folder');
+        } catch (error) {
+            console.error('Error resetting data folder:', error);
+            this.showNotification('Failed to reset data folder');
+        }
+    }
+
+    /**
+     * The main process error without Electron's IPC prefix
+     */
+    errorMessage(error) {
+        return error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed; top: 20px; right: 20px; background: var(--primary);
+            color: white; padding: 15px 20px; border-radius: 5px; z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    /**
+     * Bind events
+     */
+    bindEvents() {
+        // Event bindings are handled through inline onclick handlers
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * SYNC MANAGER CONTROLLER
+ * Connects the active profile to a MyAnimeList account and shows how
+ * syncing went. When both sides changed an entry and the policy is to
+ * ask, the conflicts are listed here to pick a side for each.
+ */
+class SyncManager {
+    constructor() {
+        this.status = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the sync manager
+     */
+    async init() {
+        if (!window.electronAPI) {
+            document.querySelectorAll('.sync-requires-app').forEach(button => {
+                button.disabled = true;
+                button.title = 'Syncing requires the desktop app';
+            });
+            document.getElementById('syncConnection').textContent = 'Not available in the browser';
+            return;
+        }
+
+        window.electronAPI.onMalSyncStatus(status => this.render(status));
+        try {
+            this.render(await window.electronAPI.getMalSync());
+        } catch (error) {
+            console.error('Error loading sync status:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+
+        this.bindEvents();
+    }
+
+    render(status) {
+        const firstRender = !this.status;
+        this.status = status;
+
+        const connection = document.getElementById('syncConnection');
+        if (status.syncing) {
+            connection.textContent = 'Syncing...';
+        } else if (status.connected) {
+            connection.textContent = `Connected as ${status.user || 'unknown user'}`;
+        } else {
+            connection.textContent = 'Not connected';
+        }
+
+        document.getElementById('syncLastSync').textContent = status.lastSyncAt
+            ? `${new Date(status.lastSyncAt).toLocaleString()}${this.describeResult(status.lastResult)}`
+            : 'Never';
+
+        const error = document.getElementById('syncError');
+        error.textContent = status.lastError ? `The last sync failed: ${status.lastError}` : '';
+        error.style.display = status.lastError ? 'block' : 'none';
+
+        document.getElementById('connectMalBtn').style.display = status.connected ? 'none' : '';
+        document.getElementById('disconnectMalBtn').style.display = status.connected ? '' : 'none';
+        document.getElementById('syncNowBtn').disabled = !status.connected || status.syncing;
+        document.getElementById('syncRedirectUri').textContent = status.redirectUri;
+
+        // Leave the form alone once the user may have started editing it
+        if (firstRender) {
+            document.getElementById('syncClientId').value = status.clientId || '';
+            document.getElementById('syncBaseUrl').value = status.baseUrl || '';
+            document.getElementById('syncPolicy').value = status.policy;
+            document.getElementById('syncAutoSync').checked = status.autoSync;
+        }
+
+        this.renderConflicts();
+    }
+
+    /**
+     * e.g. " (3 sent, 1 received)"
+     */
+    describeResult(result) {
+        if (!result) return '';
+
+        const parts = [
+            [result.pushed, 'sent'],
+            [result.pulled + result.added, 'received'],
+            [result.removedHere + result.removedThere, 'removed']
+        ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+
+        return parts.length > 0 ? ` (${parts.join(', ')})` : ' (no changes)';
+    }
+
+    /**
+     * Entries changed on both sides since the last sync, each with the
+     * differing fields side by side
+     */
+    renderConflicts() {
+        const container = document.getElementById('syncConflicts');
+        const conflicts = this.status.conflicts || [];
+
+        if (conflicts.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h4><i class="fas fa-code-compare"></i> ${conflicts.length} ${conflicts.length === 1 ? 'entry was' : 'entries were'} changed on both sides</h4>
+            <p class="settings-description">Choose which version to keep. The other side is updated to match.</p>
+            <form onsubmit="syncManager.resolveConflicts(); return false;">
+                ${conflicts.map(conflict => this.renderConflict(conflict)).join('')}
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-check"></i> Apply and Sync
+                    </button>
+                </div>
+            </form>
+        `;
+        container.style.display = 'block';
+    }
+
+    renderConflict(conflict) {
+        const fields = Object.keys(conflict.local).filter(field =>
+            JSON.stringify(conflict.local[field]) !== JSON.stringify(conflict.remote[field]));
+        const when = time => time ? new Date(time).toLocaleString() : 'unknown';
+
+        return `
+            <div class="import-section sync-conflict">
+                <h5>${this.escapeHtml(conflict.title)} <span class="csv-match-list">${this.formatType(conflict.type)}</span></h5>
+                <table class="sync-conflict-fields">
+                    <thead><tr><th></th><th>This computer</th><th>MyAnimeList</th></tr></thead>
+                    <tbody>
+                        ${fields.map(field => `
+                            <tr>
+                                <th>${this.formatField(field)}</th>
+                                <td>${this.formatValue(conflict.local[field])}</td>
+                                <td>${this.formatValue(conflict.remote[field])}</td>
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <th>Changed</th>
+                            <td>${when(conflict.localModified)}</td>
+                            <td>${when(conflict.remoteModified)}</td>
+                        </tr>
+                    </tbody>
+                </table>
+                <label class="sync-checkbox">
+                    <input type="radio" name="conflict-${conflict.key}" value="local" checked> Keep mine
+                </label>
+                <label class="sync-checkbox">
+                    <input type="radio" name="conflict-${conflict.key}" value="remote"> Use MyAnimeList's
+                </label>
+            </div>
+        `;
+    }
+
+    async resolveConflicts() {
+        const resolutions = {};
+        (this.status.conflicts || []).forEach(conflict => {
+            const choice = document.querySelector(`input[name="conflict-${conflict.key}"]:checked`);
+            resolutions[conflict.key] = choice ? choice.value : 'local';
+        });
+
+        await this.syncNow(resolutions);
+    }
+
+    async saveSettings() {
+        try {
+            const status = await window.electronAPI.updateMalSyncSettings({
+                clientId: document.getElementById('syncClientId').value,
+                baseUrl: document.getElementById('syncBaseUrl').value,
+                policy: document.getElementById('syncPolicy').value,
+                autoSync: document.getElementById('syncAutoSync').checked
+            });
+            this.render(status);
+            this.showNotification('Sync settings saved');
+        } catch (error) {
+            console.error('Error saving sync settings:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    async connect() {
+        try {
+            this.render(await window.electronAPI.connectMal());
+            this.showNotification(`Connected to MyAnimeList as ${this.status.user}`);
+        } catch (error) {
+            console.error('Error connecting to MyAnimeList:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    async disconnect() {
+        if (!confirm('Disconnect from MyAnimeList? Your lists stay as they are on both sides.')) return;
+
+        try {
+            this.render(await window.electronAPI.disconnectMal());
+            this.showNotification('Disconnected from MyAnimeList');
+        } catch (error) {
+            console.error('Error disconnecting from MyAnimeList:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    async syncNow(resolutions = {}) {
+        try {
+            const result = await window.electronAPI.syncMal(resolutions);
+            this.showNotification(result.conflicts.length > 0
+                ? `Synced, but ${result.conflicts.length} ${result.conflicts.length === 1 ? 'entry needs' : 'entries need'} a decision`
+                : 'Synced with MyAnimeList');
+        } catch (error) {
+            console.error('Error syncing with MyAnimeList:', error);
+            this.showNotification(this.errorMessage(error));
+        }
+    }
+
+    formatField(field) {
+        const fieldMap = {
+            'status': 'Status',
+            'episodes_watched': 'Episodes',
+            'chapters_read': 'Chapters',
+            'rating': 'Rating',
+            'notes': 'Notes',
+            'start_date': 'Started',
+            'finish_date': 'Finished',
+            'repeat': 'Rewatched'
+        };
+        return fieldMap[field] || field;
+    }
+
+    formatValue(value) {
+        if (value === null || value === '') return '<em>none</em>';
+        return this.escapeHtml(String(value));
+    }
+
+    /**
+     * Format list type for display
+     */
+    formatType(type) {
+        const typeMap = {
+            'watchlist': 'Watchlist',
+            'readinglist': 'Reading List',
+            'favorites': 'Favorites'
+        };
+        return typeMap[type] || type;
+    }
+
+    /**
+     * Titles and notes come from MyAnimeList, so escape them
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * The main process error without Electron's IPC prefix
+     */
+    errorMessage(error) {
+        return error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed; top: 20px; right: 20px; background: var(--primary);
+            color: white; padding: 15px 20px; border-radius: 5px; z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    /**
+     * Bind events
+     */
+    bindEvents() {
+        // Event bindings are handled through inline onclick handlers
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * TRASH MANAGER CONTROLLER
+ * Lists removed entries and restores or permanently deletes them
+ */
+class TrashManager {
+    constructor() {
+        this.entries = [];
+        this.retentionDays = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the trash manager
+     */
+    async init() {
+        await this.loadTrash();
+        this.renderTrash();
+        this.bindEvents();
+    }
+
+    /**
+     * Load trash entries and the retention period from the main process
+     */
+    async loadTrash() {
+        try {
+            if (window.electronAPI) {
+                this.entries = await window.electronAPI.listTrash();
+                const settings = await window.electronAPI.getSettings();
+                this.retentionDays = settings.trashRetentionDays;
+            }
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.entries = [];
+        }
+    }
+
+    /**
+     * Render trash entries to the page
+     */
+    renderTrash() {
+        const container = document.getElementById('trashList');
+        const emptyState = document.getElementById('emptyTrash');
+
+        document.getElementById('trashRetention').textContent = this.retentionDays
+            ? `Removed entries are kept for ${this.retentionDays} days, then deleted for good.`
+            : '';
+        document.getElementById('emptyTrashBtn').style.display = this.entries.length > 0 ? 'inline-flex' : 'none';
+
+        if (this.entries.length === 0) {
+            container.style.display = 'none';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        container.style.display = 'flex';
+        emptyState.style.display = 'none';
+
+        container.innerHTML = this.entries.map(entry => `
+            <div class="trash-item">
+                <div class="trash-item-image">
+                    ${entry.item.image ? `<img src="${this.escapeHtml(entry.item.image)}" alt="${this.escapeHtml(this.titleOf(entry))}" loading="lazy">` : `
+                        <div class="item-image-placeholder"><i class="fas fa-image"></i></div>
+                    `}
+                </div>
+                <div class="trash-item-content">
+                    <h3 class="trash-item-title">${this.escapeHtml(this.titleOf(entry))}</h3>
+                    <div class="trash-item-meta">
+                        <span class="status-badge list-type-${entry.type}">${this.formatType(entry.type)}</span>
+                        ${this.formatProgress(entry.item)}
+                        <span>Removed ${this.formatDate(entry.deletedAt)}</span>
+                        <span>Deleted for good ${this.formatDate(entry.expiresAt)}</span>
+                    </div>
+                </div>
+                <div class="trash-item-actions">
+                    <button class="btn btn-primary btn-small" onclick="trashManager.restoreEntry('${entry.id}')">
+                        <i class="fas fa-rotate-left"></i> Restore
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="trashManager.deleteEntry('${entry.id}')">
+                        <i class="fas fa-times"></i> Delete
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Put an entry back into its list
+     */
+    async restoreEntry(id) {
+        const entry = this.entries.find(e => e.id === id);
+
+        try {
+            this.entries = await window.electronAPI.restoreFromTrash(id);
+            this.renderTrash();
+            this.showNotification(`Restored "${entry ? this.titleOf(entry) : 'entry'}"`);
+        } catch (error) {
+            console.error('Error restoring entry:', error);
+            this.showNotification(error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''));
+        }
+    }
+
+    /**
+     * Permanently delete one entry
+     */
+    async deleteEntry(id) {
+        const entry = this.entries.find(e => e.id === id);
+        const title = entry ? this.titleOf(entry) : 'this entry';
+
+        if (!confirm(`Delete "${title}" for good? This can't be undone.`)) {
+            return;
+        }
+
+        try {
+            this.entries = await window.electronAPI.deleteFromTrash(id);
+            this.renderTrash();
+        } catch (error) {
+            console.error('Error deleting entry:', error);
+            this.showNotification('Failed to delete entry');
+        }
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    async emptyTrash() {
+        if (!confirm(`Delete all ${this.entries.length} entries in the trash for good? This can't be undone.`)) {
+            return;
+        }
+
+        try {
+            this.entries = await window.electronAPI.emptyTrash();
+            this.renderTrash();
+            this.showNotification('Trash emptied');
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            this.showNotification('Failed to empty trash');
+        }
+    }
+
+    titleOf(entry) {
+        return entry.item.title || entry.item.name;
+    }
+
+    /**
+     * Format list type for display
+     */
+    formatType(type) {
+        const typeMap = {
+            'watchlist': 'Watchlist',
+            'readinglist': 'Reading List',
+            'favorites': 'Favorites'
+        };
+        return typeMap[type] || type;
+    }
+
+    /**
+     * Progress kept with the entry, so it's clear what a restore brings back
+     */
+    formatProgress(item) {
+        if (item.episodes_watched !== undefined) {
+            return `<span>${this.escapeHtml(item.episodes_watched)}/${this.escapeHtml(item.episodes || '?')} episodes</span>`;
+        }
+        if (item.chapters_read !== undefined) {
+            return `<span>${this.escapeHtml(item.chapters_read)}/${this.escapeHtml(item.chapters || '?')} chapters</span>`;
+        }
+        return '';
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(isoDate) {
+        return new Date(isoDate).toLocaleDateString();
+    }
+
+    /**
+     * Trashed entries may have been removed on another computer or come
+     * from an import, so escape their titles and covers
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message) {
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed; top: 20px; right: 20px; background: var(--primary);
+            color: white; padding: 15px 20px; border-radius: 5px; z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    /**
+     * Bind events
+     */
+    bindEvents() {
+        // Event bindings are handled through inline onclick handlers
+    }
+}
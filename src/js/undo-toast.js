@@ -0,0 +1,123 @@
+/**
+ * UNDO TOAST CONTROLLER
+ * Shared by the watchlist, reading list and favorites pages. Shows a
+ * toast with an Undo button after a removal or edit, and a Redo button
+ * after an undo. Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y) do the same outside
+ * of text fields. Each page undoes only changes to its own list, given
+ * as type. onChange receives the undo result so the page can reload it.
+ */
+class UndoToast {
+    constructor(type, onChange) {
+        this.type = type;
+        this.onChange = onChange;
+        this.element = null;
+        this.hideTimer = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Show a message with an Undo (or Redo) button
+     */
+    show(message, action = 'undo') {
+        this.hide();
+
+        const toast = document.createElement('div');
+        toast.className = 'undo-toast';
+        toast.innerHTML = `
+            <span class="undo-toast-message"></span>
+            ${action && window.electronAPI ? `
+                <button class="btn btn-secondary btn-small">
+                    <i class="fas ${action === 'undo' ? 'fa-rotate-left' : 'fa-rotate-right'}"></i>
+                    ${action === 'undo' ? 'Undo' : 'Redo'}
+                </button>
+            ` : ''}
+        `;
+        toast.querySelector('.undo-toast-message').textContent = message;
+
+        const button = toast.querySelector('button');
+        if (button) {
+            button.addEventListener('click', () => action === 'undo' ? this.undo() : this.redo());
+        }
+
+        document.body.appendChild(toast);
+        this.element = toast;
+        this.hideTimer = setTimeout(() => this.hide(), 6000);
+    }
+
+    hide() {
+        clearTimeout(this.hideTimer);
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    /**
+     * Revert the last removal or edit
+     */
+    async undo() {
+        try {
+            const result = await window.electronAPI.undoChange(this.type);
+            if (!result) {
+                this.show('Nothing to undo', null);
+                return;
+            }
+
+            await this.onChange(result);
+            const message = result.action === 'remove' ? `Restored "${result.title}"` : `Reverted changes to "${result.title}"`;
+            this.show(message, 'redo');
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            this.show(this.errorMessage(error), null);
+        }
+    }
+
+    /**
+     * Apply the last undone change again
+     */
+    async redo() {
+        try {
+            const result = await window.electronAPI.redoChange(this.type);
+            if (!result) {
+                this.show('Nothing to redo', null);
+                return;
+            }
+
+            await this.onChange(result);
+            const message = result.action === 'remove' ? `Removed "${result.title}" again` : `Reapplied changes to "${result.title}"`;
+            this.show(message, 'undo');
+        } catch (error) {
+            console.error('Error redoing change:', error);
+            this.show(this.errorMessage(error), null);
+        }
+    }
+
+    /**
+     * The main process error without Electron's IPC prefix
+     */
+    errorMessage(error) {
+        return error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    }
+
+    /**
+     * Keyboard shortcuts
+     */
+    bindEvents() {
+        if (!window.electronAPI) return;
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+}
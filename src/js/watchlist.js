@@ -8,6 +8,8 @@ class WatchlistManager {
         this.filteredList = [];
         this.currentFilter = 'all';
         this.currentSort = 'added';
+        this.queryCount = 0;
+        this.undoToast = new UndoToast('watchlist', result => this.handleUndo(result));
         
         this.init();
     }
@@ -16,7 +18,10 @@ class WatchlistManager {
      * Initialize the watchlist manager
      */
     async init() {
+        this.bindRecoveryEvents();
+        this.bindListEvents();
         await this.loadWatchlist();
+        await this.loadRecoveryNotice();
         this.updateStats();
         this.renderWatchlist();
         this.bindEvents();
@@ -34,7 +39,7 @@ class WatchlistManager {
                 const saved = localStorage.getItem('anitowatch-watchlist');
                 this.watchlist = saved ? JSON.parse(saved) : [];
             }
-            this.applyFiltersAndSort();
+            await this.applyFiltersAndSort();
         } catch (error) {
             console.error('Error loading watchlist:', error);
             this.watchlist = [];
@@ -60,9 +65,25 @@ class WatchlistManager {
     }
 
     /**
-     * Apply both filters and sorting
+     * Apply both filters and sorting. In the app the main process does
+     * this, so a list kept in SQLite can use its indexes.
      */
-    applyFiltersAndSort() {
+    async applyFiltersAndSort() {
+        if (window.electronAPI) {
+            const request = ++this.queryCount;
+            try {
+                const filteredList = await window.electronAPI.getWatchlist(this.getQuery());
+                // A newer filter, sort or change was applied meanwhile
+                if (request !== this.queryCount) return;
+                this.filteredList = filteredList;
+            } catch (error) {
+                console.error('Error filtering watchlist:', error);
+                return;
+            }
+            this.renderWatchlist();
+            return;
+        }
+
         // Apply status filter
         if (this.currentFilter === 'all') {
             this.filteredList = [...this.watchlist];
@@ -90,6 +111,18 @@ class WatchlistManager {
         this.renderWatchlist();
     }
 
+    /**
+     * The current filter and sort as query options for the main process
+     */
+    getQuery() {
+        const sortBy = { title: 'title', score: 'score', episodes: 'total' }[this.currentSort] || 'added_date';
+        return {
+            status: this.currentFilter === 'all' ? null : this.currentFilter,
+            sortBy,
+            order: sortBy === 'title' ? 'asc' : 'desc'
+        };
+    }
+
     /**
      * Render watchlist to the page
      */
@@ -109,26 +142,33 @@ class WatchlistManager {
         container.innerHTML = this.filteredList.map(anime => `
             <div class="watchlist-item">
                 <div class="watchlist-item-image">
-                    <img src="${anime.image}" alt="${anime.title}" loading="lazy">
+                    ${anime.image ? `<img src="${this.escapeHtml(anime.image)}" alt="${this.escapeHtml(anime.title)}" loading="lazy">` : `
+                        <div class="item-image-placeholder"><i class="fas fa-tv"></i></div>
+                    `}
                 </div>
                 <div class="watchlist-item-content">
-                    <h3 class="watchlist-item-title">${anime.title}</h3>
+                    <h3 class="watchlist-item-title">${this.escapeHtml(anime.title)}</h3>
                     <div class="watchlist-item-meta">
-                        <span class="status-badge status-${anime.status}">${this.formatStatus(anime.status)}</span>
-                        <span>${anime.episodes_watched || 0}/${anime.episodes || '?'} episodes</span>
-                        <span>⭐ ${anime.score || 'N/A'}</span>
-                        <span>Your rating: ${anime.rating || 'Not rated'}</span>
+                        <span class="status-badge status-${this.escapeHtml(anime.status)}">${this.escapeHtml(this.formatStatus(anime.status))}</span>
+                        <span>${this.escapeHtml(anime.episodes_watched || 0)}/${this.escapeHtml(anime.episodes || '?')} episodes</span>
+                        <span>⭐ ${this.escapeHtml(anime.score || 'N/A')}</span>
+                        <span>Your rating: ${this.escapeHtml(anime.rating || 'Not rated')}</span>
                     </div>
-                    ${anime.notes ? `<p class="watchlist-item-notes">${anime.notes}</p>` : ''}
+                    ${anime.notes ? `<p class="watchlist-item-notes">${this.escapeHtml(anime.notes)}</p>` : ''}
                 </div>
                 <div class="watchlist-item-actions">
-                    <button class="btn btn-primary btn-small" onclick="watchlistManager.viewAnime(${anime.mal_id})">
-                        <i class="fas fa-info-circle"></i> Details
+                    ${anime.mal_id ? `
+                        <button class="btn btn-primary btn-small" onclick="watchlistManager.viewAnime(${anime.mal_id})">
+                            <i class="fas fa-info-circle"></i> Details
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-secondary btn-small" onclick="location.href='activity.html?item=${this.escapeHtml(anime.id)}'">
+                        <i class="fas fa-clock-rotate-left"></i> History
                     </button>
-                    <button class="btn btn-secondary btn-small" onclick="watchlistManager.editAnime(${anime.mal_id})">
+                    <button class="btn btn-secondary btn-small" onclick="watchlistManager.editAnime('${this.escapeHtml(anime.id)}')">
                         <i class="fas fa-edit"></i> Edit
                     </button>
-                    <button class="btn btn-danger btn-small" onclick="watchlistManager.removeAnime(${anime.mal_id})">
+                    <button class="btn btn-danger btn-small" onclick="watchlistManager.removeAnime('${this.escapeHtml(anime.id)}')">
                         <i class="fas fa-trash"></i> Remove
                     </button>
                 </div>
@@ -146,15 +186,16 @@ class WatchlistManager {
     /**
      * Edit anime progress
      */
-    editAnime(malId) {
-        const anime = this.watchlist.find(a => a.mal_id === malId);
+    editAnime(id) {
+        const anime = this.watchlist.find(a => a.id === id);
         if (!anime) return;
 
         const modal = document.getElementById('editModal');
         const formContent = document.getElementById('editFormContent');
+        document.getElementById('editModalTitle').textContent = 'Edit Anime Progress';
 
         formContent.innerHTML = `
-            <form onsubmit="watchlistManager.saveEdit(${malId}); return false;">
+            <form onsubmit="watchlistManager.saveEdit('${this.escapeHtml(id)}'); return false;">
                 <div class="form-group">
                     <label>Status:</label>
                     <select id="editStatus" class="form-select">
@@ -167,19 +208,19 @@ class WatchlistManager {
                 
                 <div class="form-group">
                     <label>Episodes Watched:</label>
-                    <input type="number" id="editEpisodes" value="${anime.episodes_watched || 0}" 
-                           min="0" max="${anime.episodes || 999}">
+                    <input type="number" id="editEpisodes" value="${this.escapeHtml(anime.episodes_watched || 0)}" 
+                           min="0" max="${this.escapeHtml(anime.episodes || 999)}">
                 </div>
                 
                 <div class="form-group">
                     <label>Your Rating (1-10):</label>
-                    <input type="number" id="editRating" value="${anime.rating || 0}" 
+                    <input type="number" id="editRating" value="${this.escapeHtml(anime.rating || 0)}" 
                            min="0" max="10" step="0.5">
                 </div>
                 
                 <div class="form-group">
                     <label>Notes:</label>
-                    <textarea id="editNotes" rows="3">${anime.notes || ''}</textarea>
+                    <textarea id="editNotes" rows="3">${this.escapeHtml(anime.notes || '')}</textarea>
                 </div>
                 
                 <div class="form-actions">
@@ -195,7 +236,7 @@ class WatchlistManager {
     /**
      * Save edited anime progress
      */
-    async saveEdit(malId) {
+    async saveEdit(id) {
         const status = document.getElementById('editStatus').value;
         const episodes = parseInt(document.getElementById('editEpisodes').value) || 0;
         const rating = parseFloat(document.getElementById('editRating').value) || 0;
@@ -203,7 +244,7 @@ class WatchlistManager {
 
         try {
             if (window.electronAPI) {
-                await window.electronAPI.updateWatchlist(malId, {
+                await window.electronAPI.updateWatchlist(id, {
                     status,
                     episodes_watched: episodes,
                     rating,
@@ -212,7 +253,7 @@ class WatchlistManager {
             }
 
             // Update local data
-            const animeIndex = this.watchlist.findIndex(a => a.mal_id === malId);
+            const animeIndex = this.watchlist.findIndex(a => a.id === id);
             if (animeIndex !== -1) {
                 this.watchlist[animeIndex] = {
                     ...this.watchlist[animeIndex],
@@ -227,6 +268,7 @@ class WatchlistManager {
             this.closeEditModal();
             this.applyFiltersAndSort();
             this.updateStats();
+            this.undoToast.show(`Updated "${this.watchlist.find(a => a.id === id)?.title}"`);
 
         } catch (error) {
             console.error('Error updating anime:', error);
@@ -234,6 +276,79 @@ class WatchlistManager {
         }
     }
 
+    /**
+     * Show the form for an anime that isn't on MyAnimeList
+     */
+    showCustomEntryForm() {
+        const modal = document.getElementById('editModal');
+        const formContent = document.getElementById('editFormContent');
+        document.getElementById('editModalTitle').textContent = 'Add Custom Anime';
+
+        formContent.innerHTML = `
+            <form onsubmit="watchlistManager.addCustomEntry(); return false;">
+                <div class="form-group">
+                    <label>Title:</label>
+                    <input type="text" id="customTitle" class="form-input" required>
+                </div>
+                
+                <div class="form-group">
+                    <label>Total Episodes (0 if unknown):</label>
+                    <input type="number" id="customEpisodes" class="form-input" value="0" min="0">
+                </div>
+                
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">Add to Watchlist</button>
+                    <button type="button" class="btn btn-secondary" onclick="watchlistManager.closeEditModal()">Cancel</button>
+                </div>
+            </form>
+        `;
+
+        modal.style.display = 'block';
+        document.getElementById('customTitle').focus();
+    }
+
+    /**
+     * Add a custom anime without a MAL id
+     */
+    async addCustomEntry() {
+        const title = document.getElementById('customTitle').value.trim();
+        const episodes = parseInt(document.getElementById('customEpisodes').value) || 0;
+
+        if (!title) return;
+
+        try {
+            if (window.electronAPI) {
+                const item = await window.electronAPI.addToWatchlist({ title, episodes });
+                if (item) {
+                    this.watchlist = ListChanges.apply(this.watchlist, { action: 'add', id: item.id, after: item });
+                }
+            } else {
+                this.watchlist.push({
+                    id: crypto.randomUUID(),
+                    mal_id: null,
+                    title,
+                    episodes,
+                    score: 0,
+                    episodes_watched: 0,
+                    status: 'planning',
+                    rating: 0,
+                    notes: '',
+                    added_date: new Date().toISOString()
+                });
+                await this.saveWatchlist();
+            }
+
+            this.closeEditModal();
+            this.applyFiltersAndSort();
+            this.updateStats();
+            this.showNotification(`Added "${title}" to watchlist!`);
+
+        } catch (error) {
+            console.error('Error adding custom anime:', error);
+            this.showNotification('Failed to add anime. Please try again.');
+        }
+    }
+
     /**
      * Close edit modal
      */
@@ -244,21 +359,25 @@ class WatchlistManager {
     /**
      * Remove anime from watchlist
      */
-    async removeAnime(malId) {
-        if (!confirm('Are you sure you want to remove this anime from your watchlist?')) {
+    async removeAnime(id) {
+        // Removals can be undone in the desktop app, so only confirm in the browser
+        if (!window.electronAPI && !confirm('Are you sure you want to remove this anime from your watchlist?')) {
             return;
         }
 
+        const anime = this.watchlist.find(a => a.id === id);
+
         try {
             if (window.electronAPI) {
-                await window.electronAPI.removeFromWatchlist(malId);
+                await window.electronAPI.removeFromWatchlist(id);
             }
 
-            this.watchlist = this.watchlist.filter(a => a.mal_id !== malId);
+            this.watchlist = this.watchlist.filter(a => a.id !== id);
             await this.saveWatchlist();
 
             this.applyFiltersAndSort();
             this.updateStats();
+            this.undoToast.show(`Removed "${anime?.title}" from watchlist`);
 
         } catch (error) {
             console.error('Error removing anime:', error);
@@ -281,6 +400,90 @@ class WatchlistManager {
         }
     }
 
+    /**
+     * Listen for corrupted-file recoveries reported by the main process
+     */
+    bindRecoveryEvents() {
+        if (!window.electronAPI) return;
+
+        window.electronAPI.onDataRecovered(notice => {
+            if (notice.type === 'watchlist') {
+                this.renderRecoveryBanner(notice);
+            }
+        });
+    }
+
+    /**
+     * Keep the watchlist current when it changes in another window or page
+     */
+    bindListEvents() {
+        ListChanges.subscribe('watchlist', async change => {
+            if (change.action === 'replace') {
+                await this.loadWatchlist();
+            } else {
+                this.watchlist = ListChanges.apply(this.watchlist, change);
+                this.applyFiltersAndSort();
+            }
+            this.updateStats();
+        });
+    }
+
+    /**
+     * Show a recovery that happened before this page was opened
+     */
+    async loadRecoveryNotice() {
+        if (!window.electronAPI) return;
+
+        try {
+            const notices = await window.electronAPI.getRecoveryNotices();
+            const notice = notices.find(n => n.type === 'watchlist');
+            if (notice) {
+                this.renderRecoveryBanner(notice);
+            }
+        } catch (error) {
+            console.error('Error loading recovery notices:', error);
+        }
+    }
+
+    /**
+     * Render the recovery banner above the watchlist
+     */
+    renderRecoveryBanner(notice) {
+        const banner = document.getElementById('recoveryBanner');
+        const message = notice.recovered
+            ? `Your watchlist file was damaged. ${notice.itemCount} anime were restored from the most recent backup.`
+            : 'Your watchlist file was damaged and no backup was available, so the list was started fresh.';
+
+        banner.innerHTML = `
+            <i class="fas fa-exclamation-triangle"></i>
+            <div class="recovery-banner-text">
+                <strong>${message}</strong>
+                <span class="recovery-corrupt-path"></span>
+            </div>
+            <button class="btn btn-secondary btn-small" onclick="watchlistManager.dismissRecoveryNotice()">
+                <i class="fas fa-times"></i> Dismiss
+            </button>
+        `;
+        // File paths can contain characters that aren't safe as HTML
+        banner.querySelector('.recovery-corrupt-path').textContent = `The damaged file was kept as ${notice.corruptPath}`;
+        banner.style.display = 'flex';
+    }
+
+    /**
+     * Hide the recovery banner for good
+     */
+    async dismissRecoveryNotice() {
+        document.getElementById('recoveryBanner').style.display = 'none';
+
+        try {
+            if (window.electronAPI) {
+                await window.electronAPI.dismissRecoveryNotice('watchlist');
+            }
+        } catch (error) {
+            console.error('Error dismissing recovery notice:', error);
+        }
+    }
+
     /**
      * Update watchlist statistics
      */
@@ -307,6 +510,26 @@ class WatchlistManager {
         return statusMap[status] || status;
     }
 
+    /**
+     * Reload after an undo or redo that touched this list
+     */
+    async handleUndo(result) {
+        if (result.type !== 'watchlist') return;
+
+        await this.loadWatchlist();
+        this.updateStats();
+    }
+
+    /**
+     * Titles, notes and cover addresses can come from imported files and
+     * other devices, so escape them for text and quoted attributes
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Show notification
      */